@@ -0,0 +1,89 @@
+// aqi.js
+// Air Quality Index sub-indices from a configurable breakpoint table (config/aqi-breakpoints.json).
+const fs = require('fs');
+const path = require('path');
+const { POLLUTANTS, parseWindow } = require('./compliance');
+
+const DEFAULT_BREAKPOINTS_FILE = path.join(__dirname, 'config', 'aqi-breakpoints.json');
+
+let table = null;
+
+function validateBreakpoints(pollutant, entry) {
+    if (!POLLUTANTS.includes(pollutant)) {
+        throw new Error(`AQI Module: Unknown pollutant "${pollutant}" in the breakpoint table.`);
+    }
+    parseWindow(entry.averagingWindow);
+    if (!Array.isArray(entry.breakpoints) || entry.breakpoints.length === 0) {
+        throw new Error(`AQI Module: ${pollutant}.breakpoints must be a non-empty array.`);
+    }
+    entry.breakpoints.forEach((band, i) => {
+        const fields = ['concLow', 'concHigh', 'indexLow', 'indexHigh'];
+        if (fields.some(field => typeof band[field] !== 'number') || band.concHigh <= band.concLow || band.indexHigh <= band.indexLow) {
+            throw new Error(`AQI Module: ${pollutant}.breakpoints[${i}] needs numeric concLow < concHigh and indexLow < indexHigh.`);
+        }
+        if (i > 0 && band.concLow < entry.breakpoints[i - 1].concHigh) {
+            throw new Error(`AQI Module: ${pollutant}.breakpoints must be in ascending, non-overlapping order.`);
+        }
+    });
+}
+
+/**
+ * Loads the AQI breakpoint table:
+ * { scale, categories: [{ name, indexLow, indexHigh }], pollutants: { <pollutant>: { averagingWindow, breakpoints: [...] } } }.
+ * @param {string} [filePath] Defaults to config/aqi-breakpoints.json.
+ * @returns {Object} The loaded table.
+ */
+function loadBreakpoints(filePath) {
+    const breakpointsFile = filePath || DEFAULT_BREAKPOINTS_FILE;
+    const parsed = JSON.parse(fs.readFileSync(breakpointsFile, 'utf8'));
+    if (!Array.isArray(parsed.categories) || !parsed.pollutants || typeof parsed.pollutants !== 'object') {
+        throw new Error('AQI Module: The breakpoint table needs "categories" and "pollutants".');
+    }
+    Object.entries(parsed.pollutants).forEach(([pollutant, entry]) => validateBreakpoints(pollutant, entry));
+    table = parsed;
+    console.log(`AQI Module: Loaded AQI breakpoints (${parsed.scale || 'unnamed scale'}) from ${breakpointsFile}`);
+    return table;
+}
+
+function getBreakpoints() {
+    if (!table) {
+        loadBreakpoints();
+    }
+    return table;
+}
+
+function categoryFor(index) {
+    const category = getBreakpoints().categories.find(cat => index <= cat.indexHigh);
+    return category ? category.name : null;
+}
+
+/**
+ * Computes a pollutant's AQI sub-index by linear interpolation inside its breakpoint band:
+ * I = (indexHigh - indexLow) / (concHigh - concLow) * (C - concLow) + indexLow.
+ * Concentrations above the last band are capped at its indexHigh and flagged beyondScale.
+ * @param {string} pollutant One of SO2, NO2, PM10, PM2_5.
+ * @param {number} concentration Average concentration over the pollutant's averaging window.
+ * @returns {{subIndex: number, category: string, beyondScale: boolean}|null} Null if the pollutant has no breakpoints.
+ */
+function subIndex(pollutant, concentration) {
+    const entry = getBreakpoints().pollutants[pollutant];
+    if (!entry) {
+        return null;
+    }
+    const bands = entry.breakpoints;
+    const top = bands[bands.length - 1];
+    if (concentration > top.concHigh) {
+        return { subIndex: top.indexHigh, category: categoryFor(top.indexHigh), beyondScale: true };
+    }
+    // Tables list whole-number bands (0-50, 51-100...); a value in the gap belongs to the next band
+    const band = bands.find(b => concentration <= b.concHigh);
+    const interpolated = (band.indexHigh - band.indexLow) / (band.concHigh - band.concLow) * (concentration - band.concLow) + band.indexLow;
+    const index = Math.round(Math.min(Math.max(interpolated, band.indexLow), band.indexHigh));
+    return { subIndex: index, category: categoryFor(index), beyondScale: false };
+}
+
+module.exports = {
+    loadBreakpoints,
+    getBreakpoints,
+    subIndex
+};
@@ -0,0 +1,138 @@
+// auth.js
+// API keys and role-based authorization. Keys are issued per project, per operator and per node with
+// scripts/api-keys.js and stored as SHA-256 hashes in config/api-keys.json:
+//   { "<keyId>": { "role": "regulator" | "project" | "auditor" | "node", "projId": "1", "hash": "<sha256 hex>" } }
+// Callers send a key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+//   regulator - mining, peer management, evictions and registry changes (on the RegAuth node)
+//   project   - submitting readings, only on the node of its own projId
+//   auditor   - read-only
+//   node      - peer-to-peer endpoints (broadcasts, registration, sync); each node presents auth.nodeToken
+// Every role can use the read-only endpoints. With auth.enabled false (the default) every route stays open.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const ROLES = ['regulator', 'project', 'auditor', 'node'];
+const DEFAULT_API_KEYS_FILE = path.join(__dirname, 'config', 'api-keys.json');
+
+let keysByHash = new Map();
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generates a new random API key. Only its hash is stored; the key itself is shown once.
+ * @returns {{key: string, hash: string}}
+ */
+function generateApiKey() {
+    const key = crypto.randomBytes(32).toString('base64url');
+    return { key, hash: hashKey(key) };
+}
+
+/**
+ * Loads the issued API keys.
+ * @param {string} [filePath] Defaults to config/api-keys.json.
+ */
+function loadApiKeys(filePath) {
+    const keysFile = filePath || DEFAULT_API_KEYS_FILE;
+    const parsed = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    const loaded = new Map();
+    Object.entries(parsed).forEach(([keyId, entry]) => {
+        if (!entry || !ROLES.includes(entry.role) || typeof entry.hash !== 'string') {
+            throw new Error(`Auth Module: Key "${keyId}" needs a role (${ROLES.join(', ')}) and a hash.`);
+        }
+        if (entry.role === 'project' && !entry.projId) {
+            throw new Error(`Auth Module: Project key "${keyId}" needs a projId.`);
+        }
+        loaded.set(entry.hash, { keyId, role: entry.role, projId: entry.projId !== undefined ? String(entry.projId) : undefined });
+    });
+    keysByHash = loaded;
+    console.log(`Auth Module: Loaded ${loaded.size} API keys from ${keysFile}`);
+}
+
+function presentedKey(req) {
+    const header = req.get('authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Middleware: identifies the caller from its API key and sets req.auth = { keyId, role, projId },
+ * or null for anonymous callers. An unknown key is refused with 401 on every route.
+ */
+function authenticate(req, res, next) {
+    req.auth = null;
+    if (!getConfig().auth.enabled) {
+        return next();
+    }
+    const key = presentedKey(req);
+    if (key) {
+        req.auth = keysByHash.get(hashKey(key)) || null;
+        if (!req.auth) {
+            return res.status(401).json({ error: 'Unknown API key.' });
+        }
+    }
+    next();
+}
+
+/**
+ * Middleware factory: only callers with one of the roles may continue (401 if anonymous, 403 otherwise).
+ * @param {...string} roles
+ * @returns {Function}
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!getConfig().auth.enabled) {
+            return next();
+        }
+        if (!req.auth) {
+            return res.status(401).json({ error: 'Authentication required. Send an API key as "Authorization: Bearer <key>".' });
+        }
+        if (!roles.includes(req.auth.role)) {
+            return res.status(403).json({ error: `This endpoint needs one of the roles: ${roles.join(', ')} (your key has role ${req.auth.role}).` });
+        }
+        next();
+    };
+}
+
+// Any issued key may read
+const requireReader = requireRole(...ROLES);
+
+/**
+ * Middleware: readings can only be submitted with a project key for this node's projId.
+ */
+function requireOwnProject(req, res, next) {
+    requireRole('project')(req, res, () => {
+        const { enabled } = getConfig().auth;
+        const { projId } = getConfig();
+        if (enabled && req.auth.projId !== projId) {
+            return res.status(403).json({ error: `This key belongs to project ${req.auth.projId}; this node submits for project ${projId}.` });
+        }
+        next();
+    });
+}
+
+/**
+ * Headers for calls to peers, carrying this node's credentials.
+ * @returns {Object}
+ */
+function nodeHeaders() {
+    const { nodeToken } = getConfig().auth;
+    return nodeToken ? { Authorization: `Bearer ${nodeToken}` } : {};
+}
+
+module.exports = {
+    ROLES,
+    hashKey,
+    generateApiKey,
+    loadApiKeys,
+    authenticate,
+    requireRole,
+    requireReader,
+    requireOwnProject,
+    nodeHeaders
+};
@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+// bin/chain.js
+// Command-line client for operating nodes. It only uses a node's HTTP API, so it works against any node,
+// local or remote. Output is a readable summary, or the API's JSON with --json.
+//
+//   node bin/chain.js [--node <url>] [--api-key <key>] [--json] <command> ...
+//
+// Run `node bin/chain.js help` for the commands.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const schema = require('../schema');
+const signatures = require('../signatures');
+const { verifyMerkleProof } = require('../merkle');
+const { auditBlocks } = require('../routes/blocks');
+
+const DEFAULT_NODE_URL = 'http://localhost:3000/api';
+const DEFAULT_AUTHORITY_PUBLIC_KEY_FILE = path.join(__dirname, '..', 'config', 'authority.pub');
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const BATCH_SIZE = 1000; // Largest batch accepted by POST /api/transactions/submit-batch
+const BLOCK_PAGE_SIZE = 100; // Largest range served by GET /api/blocks
+const BOOLEAN_FLAGS = ['json', 'help', 'remote'];
+
+const USAGE = `Usage: node bin/chain.js [options] <command> [arguments]
+
+Commands:
+  node register <nodeUrl>          Register a node with the network (send it to RegAuth)
+  submit --submitter <id> --station <id> --so2 <n> --no2 <n> --pm10 <n> --pm25 <n> [--timestamp <iso>] [--key <key>]
+                                   Sign a reading with the submitter's private key and submit it
+  submit-file <readings.csv|json> [--key <key>]
+                                   Submit a file of readings as batches; unsigned rows are signed with --key
+                                   (a new transactionId, and the current time unless the row has a timestamp)
+  chain show [--last <n>] [--from <i>] [--to <i>]
+                                   List block headers (default: the last 10 blocks)
+  chain verify [--remote] [--authority-public-key <file>]
+                                   Download the chain and re-check hashes, merkle roots, links and signatures
+                                   (--remote: ask the node to run GET /blocks/validate instead)
+  tx status <transactionId>        Pending, confirmed (with confirmations), evicted or unknown
+  tx proof <transactionId>         Fetch the merkle inclusion proof and verify it locally
+  peers list [--status active|retired]
+  mempool list [--submitter <id>] [--station <id>] [--proj-id <id>] [--limit <n>]
+
+Options:
+  --node <url>      Node API URL (env CHAIN_NODE, default ${DEFAULT_NODE_URL})
+  --api-key <key>   API key for nodes that run with --auth (env CHAIN_API_KEY)
+  --key <key>       Submitter private key: base64, a file holding it, or the JSON printed by
+                    scripts/submitter-keys.js generate (env CHAIN_SUBMITTER_KEY)
+  --json            Print the JSON responses instead of a summary
+  --help            Show this help
+
+Exit status is 1 if a request fails, a reading is rejected or a verification fails.`;
+
+class UsageError extends Error {}
+
+// Splits the arguments into positional words and --flags (as "--name value" or "--name=value").
+function parseArgs(args) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = 'true';
+        } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+            flags[name] = args[++i];
+        } else {
+            throw new UsageError(`--${name} needs a value.`);
+        }
+    }
+    return { flags, positional };
+}
+
+function integerFlag(flags, name, min) {
+    if (flags[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < min) {
+        throw new UsageError(`--${name} must be an integer of at least ${min}.`);
+    }
+    return value;
+}
+
+// --- HTTP ---
+
+function createClient(flags) {
+    const apiKey = flags['api-key'] || process.env.CHAIN_API_KEY;
+    const http = axios.create({
+        baseURL: (flags.node || process.env.CHAIN_NODE || DEFAULT_NODE_URL).replace(/\/+$/, ''),
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+
+    // Returns the response body. Statuses listed in `accept` are answers, not errors (e.g. 404 for tx status).
+    return async function request(method, url, { params, data, accept = [] } = {}) {
+        try {
+            const response = await http.request({ method, url, params, data, validateStatus: status => (status >= 200 && status < 300) || accept.includes(status) });
+            return response.data;
+        } catch (error) {
+            if (!error.response) {
+                throw new Error(`${http.defaults.baseURL}${url}: ${error.code || error.message}`);
+            }
+            const body = error.response.data || {};
+            const reason = [body.error, body.note].find(value => typeof value === 'string') || error.message;
+            const details = typeof body.details === 'string' ? ` ${body.details}` : Array.isArray(body.details) ? ` ${body.details.join(' ')}` : '';
+            const fieldErrors = Array.isArray(body.fieldErrors) ? ` (${schema.describeErrors(body.fieldErrors)})` : '';
+            throw new Error(`HTTP ${error.response.status} from ${method.toUpperCase()} ${url}: ${reason}${details}${fieldErrors}`);
+        }
+    };
+}
+
+// --- Output ---
+
+function short(hash) {
+    return typeof hash === 'string' && hash.length > 16 ? `${hash.slice(0, 16)}…` : String(hash);
+}
+
+// Prints rows as a text table. columns: [[title, row => value], ...]
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log('(none)');
+        return;
+    }
+    const cells = rows.map(row => columns.map(([, value]) => {
+        const cell = value(row);
+        return cell === undefined || cell === null ? '-' : String(cell);
+    }));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(line => line[i].length)));
+    const format = line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    console.log(format(columns.map(([title]) => title)));
+    console.log(format(widths.map(width => '-'.repeat(width))));
+    cells.forEach(line => console.log(format(line)));
+}
+
+// Prints label: value lines, aligned
+function printFields(pairs) {
+    const width = Math.max(...pairs.map(([label]) => label.length));
+    pairs.forEach(([label, value]) => console.log(`${`${label}:`.padEnd(width + 2)}${value === undefined || value === null ? '-' : value}`));
+}
+
+function readingColumns() {
+    return [
+        ['Transaction', tx => tx.transactionId],
+        ['Project', tx => tx.projId],
+        ['Station', tx => tx.stationID],
+        ['Submitter', tx => tx.submitterId],
+        ['SO2', tx => tx.SO2],
+        ['NO2', tx => tx.NO2],
+        ['PM10', tx => tx.PM10],
+        ['PM2_5', tx => tx.PM2_5]
+    ];
+}
+
+// --- Signing ---
+
+// Reads the submitter's private key from --key / CHAIN_SUBMITTER_KEY: the base64 key itself, a file
+// holding it, or the JSON printed by `scripts/submitter-keys.js generate` ({ submitterId, privateKey }).
+function loadSubmitterKey(flags) {
+    let value = flags.key || process.env.CHAIN_SUBMITTER_KEY;
+    if (!value) {
+        return null;
+    }
+    if (fs.existsSync(value)) {
+        value = fs.readFileSync(value, 'utf8').trim();
+    }
+    let key = { privateKey: value.trim() };
+    if (value.startsWith('{')) {
+        const parsed = JSON.parse(value);
+        key = { privateKey: parsed.privateKey, submitterId: parsed.submitterId };
+    }
+    try {
+        key.publicKey = crypto.createPublicKey(crypto.createPrivateKey({ key: Buffer.from(key.privateKey, 'base64'), format: 'der', type: 'pkcs8' }))
+            .export({ type: 'spki', format: 'der' }).toString('base64');
+    } catch (error) {
+        throw new UsageError('--key is not a valid Ed25519 private key (base64 PKCS#8, as printed by scripts/submitter-keys.js generate).');
+    }
+    return key;
+}
+
+// The projId of the node readings are submitted to: it is part of the signed payload.
+async function nodeProjId(request) {
+    const { projId } = await request('get', '/network/ping');
+    return projId;
+}
+
+// Signs the canonical payload of a reading (see signatures.readingPayload) for the project projId.
+// A new transactionId, and the current time as timestamp, are filled in if the reading has none. Returns { reading, errors }.
+function signReading(input, key, projId) {
+    const { reading, errors } = schema.normalizeReading({
+        transactionId: crypto.randomUUID().split('-').join(''),
+        timestamp: new Date().toISOString(),
+        projId,
+        ...input
+    });
+    if (errors.length > 0) {
+        return { reading: input, errors };
+    }
+    const signature = signatures.sign(signatures.readingPayload(reading), key.privateKey);
+    return { reading: { ...reading, signature, publicKey: key.publicKey }, errors };
+}
+
+// --- Commands ---
+
+// node register <nodeUrl>
+async function nodeRegister({ request, flags, args }) {
+    const [newNodeUrl] = args;
+    if (!newNodeUrl) {
+        throw new UsageError('node register needs the URL of the node to register, e.g. http://localhost:3001/api');
+    }
+    if (!/^https?:\/\/[^\s]+\/api$/.test(newNodeUrl)) {
+        throw new UsageError(`"${newNodeUrl}" is not a node URL. Node URLs end in /api, e.g. http://localhost:3001/api`);
+    }
+    const result = await request('post', '/network/register-and-broadcast-node', { data: { newNodeUrl } });
+    if (flags.json) {
+        return print(result);
+    }
+    console.log(result.note);
+    console.log(`Peers of the registering node: ${result.networkNodes.join(', ') || '(none)'}`);
+}
+
+// submit --submitter --station --so2 --no2 --pm10 --pm25 [--timestamp] [--key]
+const READING_FLAGS = { submitter: 'submitterId', station: 'stationID', so2: 'SO2', no2: 'NO2', pm10: 'PM10', pm25: 'PM2_5', pm2_5: 'PM2_5', timestamp: 'timestamp' };
+
+async function submit({ request, flags }) {
+    const key = loadSubmitterKey(flags);
+    if (!key) {
+        throw new UsageError('submit needs the submitter\'s private key: --key <key> or CHAIN_SUBMITTER_KEY.');
+    }
+    const input = {};
+    Object.entries(READING_FLAGS).forEach(([flag, field]) => {
+        if (flags[flag] !== undefined) {
+            const number = Number(flags[flag]);
+            input[field] = schema.READING_SCHEMA[field] && schema.READING_SCHEMA[field].type === 'number' && flags[flag].trim() !== '' && !Number.isNaN(number) ? number : flags[flag];
+        }
+    });
+    if (input.submitterId === undefined && key.submitterId) {
+        input.submitterId = key.submitterId;
+    }
+    const { reading, errors } = signReading(input, key, await nodeProjId(request));
+    if (errors.length > 0) {
+        throw new UsageError(`Invalid reading: ${schema.describeErrors(errors)}.`);
+    }
+    const result = await request('post', '/transactions/submit', { data: reading });
+    if (flags.json) {
+        return print(result);
+    }
+    console.log(`Submitted ${result.transaction.transactionId} (pending). ${result.note}`);
+    console.log(`Follow it with: node bin/chain.js tx status ${result.transaction.transactionId}`);
+}
+
+// submit-file <readings.csv|readings.json> [--key]
+// Readings are sent in batches of BATCH_SIZE; rows are numbered from 0 across the whole file.
+async function submitFile({ request, flags, args }) {
+    const [file] = args;
+    if (!file) {
+        throw new UsageError('submit-file needs a CSV (with a header row) or JSON array file of readings.');
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    const readings = path.extname(file).toLowerCase() === '.json' || /^\s*\[/.test(text) ? JSON.parse(text) : schema.parseCsv(text);
+    if (!Array.isArray(readings) || readings.length === 0) {
+        throw new UsageError(`${file} holds no readings.`);
+    }
+
+    // Unsigned rows are signed with --key; rows with schema errors are sent as they are for the node to report
+    const key = loadSubmitterKey(flags);
+    const projId = key ? await nodeProjId(request) : undefined;
+    const toSend = readings.map(input => {
+        if (!key || !input || typeof input !== 'object' || input.signature) {
+            return input;
+        }
+        const { reading } = signReading({ submitterId: key.submitterId, ...input }, key, projId);
+        return reading;
+    });
+
+    const summary = { file, accepted: 0, rejected: 0, batches: [], results: [] };
+    for (let start = 0; start < toSend.length; start += BATCH_SIZE) {
+        const batch = toSend.slice(start, start + BATCH_SIZE);
+        const result = await request('post', '/transactions/submit-batch', { data: batch, accept: [400] });
+        if (!Array.isArray(result.results)) {
+            throw new Error(`Batch starting at row ${start} was rejected: ${result.error || result.note}`);
+        }
+        summary.accepted += result.accepted;
+        summary.rejected += result.rejected;
+        summary.batches.push({ batchId: result.batchId || null, firstRow: start, accepted: result.accepted, rejected: result.rejected });
+        summary.results.push(...result.results.map(row => ({ ...row, row: row.row + start })));
+    }
+
+    if (flags.json) {
+        print(summary);
+    } else {
+        console.log(`${file}: ${summary.accepted} readings accepted, ${summary.rejected} rejected (${summary.batches.length} ${summary.batches.length === 1 ? 'batch' : 'batches'}).`);
+        const rejected = summary.results.filter(result => result.status === 'rejected');
+        if (rejected.length > 0) {
+            printTable(rejected, [['Row', result => result.row], ['Error', result => result.error]]);
+        }
+    }
+    if (summary.rejected > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// chain show [--last n] [--from i] [--to i]
+async function chainShow({ request, flags }) {
+    const { tipIndex } = await request('get', '/blocks/headers', { params: { from: 0, to: 0 } });
+    const last = integerFlag(flags, 'last', 1) || 10;
+    const to = Math.min(integerFlag(flags, 'to', 0) ?? tipIndex, tipIndex);
+    const from = integerFlag(flags, 'from', 0) ?? Math.max(0, to - last + 1);
+    const result = to < from ? { from, to, tipIndex, blocks: [] } : await request('get', '/blocks/headers', { params: { from, to } });
+    if (flags.json) {
+        return print(result);
+    }
+    console.log(`Chain tip: block ${tipIndex}. Blocks ${from} to ${result.to}:`);
+    printTable(result.blocks, [
+        ['Index', block => block.blockIndex],
+        ['Timestamp', block => block.timestamp],
+        ['Txs', block => block.transactions.length],
+        ['Hash', block => short(block.hash)],
+        ['Previous', block => short(block.previousBlockHash)]
+    ]);
+}
+
+// Reads RegAuth's public key for checking block signatures, or null if none is available.
+function loadAuthorityPublicKey(flags) {
+    const file = flags['authority-public-key'] || process.env.AUTHORITY_PUBLIC_KEY_FILE;
+    if (file && !fs.existsSync(file)) {
+        throw new UsageError(`Authority public key not found at ${file}.`);
+    }
+    const keyFile = file || DEFAULT_AUTHORITY_PUBLIC_KEY_FILE;
+    return fs.existsSync(keyFile) ? fs.readFileSync(keyFile, 'utf8').trim() : null;
+}
+
+// chain verify [--remote] [--authority-public-key file]
+async function chainVerify({ request, flags }) {
+    let report;
+    if (flags.remote) {
+        report = await request('get', '/blocks/validate');
+    } else {
+        const authorityPublicKey = loadAuthorityPublicKey(flags);
+        const chain = [];
+        let tipIndex = 0;
+        for (let from = 0; from <= tipIndex; from += BLOCK_PAGE_SIZE) {
+            const page = await request('get', '/blocks', { params: { from, to: from + BLOCK_PAGE_SIZE - 1 } });
+            tipIndex = page.tipIndex;
+            chain.push(...page.blocks);
+        }
+        report = {
+            ...auditBlocks(chain, authorityPublicKey ? block => signatures.verify(block.hash, block.signature || '', authorityPublicKey) : null),
+            signaturesChecked: Boolean(authorityPublicKey)
+        };
+    }
+
+    if (flags.json) {
+        print(report);
+    } else {
+        const where = flags.remote ? 'by the node' : 'locally';
+        console.log(`${report.valid ? 'Chain is valid' : 'Chain is INVALID'}: ${report.checkedBlocks} blocks and ${report.checkedTransactions} transactions checked ${where}.`);
+        if (report.signaturesChecked === false) {
+            console.log('Authority signatures were not checked: no authority public key (use --authority-public-key <file>).');
+        }
+        if (report.firstBrokenLink) {
+            console.log(`First broken link: block ${report.firstBrokenLink.blockIndex}: ${report.firstBrokenLink.reason}`);
+        }
+        if (report.blockIssues.length > 0) {
+            printTable(report.blockIssues, [['Block', issue => issue.blockIndex], ['Issue', issue => issue.reason]]);
+        }
+        if (report.tamperedTransactions.length > 0) {
+            printTable(report.tamperedTransactions, [['Block', tx => tx.blockIndex], ['Transaction', tx => tx.transactionId], ['Issue', tx => tx.reason]]);
+        }
+    }
+    if (!report.valid) {
+        process.exitCode = 1;
+    }
+}
+
+// tx status <transactionId>
+async function txStatus({ request, flags, args }) {
+    const [transactionId] = args;
+    if (!transactionId) {
+        throw new UsageError('tx status needs a transaction ID.');
+    }
+    const result = await request('get', `/transactions/${encodeURIComponent(transactionId)}`, { accept: [404] });
+    if (flags.json) {
+        print(result);
+    } else if (result.status === 'pending') {
+        printFields([['Status', 'pending'], ['Waiting', `${Math.round(result.ageMs / 1000)} s`], ...readingFields(result.transaction)]);
+    } else if (result.status === 'confirmed') {
+        printFields([
+            ['Status', 'confirmed'],
+            ['Block', `${result.blockIndex} (${result.blockHash})`],
+            ['Confirmations', result.confirmations],
+            ...readingFields(result.transaction)
+        ]);
+    } else if (result.status === 'evicted') {
+        printFields([['Status', 'evicted'], ['Transaction', result.transactionId], ['Reason', result.reason], ['Evicted at', result.evictedAt]]);
+    } else {
+        console.log(`Transaction ${transactionId} is unknown to this node.`);
+    }
+    if (result.status === 'unknown') {
+        process.exitCode = 1;
+    }
+}
+
+// Confirmed transactions only carry their raw_data_json; the reading is read from it
+function readingFields(transaction) {
+    const tx = transaction.rawDataJson && transaction.SO2 === undefined ? { ...JSON.parse(transaction.rawDataJson), ...transaction } : transaction;
+    return [
+        ['Transaction', tx.transactionId],
+        ['Project', tx.projId],
+        ['Station', tx.stationID],
+        ['Submitter', tx.submitterId],
+        ['Reading', `SO2 ${tx.SO2}, NO2 ${tx.NO2}, PM10 ${tx.PM10}, PM2_5 ${tx.PM2_5}`],
+        ['Timestamp', tx.timestamp],
+        ['Row hash', tx.rowHash]
+    ];
+}
+
+// tx proof <transactionId>
+// The proof is checked here, not trusted: the rowHash is recomputed from the transaction's data and
+// hashed up the sibling path to the block header's merkle root.
+async function txProof({ request, flags, args }) {
+    const [transactionId] = args;
+    if (!transactionId) {
+        throw new UsageError('tx proof needs a transaction ID.');
+    }
+    const result = await request('get', `/transactions/${encodeURIComponent(transactionId)}/proof`);
+    const { transaction, blockHeader, proof } = result;
+    const reCalculatedRowHash = crypto.createHash('sha256').update(transaction.transactionId + transaction.timestamp + transaction.rawDataJson).digest('hex');
+    const verification = {
+        rowHashMatches: reCalculatedRowHash === transaction.rowHash,
+        includedInBlock: verifyMerkleProof(transaction.rowHash, proof, blockHeader.merkleRoot)
+    };
+    verification.valid = verification.rowHashMatches && verification.includedInBlock;
+
+    if (flags.json) {
+        print({ ...result, verification });
+    } else {
+        printFields([
+            ['Transaction', transaction.transactionId],
+            ['Block', `${blockHeader.blockIndex} (${blockHeader.hash})`],
+            ['Merkle root', blockHeader.merkleRoot],
+            ['Leaf', `${result.leafIndex} of the block's transactions, ${proof.length} sibling hashes`],
+            ['Row hash', verification.rowHashMatches ? 'matches the transaction data' : 'DOES NOT match the transaction data'],
+            ['Proof', verification.includedInBlock ? 'valid: the transaction is included under the merkle root' : 'INVALID']
+        ]);
+    }
+    if (!verification.valid) {
+        process.exitCode = 1;
+    }
+}
+
+// peers list [--status active|retired]
+async function peersList({ request, flags }) {
+    const result = await request('get', '/network/peers', { params: { status: flags.status } });
+    if (flags.json) {
+        return print(result);
+    }
+    printTable(result.peers, [
+        ['URL', peer => peer.url],
+        ['Status', peer => peer.status],
+        ['Failures', peer => peer.failureCount],
+        ['Last seen', peer => peer.lastSeen],
+        ['Added', peer => peer.addedAt]
+    ]);
+}
+
+// mempool list [--submitter] [--station] [--proj-id] [--limit]
+async function mempoolList({ request, flags }) {
+    const params = {
+        submitterId: flags.submitter,
+        stationID: flags.station,
+        projId: flags['proj-id'],
+        limit: integerFlag(flags, 'limit', 1)
+    };
+    const result = await request('get', '/transactions/mempool', { params });
+    if (flags.json) {
+        return print(result);
+    }
+    console.log(`${result.total} pending transactions${result.count < result.total ? `, showing ${result.count}` : ''}:`);
+    printTable(result.transactions, [...readingColumns(), ['Waiting', tx => `${Math.round(tx.ageMs / 1000)} s`]]);
+}
+
+function print(result) {
+    console.log(JSON.stringify(result, null, 2));
+}
+
+const COMMANDS = {
+    'node register': nodeRegister,
+    submit,
+    'submit-file': submitFile,
+    'chain show': chainShow,
+    'chain verify': chainVerify,
+    'tx status': txStatus,
+    'tx proof': txProof,
+    'peers list': peersList,
+    'mempool list': mempoolList
+};
+
+async function main(argv) {
+    const { flags, positional } = parseArgs(argv);
+    if (flags.help || positional.length === 0 || positional[0] === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    const name = [positional.slice(0, 2).join(' '), positional[0]].find(candidate => COMMANDS[candidate]);
+    if (!name) {
+        throw new UsageError(`Unknown command "${positional.slice(0, 2).join(' ')}". Run node bin/chain.js help.`);
+    }
+    const args = positional.slice(name.split(' ').length);
+    await COMMANDS[name]({ request: createClient(flags), flags, args });
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// bin/cluster.js
+// Starts a local network (RegAuth and N project nodes, see cluster.js) and keeps it running until Ctrl+C,
+// then stops every node and removes the temporary data directory.
+//
+//   node bin/cluster.js [--projects <n>] [--submitters <id,id>] [--data-dir <dir>] [--keep-data] [--log] [-- <node flags>]
+//
+// Flags after "--" are passed to every node, e.g. -- --block-max-wait-ms 2000 --mining-interval-ms 1000
+const path = require('path');
+const { startCluster } = require('../cluster');
+
+const USAGE = `Usage: node bin/cluster.js [options] [-- <flags for every node>]
+
+Options:
+  --projects <n>        Number of project nodes (default 2)
+  --submitters <ids>    Comma-separated submitter IDs to create keys for (registered with every node)
+  --data-dir <dir>      Keep databases, keys and logs in <dir> instead of a temporary directory
+  --keep-data           Do not remove the temporary directory on exit
+  --log                 Print the nodes' output, prefixed with their names
+  --start-timeout-ms <n>
+                        How long to wait for the nodes to start and sync (default 30000)
+  --help                Show this help
+
+Example:
+  node bin/cluster.js --projects 3 --submitters ManufacturerAlpha -- --block-max-wait-ms 2000 --mining-interval-ms 1000`;
+
+const BOOLEAN_FLAGS = ['keep-data', 'log', 'help'];
+
+function parseArgs(args) {
+    const separator = args.indexOf('--');
+    const nodeArgs = separator === -1 ? [] : args.slice(separator + 1);
+    const own = separator === -1 ? args : args.slice(0, separator);
+    const flags = {};
+    for (let i = 0; i < own.length; i++) {
+        const [name, inlineValue] = own[i].replace(/^--/, '').split(/=(.*)/s);
+        if (!own[i].startsWith('--') || ![...BOOLEAN_FLAGS, 'projects', 'submitters', 'data-dir', 'start-timeout-ms'].includes(name)) {
+            throw new Error(`Unknown argument ${own[i]}. Run node bin/cluster.js --help.`);
+        }
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else if (i + 1 < own.length) {
+            flags[name] = own[++i];
+        } else {
+            throw new Error(`--${name} needs a value.`);
+        }
+    }
+    return { flags, nodeArgs };
+}
+
+async function main() {
+    const { flags, nodeArgs } = parseArgs(process.argv.slice(2));
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+    const projects = flags.projects === undefined ? 2 : Number(flags.projects);
+    const startTimeoutMs = flags['start-timeout-ms'] === undefined ? undefined : Number(flags['start-timeout-ms']);
+    if (startTimeoutMs !== undefined && !(Number.isInteger(startTimeoutMs) && startTimeoutMs > 0)) {
+        throw new Error('--start-timeout-ms must be a positive integer.');
+    }
+
+    const cluster = await startCluster({
+        projects,
+        submitters: flags.submitters ? flags.submitters.split(',').map(id => id.trim()).filter(Boolean) : [],
+        nodeArgs,
+        dataDir: flags['data-dir'],
+        keepData: Boolean(flags['keep-data']),
+        log: Boolean(flags.log),
+        startTimeoutMs
+    });
+
+    let stopping = false;
+    const shutdown = async () => {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        console.log('Stopping the cluster...');
+        await cluster.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    // A node that dies on its own takes the cluster down with it, so a test run does not hang on a half network
+    cluster.nodes.forEach(node => node.exited.then(code => {
+        if (!stopping) {
+            console.error(`${node.name} exited (code ${code}). Log: ${node.logFile}`);
+            shutdown();
+        }
+    }));
+
+    console.log('');
+    cluster.nodes.forEach(node => console.log(`${node.name.padEnd(8)} projId ${node.projId.padEnd(3)} ${node.url}   log: ${node.logFile}`));
+    Object.keys(cluster.submitters).forEach(submitterId => {
+        console.log(`Submitter ${submitterId}: key file ${path.join(cluster.dataDir, `${submitterId}.key.json`)}`);
+    });
+    console.log('');
+    console.log(`Try: node bin/chain.js --node ${cluster.regAuth.url} chain show`);
+    console.log('Press Ctrl+C to stop the cluster.');
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
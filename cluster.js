@@ -0,0 +1,326 @@
+// cluster.js
+// Local multi-node network for development and integration tests. Starts RegAuth and N project nodes as
+// child processes of this one, on free ports and with their databases, keys and logs in a temporary
+// directory, registers the project nodes with RegAuth and waits until every node holds RegAuth's chain.
+// stop() shuts the nodes down and removes the directory. bin/cluster.js runs it from the command line.
+//
+//   const { startCluster } = require('./cluster');
+//   const cluster = await startCluster({ projects: 2, submitters: ['ManufacturerAlpha'] });
+//   const tx = await cluster.submit(cluster.projects[0], { submitterId: 'ManufacturerAlpha', stationID: 'S25', SO2: 35, NO2: 50, PM10: 120, PM2_5: 40 });
+//   const { blockIndex } = await cluster.waitForTransaction(tx.transactionId);
+//   await cluster.stop();
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const schema = require('./schema');
+const signatures = require('./signatures');
+
+const INDEX_FILE = path.join(__dirname, 'index.js');
+const POLL_INTERVAL_MS = 250;
+const REQUEST_TIMEOUT_MS = 5 * 1000;
+const STOP_TIMEOUT_MS = 5 * 1000; // A node that has not exited this long after SIGINT is killed
+
+// Asks the OS for a port nobody listens on
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// projA, projB ... like the node names in help.txt
+function projectName(i) {
+    return i < 26 ? `proj${String.fromCharCode(65 + i)}` : `proj${i + 1}`;
+}
+
+function hasExited(node) {
+    return node.process.exitCode !== null || node.process.signalCode !== null;
+}
+
+// Last lines of a node's log, for startup errors
+function logTail(node, lines = 20) {
+    try {
+        return fs.readFileSync(node.logFile, 'utf8').trimEnd().split('\n').slice(-lines).join('\n');
+    } catch (error) {
+        return '(no log)';
+    }
+}
+
+/**
+ * Starts a local network: RegAuth (projId '0') and `projects` project nodes (projIds '1', '2', ...).
+ * @param {Object} [options]
+ * @param {number} [options.projects] Number of project nodes (default 2).
+ * @param {Array<string>} [options.submitters] Submitter IDs to create Ed25519 keys for. The keys are registered
+ *   with every node (SUBMITTER_KEYS_FILE) and used by cluster.submit.
+ * @param {Array<string>} [options.nodeArgs] Extra command line flags for every node, e.g. ['--block-max-wait-ms', '2000'].
+ * @param {Object} [options.env] Extra environment variables for every node.
+ * @param {string} [options.dataDir] Directory for databases, keys and logs (default: a new temporary directory).
+ * @param {boolean} [options.keepData] Keep the directory after stop() (default false; always kept if dataDir is given).
+ * @param {boolean} [options.log] Also print the nodes' output, prefixed with their names (default false).
+ * @param {number} [options.startTimeoutMs] How long to wait for the nodes to start and sync (default 30 s).
+ * @returns {Promise<Object>} The cluster: { regAuth, projects, nodes, submitters, dataDir, submit, waitForTransaction,
+ *   getBlock, waitForSync, stop }. Each node is { name, projId, port, url, dataDir, logFile, process }.
+ * @throws {Error} If a node fails to start or sync; the nodes already started are stopped first.
+ */
+async function startCluster(options = {}) {
+    const {
+        projects = 2,
+        submitters = [],
+        nodeArgs = [],
+        env = {},
+        log = false,
+        startTimeoutMs = 30 * 1000
+    } = options;
+    if (!Number.isInteger(projects) || projects < 0) {
+        throw new Error('Cluster Module: projects must be a non-negative integer.');
+    }
+    const dataDir = options.dataDir ? path.resolve(options.dataDir) : fs.mkdtempSync(path.join(os.tmpdir(), 'chain-cluster-'));
+    const keepData = Boolean(options.keepData || options.dataDir);
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    // Keys shared by the nodes: RegAuth creates the authority keypair on first start, project nodes read its public key
+    const files = {
+        authorityPrivateKey: path.join(dataDir, 'authority.key'),
+        authorityPublicKey: path.join(dataDir, 'authority.pub'),
+        submitterKeys: path.join(dataDir, 'submitter-keys.json')
+    };
+    const submitterKeys = {};
+    const registered = {};
+    submitters.forEach(submitterId => {
+        submitterKeys[submitterId] = signatures.generateKeyPair();
+        registered[submitterId] = [submitterKeys[submitterId].publicKey];
+        // Same format as `node scripts/submitter-keys.js generate`, so bin/chain.js --key <file> can use it
+        fs.writeFileSync(path.join(dataDir, `${submitterId}.key.json`), JSON.stringify({ submitterId, ...submitterKeys[submitterId] }, null, 4) + '\n', { mode: 0o600 });
+    });
+    fs.writeFileSync(files.submitterKeys, JSON.stringify(registered, null, 4) + '\n');
+
+    const nodes = [];
+    let stopped = false;
+
+    function startNode(name, projId, port, extraArgs) {
+        const node = { name, projId, port, url: `http://localhost:${port}/api`, dataDir: path.join(dataDir, name), logFile: path.join(dataDir, `${name}.log`) };
+        fs.mkdirSync(node.dataDir, { recursive: true });
+        const args = [
+            INDEX_FILE,
+            '--port', String(port),
+            '--url', node.url,
+            '--proj-id', projId,
+            '--data-dir', node.dataDir,
+            '--db', `${name}.db`,
+            '--submitter-keys', files.submitterKeys,
+            '--authority-private-key', files.authorityPrivateKey,
+            '--authority-public-key', files.authorityPublicKey,
+            ...extraArgs,
+            ...nodeArgs
+        ];
+        node.process = spawn(process.execPath, args, { cwd: __dirname, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+        const logStream = fs.createWriteStream(node.logFile);
+        [node.process.stdout, node.process.stderr].forEach(stream => {
+            readline.createInterface({ input: stream }).on('line', line => {
+                logStream.write(line + '\n');
+                if (log) {
+                    console.log(`[${name}] ${line}`);
+                }
+            });
+        });
+        // 'close' comes after the output streams have ended, so every line is in the log by then
+        node.exited = new Promise(resolve => node.process.on('close', code => {
+            logStream.end();
+            resolve(code);
+        }));
+        nodes.push(node);
+        return node;
+    }
+
+    // Polls check() until it returns a truthy value. Fails early if the node exits or check() throws an
+    // error marked fatal; other errors (e.g. the node is not listening yet) are retried.
+    async function waitFor(node, description, check, timeoutMs = startTimeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        let lastError = null;
+        while (Date.now() < deadline) {
+            if (node && hasExited(node)) {
+                throw new Error(`Cluster Module: ${node.name} exited (${node.process.exitCode ?? node.process.signalCode}) while waiting for ${description}. Last lines of its log:\n${logTail(node)}`);
+            }
+            try {
+                const result = await check();
+                if (result) {
+                    return result;
+                }
+            } catch (error) {
+                if (error.fatal) {
+                    throw error;
+                }
+                lastError = error;
+            }
+            await delay(POLL_INTERVAL_MS);
+        }
+        const reason = lastError ? ` Last error: ${lastError.message}.` : '';
+        throw new Error(`Cluster Module: Timed out after ${timeoutMs} ms waiting for ${description}.${reason}${node ? ` Last lines of the ${node.name} log:\n${logTail(node)}` : ''}`);
+    }
+
+    async function get(node, url, params) {
+        const response = await axios.get(`${node.url}${url}`, { params, timeout: REQUEST_TIMEOUT_MS });
+        return response.data;
+    }
+
+    async function tipOf(node) {
+        const { tipIndex } = await get(node, '/blocks/headers', { from: 0, to: 0 });
+        if (tipIndex < 0) {
+            return null;
+        }
+        const { blocks } = await get(node, '/blocks/headers', { from: tipIndex, to: tipIndex });
+        return blocks[0];
+    }
+
+    /**
+     * Waits until every project node has RegAuth's chain tip.
+     * @param {Object} [waitOptions] { timeoutMs }
+     * @returns {Promise<Object>} RegAuth's tip block header.
+     */
+    async function waitForSync(waitOptions = {}) {
+        const timeoutMs = waitOptions.timeoutMs || startTimeoutMs;
+        const tip = await waitFor(cluster.regAuth, 'the RegAuth chain', () => tipOf(cluster.regAuth), timeoutMs);
+        for (const node of cluster.projects) {
+            await waitFor(node, `${node.name} to sync block ${tip.blockIndex}`, async () => {
+                const nodeTip = await tipOf(node);
+                return nodeTip && nodeTip.blockIndex >= tip.blockIndex;
+            }, timeoutMs);
+        }
+        return tip;
+    }
+
+    /**
+     * Signs a reading with the cluster key of its submitterId and submits it to a node.
+     * A new transactionId, the current time and the node's projId are filled in unless the reading has them.
+     * @param {Object} node One of cluster.nodes.
+     * @param {Object} reading { submitterId, stationID, SO2, NO2, PM10, PM2_5 }
+     * @returns {Promise<Object>} The transaction created by the node (pending).
+     */
+    async function submit(node, reading) {
+        const keyPair = submitterKeys[reading.submitterId];
+        if (!keyPair) {
+            throw new Error(`Cluster Module: No key for submitter "${reading.submitterId}". Start the cluster with submitters: ['${reading.submitterId}'].`);
+        }
+        const { reading: normalized, errors } = schema.normalizeReading({
+            transactionId: crypto.randomUUID().split('-').join(''),
+            timestamp: new Date().toISOString(),
+            projId: node.projId,
+            ...reading
+        });
+        if (errors.length > 0) {
+            throw new Error(`Cluster Module: Invalid reading: ${schema.describeErrors(errors)}.`);
+        }
+        const signature = signatures.sign(signatures.readingPayload(normalized), keyPair.privateKey);
+        const response = await axios.post(`${node.url}/transactions/submit`, { ...normalized, signature, publicKey: keyPair.publicKey }, { timeout: REQUEST_TIMEOUT_MS });
+        return response.data.transaction;
+    }
+
+    /**
+     * Waits until a transaction is confirmed on a node (default RegAuth).
+     * @param {string} transactionId
+     * @param {Object} [waitOptions] { node, timeoutMs } (timeoutMs defaults to 60 s)
+     * @returns {Promise<Object>} The GET /api/transactions/:id answer: { status: 'confirmed', blockIndex, blockHash, confirmations, transaction }.
+     */
+    async function waitForTransaction(transactionId, waitOptions = {}) {
+        const node = waitOptions.node || cluster.regAuth;
+        return waitFor(node, `transaction ${transactionId} to be confirmed on ${node.name}`, async () => {
+            const status = await get(node, `/transactions/${encodeURIComponent(transactionId)}`);
+            if (status.status === 'evicted') {
+                throw Object.assign(new Error(`Cluster Module: Transaction ${transactionId} was evicted: ${status.reason}`), { fatal: true });
+            }
+            return status.status === 'confirmed' ? status : null;
+        }, waitOptions.timeoutMs || 60 * 1000);
+    }
+
+    /**
+     * A block with its full transactions, as stored on a node (default RegAuth).
+     * @param {number} blockIndex
+     * @param {Object} [node]
+     * @returns {Promise<Object|null>} Null if the node does not have the block.
+     */
+    async function getBlock(blockIndex, node = cluster.regAuth) {
+        const { blocks } = await get(node, '/blocks', { from: blockIndex, to: blockIndex });
+        return blocks[0] || null;
+    }
+
+    /**
+     * Stops every node (SIGINT, then SIGKILL after STOP_TIMEOUT_MS) and removes the data directory unless it is kept.
+     * Safe to call more than once.
+     */
+    async function stop() {
+        if (stopped) {
+            return;
+        }
+        stopped = true;
+        process.removeListener('exit', killNodes);
+        await Promise.all(nodes.map(async node => {
+            if (hasExited(node)) {
+                return;
+            }
+            node.process.kill('SIGINT');
+            const timer = setTimeout(() => node.process.kill('SIGKILL'), STOP_TIMEOUT_MS);
+            await node.exited;
+            clearTimeout(timer);
+        }));
+        if (!keepData) {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    }
+
+    // If this process exits without stop(), do not leave the nodes running
+    function killNodes() {
+        nodes.forEach(node => {
+            if (!hasExited(node)) {
+                node.process.kill('SIGKILL');
+            }
+        });
+    }
+    process.on('exit', killNodes);
+
+    const cluster = { regAuth: null, projects: [], nodes, submitters: submitterKeys, dataDir, submit, waitForTransaction, getBlock, waitForSync, stop };
+
+    try {
+        // 1. RegAuth creates the genesis block and the authority keypair
+        cluster.regAuth = startNode('regAuth', '0', await getFreePort(), ['--role', 'regulator']);
+        await waitFor(cluster.regAuth, 'RegAuth to start', () => get(cluster.regAuth, '/network/ping'));
+
+        // 2. Project nodes sync from RegAuth on startup
+        for (let i = 0; i < projects; i++) {
+            cluster.projects.push(startNode(projectName(i), String(i + 1), await getFreePort(), ['--bootstrap-url', cluster.regAuth.url]));
+        }
+        for (const node of cluster.projects) {
+            await waitFor(node, `${node.name} to start`, () => get(node, '/network/ping'));
+        }
+
+        // 3. Register each project node with RegAuth, which introduces it to the others
+        for (const node of cluster.projects) {
+            await axios.post(`${cluster.regAuth.url}/network/register-and-broadcast-node`, { newNodeUrl: node.url }, { timeout: REQUEST_TIMEOUT_MS });
+        }
+
+        // 4. Every node holds the genesis block (and any later blocks) signed by this RegAuth
+        await waitForSync();
+        console.log(`Cluster Module: ${nodes.map(node => `${node.name} ${node.url}`).join(', ')} running. Data in ${dataDir}.`);
+        return cluster;
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+}
+
+module.exports = {
+    startCluster
+};
@@ -0,0 +1,166 @@
+// compliance.js
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const POLLUTANTS = ['SO2', 'NO2', 'PM10', 'PM2_5'];
+const DEFAULT_RULES_FILE = path.join(__dirname, 'config', 'compliance-rules.json');
+
+let rules = null;
+let rulesFile = null;
+
+/**
+ * Converts an averaging window such as '24h', '30m' or '0' into milliseconds.
+ * A window of 0 means the reading itself is compared against the limit.
+ * @param {string|number} window The averaging window.
+ * @returns {number} The window length in milliseconds.
+ */
+function parseWindow(window) {
+    if (window === undefined || window === null || window === 0 || window === '0') {
+        return 0;
+    }
+    const match = /^(\d+)\s*(s|m|h|d)$/.exec(String(window).trim());
+    if (!match) {
+        throw new Error(`Compliance Module: Invalid averaging window "${window}". Use e.g. "30m", "1h", "24h".`);
+    }
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return Number(match[1]) * units[match[2]];
+}
+
+function validateRuleSet(ruleSet, where) {
+    Object.entries(ruleSet || {}).forEach(([pollutant, rule]) => {
+        if (!POLLUTANTS.includes(pollutant)) {
+            throw new Error(`Compliance Module: Unknown pollutant "${pollutant}" in ${where}.`);
+        }
+        if (typeof rule.limit !== 'number' || rule.limit < 0) {
+            throw new Error(`Compliance Module: ${where}.${pollutant}.limit must be a non-negative number.`);
+        }
+        parseWindow(rule.averagingWindow);
+    });
+}
+
+/**
+ * Loads the compliance limits from a JSON config file.
+ * Rules can be set per pollutant under "defaults", "projects.<projId>" and "stations.<stationID>".
+ * A station rule overrides a project rule, which overrides the default.
+ * @param {string} [filePath] Path of the rules file. Defaults to config/compliance-rules.json.
+ * @returns {Object} The loaded rules.
+ */
+function loadRules(filePath) {
+    rulesFile = filePath || DEFAULT_RULES_FILE;
+    const parsed = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+
+    validateRuleSet(parsed.defaults, 'defaults');
+    Object.entries(parsed.projects || {}).forEach(([projId, ruleSet]) => validateRuleSet(ruleSet, `projects.${projId}`));
+    Object.entries(parsed.stations || {}).forEach(([stationID, ruleSet]) => validateRuleSet(ruleSet, `stations.${stationID}`));
+
+    rules = {
+        defaults: parsed.defaults || {},
+        projects: parsed.projects || {},
+        stations: parsed.stations || {}
+    };
+    console.log(`Compliance Module: Loaded compliance rules from ${rulesFile}`);
+    return rules;
+}
+
+/**
+ * Finds the most specific rule for a pollutant of a transaction.
+ * @returns {Object|null} The rule with its scope, or null if the pollutant is not regulated.
+ */
+function resolveRule(pollutant, tx) {
+    const stationRules = rules.stations[tx.stationID];
+    if (stationRules && stationRules[pollutant]) {
+        return { ...stationRules[pollutant], scope: `station:${tx.stationID}` };
+    }
+    const projectRules = rules.projects[String(tx.projId)];
+    if (projectRules && projectRules[pollutant]) {
+        return { ...projectRules[pollutant], scope: `project:${tx.projId}` };
+    }
+    if (rules.defaults[pollutant]) {
+        return { ...rules.defaults[pollutant], scope: 'default' };
+    }
+    return null;
+}
+
+/**
+ * Evaluates every transaction of a block against the compliance rules.
+ * Averages cover the station's confirmed readings in the window ending at the reading's
+ * timestamp, plus the readings of the block itself that fall into the same window. A reading whose
+ * timestamp is not a valid time cannot be averaged and is flagged as non-compliant.
+ * @param {Object} block A block with full transaction objects.
+ * @param {Function} [windowStats] Reads the confirmed readings of a window, as db.getPollutantWindowStats (the default);
+ *     chain sync passes one that reads inside its SQLite transaction.
+ * @returns {Promise<Array<Object>>} One verdict per transaction: { transactionId, compliant, violations }.
+ */
+async function evaluateBlock(block, windowStats = db.getPollutantWindowStats) {
+    if (!rules) {
+        loadRules();
+    }
+
+    const verdicts = [];
+    for (const tx of block.transactions) {
+        if (tx.txType === 'registry') {
+            continue; // Registry entries carry no readings
+        }
+        const violations = [];
+        for (const pollutant of POLLUTANTS) {
+            const value = tx[pollutant];
+            if (value === undefined || value === null) {
+                continue;
+            }
+            const rule = resolveRule(pollutant, tx);
+            if (!rule) {
+                continue;
+            }
+
+            const windowMs = parseWindow(rule.averagingWindow);
+            let measured = Number(value);
+            if (windowMs > 0 && Number.isNaN(new Date(tx.timestamp).getTime())) {
+                // Without a valid time there is no window to average over: flag the reading instead of failing the block
+                violations.push({
+                    pollutant,
+                    value: Number(value),
+                    measured: null,
+                    limit: rule.limit,
+                    averagingWindow: rule.averagingWindow,
+                    scope: rule.scope,
+                    reason: `${pollutant} ${rule.averagingWindow} average cannot be computed: invalid timestamp "${tx.timestamp}" (${rule.scope})`
+                });
+                continue;
+            }
+            if (windowMs > 0) {
+                const windowEnd = tx.timestamp;
+                const windowStart = new Date(new Date(windowEnd).getTime() - windowMs).toISOString();
+                const stored = await windowStats(tx.stationID, pollutant, windowStart, windowEnd);
+                const inBlock = block.transactions.filter(other =>
+                    other.stationID === tx.stationID &&
+                    other.timestamp > windowStart && other.timestamp <= windowEnd &&
+                    other[pollutant] !== undefined && other[pollutant] !== null);
+                const sum = stored.sum + inBlock.reduce((acc, other) => acc + Number(other[pollutant]), 0);
+                measured = sum / (stored.count + inBlock.length);
+            }
+
+            if (measured > rule.limit) {
+                violations.push({
+                    pollutant,
+                    value: Number(value),
+                    measured,
+                    limit: rule.limit,
+                    averagingWindow: rule.averagingWindow || '0',
+                    scope: rule.scope,
+                    reason: `${pollutant} ${windowMs > 0 ? `${rule.averagingWindow} average` : 'reading'} ${measured.toFixed(2)} exceeds limit ${rule.limit} (${rule.scope})`
+                });
+            }
+        }
+        verdicts.push({ transactionId: tx.transactionId, compliant: violations.length === 0, violations });
+    }
+    return verdicts;
+}
+
+module.exports = {
+    POLLUTANTS,
+    loadRules,
+    parseWindow,
+    resolveRule,
+    evaluateBlock
+};
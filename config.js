@@ -0,0 +1,330 @@
+// config.js
+// Loads and validates the node configuration. Sources, from lowest to highest precedence:
+//   1. a JSON or YAML config file (--config <file> or CHAIN_CONFIG),
+//   2. environment variables,
+//   3. command line flags (and the legacy positional arguments <port> <myNodeUrl> <projId> <dbFileName>).
+// Invalid configuration throws a ConfigError listing every problem, so the node fails fast.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Every setting: its path in the config object, its CLI flag, its environment variable and its type.
+const OPTIONS = [
+    { key: 'port', flag: 'port', env: 'CHAIN_PORT', type: 'port' },
+    { key: 'nodeUrl', flag: 'url', env: 'CHAIN_NODE_URL', type: 'url' },
+    { key: 'role', flag: 'role', env: 'CHAIN_ROLE', type: 'string' },
+    { key: 'projId', flag: 'proj-id', env: 'CHAIN_PROJ_ID', type: 'string' },
+    { key: 'dataDir', flag: 'data-dir', env: 'CHAIN_DATA_DIR', type: 'string' },
+    { key: 'dbFile', flag: 'db', env: 'CHAIN_DB_FILE', type: 'string' },
+    { key: 'peers', flag: 'peers', env: 'CHAIN_PEERS', type: 'urlList' },
+    { key: 'bootstrapUrl', flag: 'bootstrap-url', env: 'CHAIN_BOOTSTRAP_URL', type: 'url' },
+    { key: 'validateChainOnStart', flag: 'validate-chain', env: 'CHAIN_VALIDATE_ON_START', type: 'boolean' },
+    { key: 'registry.required', flag: 'require-registry', env: 'CHAIN_REQUIRE_REGISTRY', type: 'boolean' },
+    { key: 'auth.enabled', flag: 'auth', env: 'CHAIN_AUTH', type: 'boolean' },
+    { key: 'auth.nodeToken', flag: 'node-token', env: 'CHAIN_NODE_TOKEN', type: 'string' },
+    { key: 'cors.origins', flag: 'cors-origins', env: 'CHAIN_CORS_ORIGINS', type: 'originList' },
+    { key: 'blocks.size', flag: 'block-size', env: 'CHAIN_BLOCK_SIZE', type: 'positiveInt' },
+    { key: 'blocks.mineThreshold', flag: 'mine-threshold', env: 'CHAIN_MINE_THRESHOLD', type: 'positiveInt' },
+    { key: 'blocks.maxWaitMs', flag: 'block-max-wait-ms', env: 'CHAIN_BLOCK_MAX_WAIT_MS', type: 'positiveInt' },
+    { key: 'blocks.heartbeatMs', flag: 'heartbeat-ms', env: 'CHAIN_HEARTBEAT_MS', type: 'nonNegativeInt' },
+    { key: 'mempool.ttlMs', flag: 'mempool-ttl-ms', env: 'CHAIN_MEMPOOL_TTL_MS', type: 'positiveInt' },
+    { key: 'mempool.maxSize', flag: 'mempool-max-size', env: 'CHAIN_MEMPOOL_MAX_SIZE', type: 'positiveInt' },
+    { key: 'mempool.evictionStrategy', flag: 'mempool-eviction', env: 'CHAIN_MEMPOOL_EVICTION', type: 'string' },
+    { key: 'mempool.reannounceAfterMs', flag: 'mempool-reannounce-ms', env: 'CHAIN_MEMPOOL_REANNOUNCE_MS', type: 'positiveInt' },
+    { key: 'events.bufferSize', flag: 'event-buffer-size', env: 'CHAIN_EVENT_BUFFER_SIZE', type: 'positiveInt' },
+    { key: 'events.keepAliveMs', flag: 'event-keepalive-ms', env: 'CHAIN_EVENT_KEEPALIVE_MS', type: 'positiveInt' },
+    { key: 'intervals.miningMs', flag: 'mining-interval-ms', env: 'CHAIN_MINING_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'intervals.consensusMs', flag: 'consensus-interval-ms', env: 'CHAIN_CONSENSUS_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'intervals.peerCheckMs', flag: 'peer-check-interval-ms', env: 'CHAIN_PEER_CHECK_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'intervals.outboxMs', flag: 'outbox-interval-ms', env: 'CHAIN_OUTBOX_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'intervals.webhooksMs', flag: 'webhook-interval-ms', env: 'CHAIN_WEBHOOK_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'intervals.mempoolReconcileMs', flag: 'mempool-reconcile-interval-ms', env: 'CHAIN_MEMPOOL_RECONCILE_INTERVAL_MS', type: 'positiveInt' },
+    { key: 'files.complianceRules', flag: 'compliance-rules', env: 'COMPLIANCE_RULES_FILE', type: 'string' },
+    { key: 'files.aqiBreakpoints', flag: 'aqi-breakpoints', env: 'AQI_BREAKPOINTS_FILE', type: 'string' },
+    { key: 'files.submitterKeys', flag: 'submitter-keys', env: 'SUBMITTER_KEYS_FILE', type: 'string' },
+    { key: 'files.apiKeys', flag: 'api-keys', env: 'API_KEYS_FILE', type: 'string' },
+    { key: 'files.authorityPrivateKey', flag: 'authority-private-key', env: 'AUTHORITY_PRIVATE_KEY_FILE', type: 'string' },
+    { key: 'files.authorityPublicKey', flag: 'authority-public-key', env: 'AUTHORITY_PUBLIC_KEY_FILE', type: 'string' }
+];
+
+const DEFAULTS = {
+    port: 3000,
+    dataDir: path.join(__dirname, 'data'),
+    dbFile: 'default.db',
+    peers: [],
+    bootstrapUrl: null,
+    validateChainOnStart: false,
+    registry: {
+        required: false // If true, readings are refused until the chain holds registry entries (no submitter keys file fallback)
+    },
+    auth: {
+        enabled: false, // If true, every API call needs an API key (see auth.js)
+        nodeToken: null // This node's own key, sent on calls to peers; required when auth is enabled
+    },
+    cors: {
+        origins: ['*'] // Browser origins allowed to call the API, e.g. http://localhost:5173; '*' allows any
+    },
+    blocks: {
+        size: 5, // Transactions per block
+        mineThreshold: 5, // Mempool size that triggers a mine on RegAuth
+        maxWaitMs: 5 * 60 * 1000, // A partial block is sealed once the oldest mempool entry is this old
+        heartbeatMs: 0 // If > 0, a block (empty if need be) is sealed when no block was made for this long
+    },
+    mempool: {
+        ttlMs: 24 * 60 * 60 * 1000, // Pending entries older than this are dropped
+        maxSize: 10000, // Maximum pending entries
+        evictionStrategy: 'drop-oldest', // When full: 'drop-oldest' makes room, 'reject' refuses new entries
+        reannounceAfterMs: 5 * 60 * 1000 // Project nodes re-send entries still pending after this long to RegAuth
+    },
+    events: {
+        bufferSize: 1000, // Recent events kept for clients that resume a GET /api/events stream
+        keepAliveMs: 15 * 1000 // Comment line sent on idle event streams so proxies keep them open
+    },
+    intervals: {
+        miningMs: 10 * 1000,
+        consensusMs: 60 * 1000,
+        peerCheckMs: 30 * 1000,
+        outboxMs: 5 * 1000,
+        webhooksMs: 5 * 1000,
+        mempoolReconcileMs: 60 * 1000
+    },
+    files: {
+        complianceRules: path.join(__dirname, 'config', 'compliance-rules.json'),
+        aqiBreakpoints: path.join(__dirname, 'config', 'aqi-breakpoints.json'),
+        submitterKeys: path.join(__dirname, 'config', 'submitter-keys.json'),
+        apiKeys: path.join(__dirname, 'config', 'api-keys.json'),
+        authorityPrivateKey: path.join(__dirname, 'config', 'authority.key'),
+        authorityPublicKey: path.join(__dirname, 'config', 'authority.pub')
+    }
+};
+
+let currentConfig = null;
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    let target = object;
+    parts.slice(0, -1).forEach(part => {
+        if (typeof target[part] !== 'object' || target[part] === null) {
+            target[part] = {};
+        }
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+}
+
+// Converts a raw value (string from env/CLI, or any value from a file) to the option's type.
+// Returns { value } or { error }.
+function coerce(option, raw) {
+    switch (option.type) {
+        case 'port': {
+            const port = Number(raw);
+            return Number.isInteger(port) && port > 0 && port < 65536 ? { value: port } : { error: 'must be a port number (1-65535)' };
+        }
+        case 'positiveInt': {
+            const number = Number(raw);
+            return Number.isInteger(number) && number > 0 ? { value: number } : { error: 'must be a positive integer' };
+        }
+        case 'nonNegativeInt': {
+            const number = Number(raw);
+            return Number.isInteger(number) && number >= 0 ? { value: number } : { error: 'must be a non-negative integer' };
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1') return { value: true };
+            if (raw === false || raw === 'false' || raw === '0') return { value: false };
+            return { error: 'must be true or false' };
+        case 'url':
+            if (raw === null) return { value: null };
+            return /^https?:\/\/[^\s]+$/.test(String(raw)) ? { value: String(raw).replace(/\/+$/, '') } : { error: 'must be an http(s) URL' };
+        case 'urlList': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+            const invalid = list.filter(item => !/^https?:\/\/[^\s]+$/.test(String(item)));
+            return invalid.length === 0 ? { value: list.map(item => String(item).replace(/\/+$/, '')) } : { error: `contains invalid URLs: ${invalid.join(', ')}` };
+        }
+        case 'originList': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+            const invalid = list.filter(item => item !== '*' && !/^https?:\/\/[^\s/]+$/.test(String(item)));
+            return invalid.length === 0 ? { value: list.map(String) } : { error: `contains invalid origins (use * or e.g. http://localhost:5173): ${invalid.join(', ')}` };
+        }
+        default:
+            return raw === undefined || raw === null || String(raw) === '' ? { error: 'must not be empty' } : { value: String(raw) };
+    }
+}
+
+function readConfigFile(file, errors) {
+    if (!fs.existsSync(file)) {
+        errors.push(`Config file not found: ${file}`);
+        return {};
+    }
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+        return parsed || {};
+    } catch (error) {
+        errors.push(`Config file ${file} could not be parsed: ${error.message}`);
+        return {};
+    }
+}
+
+// The dotted path of every setting in a parsed config file, e.g. { blocks: { size: 5 } } -> ['blocks.size'].
+// Objects are followed down unless their path is itself a setting; arrays are values.
+function settingPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([name, value]) => {
+        const key = prefix + name;
+        const isSetting = OPTIONS.some(option => option.key === key);
+        if (!isSetting && value && typeof value === 'object' && !Array.isArray(value)) {
+            return settingPaths(value, `${key}.`);
+        }
+        return [key];
+    });
+}
+
+// Splits argv into --flag values and positional arguments.
+function parseArgs(args, errors) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const option = OPTIONS.find(opt => opt.flag === name);
+        if (name !== 'config' && !option) {
+            errors.push(`Unknown command line flag --${name}`);
+            continue;
+        }
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (option && option.type === 'boolean' && (i + 1 >= args.length || args[i + 1].startsWith('--') || !['true', 'false'].includes(args[i + 1]))) {
+            flags[name] = 'true';
+        } else if (i + 1 < args.length) {
+            flags[name] = args[++i];
+        } else {
+            errors.push(`Command line flag --${name} needs a value`);
+        }
+    }
+    return { flags, positional };
+}
+
+/**
+ * Builds the node configuration from a config file, environment variables and command line arguments.
+ * @param {Array<string>} [args] Command line arguments (default process.argv.slice(2)).
+ * @param {Object} [env] Environment variables (default process.env).
+ * @returns {Object} The validated configuration.
+ * @throws {ConfigError} If anything is invalid.
+ */
+function loadConfig(args = process.argv.slice(2), env = process.env) {
+    const errors = [];
+    const { flags, positional } = parseArgs(args, errors);
+    const config = JSON.parse(JSON.stringify(DEFAULTS));
+
+    const applyValue = (option, raw, source) => {
+        const result = coerce(option, raw);
+        if (result.error) {
+            errors.push(`${option.key} (${source}) ${result.error}`);
+        } else {
+            setPath(config, option.key, result.value);
+        }
+    };
+
+    // 1. Config file
+    const configFile = flags.config || env.CHAIN_CONFIG;
+    if (configFile) {
+        const fileConfig = readConfigFile(path.resolve(configFile), errors);
+        const knownKeys = new Set(OPTIONS.map(option => option.key));
+        settingPaths(fileConfig).filter(key => !knownKeys.has(key)).forEach(key => errors.push(`Unknown setting "${key}" in ${configFile}`));
+        OPTIONS.forEach(option => {
+            const value = getPath(fileConfig, option.key);
+            if (value !== undefined) {
+                applyValue(option, value, `config file ${configFile}`);
+            }
+        });
+    }
+
+    // 2. Environment variables
+    OPTIONS.forEach(option => {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            applyValue(option, env[option.env], `env ${option.env}`);
+        }
+    });
+
+    // 3. Command line: legacy positional arguments first, then flags
+    if (positional.length > 0) {
+        ['port', 'nodeUrl', 'projId', 'dbFile'].forEach((key, i) => {
+            if (positional[i] !== undefined) {
+                applyValue(OPTIONS.find(option => option.key === key), positional[i], `argument ${i + 1}`);
+            }
+        });
+    }
+    OPTIONS.forEach(option => {
+        if (flags[option.flag] !== undefined) {
+            applyValue(option, flags[option.flag], `--${option.flag}`);
+        }
+    });
+
+    // Role and projId: RegAuth is always projId '0'
+    if (config.role === undefined) {
+        config.role = config.projId === '0' ? 'regulator' : 'project';
+    }
+    if (!['regulator', 'project'].includes(config.role)) {
+        errors.push(`role must be "regulator" or "project", got "${config.role}"`);
+    } else if (config.role === 'regulator') {
+        if (config.projId !== undefined && config.projId !== '0') {
+            errors.push(`A regulator node must have projId "0", got "${config.projId}"`);
+        }
+        config.projId = '0';
+    } else if (config.projId === undefined) {
+        errors.push('projId is required for a project node (--proj-id, CHAIN_PROJ_ID or "projId" in the config file)');
+    } else if (config.projId === '0') {
+        errors.push('projId "0" is reserved for the regulator node');
+    }
+
+    if (config.nodeUrl === undefined) {
+        config.nodeUrl = `http://localhost:${config.port}/api`;
+    }
+    config.peers = config.peers.filter(peer => peer !== config.nodeUrl);
+    if (config.blocks.mineThreshold < 1 || config.blocks.size < 1) {
+        errors.push('blocks.size and blocks.mineThreshold must be at least 1');
+    }
+    if (!['drop-oldest', 'reject'].includes(config.mempool.evictionStrategy)) {
+        errors.push(`mempool.evictionStrategy must be "drop-oldest" or "reject", got "${config.mempool.evictionStrategy}"`);
+    }
+    if (config.auth.enabled && !config.auth.nodeToken) {
+        errors.push('auth.nodeToken is required when auth.enabled is true (this node presents it to its peers)');
+    }
+    config.dataDir = path.resolve(config.dataDir);
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    currentConfig = Object.freeze(config);
+    return currentConfig;
+}
+
+/**
+ * Returns the configuration loaded by loadConfig (defaults if it has not been called).
+ * @returns {Object}
+ */
+function getConfig() {
+    return currentConfig || DEFAULTS;
+}
+
+module.exports = {
+    ConfigError,
+    OPTIONS,
+    loadConfig,
+    getConfig
+};
@@ -4,36 +4,142 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { readingPayload } = require('./signatures');
 
 let theProj;
 let fileName;
 let DB_FILE_PATH;
+let connection; // The sqlite3 connection. Module functions use db, which wraps it (see withTransaction).
 let db;
 
+// Maps pollutant names used in transactions to their confirmed_transactions columns
+const POLLUTANT_COLUMNS = { SO2: 'so2', NO2: 'no2', PM10: 'pm10', PM2_5: 'pm2_5' };
+
 function setProjId(projId) {
     theProj = projId;
     console.log(`DB Module: Project ID set to ${theProj}`);
 }
 
-function setDbFile(fname) {
+function setDbFile(fname, dataDir = path.join(__dirname, 'data')) {
     fileName = fname;
-    DB_FILE_PATH = path.join(__dirname, 'data', fileName);
+    DB_FILE_PATH = path.join(dataDir, fileName);
     console.log(`DB Module: Using database file at: ${DB_FILE_PATH}`);
 
-    const dataDir = path.join(__dirname, 'data');
     if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir);
+        fs.mkdirSync(dataDir, { recursive: true });
         console.log(`DB Module: Created data directory: ${dataDir}`);
     }
 }
 
+// --- One SQLite transaction at a time ---
+// The whole node shares one connection, and a BEGIN on it covers every statement sent until COMMIT,
+// whoever sent it; a second BEGIN fails. So transactions only run through withTransaction, one after
+// the other, and while one is open the statements sent through db wait for it to end instead of joining it.
+let transactionQueue = Promise.resolve();
+let openTransaction = null; // Settles when the open transaction ends
+let pendingStatements = 0; // Statements sent through db that have not completed
+let idleWaiters = [];
+
+function statementDone() {
+    pendingStatements--;
+    if (pendingStatements === 0) {
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+    }
+}
+
+// Resolves once every statement sent through db so far has completed
+function whenIdle() {
+    return pendingStatements === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve));
+}
+
+// The db object used by every function in this module: the sqlite3 run/get/all/serialize/close API,
+// holding statements back while a transaction is open.
+function createDbHandle(sqliteDb) {
+    const send = (method, args) => {
+        if (openTransaction) {
+            openTransaction.then(() => send(method, args));
+            return;
+        }
+        const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        const params = callback ? args.slice(0, -1) : args;
+        pendingStatements++;
+        sqliteDb[method](...params, function (err, ...results) {
+            statementDone();
+            if (callback) {
+                callback.call(this, err, ...results);
+            } else if (err) {
+                console.error(`DB Module: Error running statement: ${err.message}`);
+            }
+        });
+    };
+    const handle = {
+        run: (...args) => send('run', args),
+        get: (...args) => send('get', args),
+        all: (...args) => send('all', args),
+        serialize: (callback) => {
+            if (openTransaction) {
+                openTransaction.then(() => handle.serialize(callback));
+            } else {
+                sqliteDb.serialize(callback);
+            }
+        },
+        close: (callback) => {
+            transactionQueue.then(whenIdle).then(() => sqliteDb.close(callback));
+        }
+    };
+    return handle;
+}
+
+/**
+ * Runs work inside one SQLite transaction (BEGIN ... COMMIT, or ROLLBACK if it throws).
+ * Transactions run one at a time, and other statements wait until this one ends.
+ * work must only use the statement functions it is given: calling other db functions inside it deadlocks.
+ * @param {Function} work async ({ run, get, all }) => result. run resolves with { lastID, changes },
+ *     get with a row (or undefined) and all with the rows.
+ * @returns {Promise<*>} The result of work, once committed.
+ */
+function withTransaction(work) {
+    if (!db) {
+        return Promise.reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+    }
+    const result = transactionQueue.then(async () => {
+        let endTransaction;
+        openTransaction = new Promise(resolve => { endTransaction = resolve; });
+        const statement = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+            connection[method](sql, params, function (err, rows) {
+                if (err) reject(err);
+                else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : rows);
+            });
+        });
+        const tx = { run: statement('run'), get: statement('get'), all: statement('all') };
+        try {
+            await whenIdle(); // Statements sent before the transaction complete outside it
+            await tx.run("BEGIN TRANSACTION;");
+            try {
+                const value = await work(tx);
+                await tx.run("COMMIT;");
+                return value;
+            } catch (err) {
+                await tx.run("ROLLBACK;").catch(() => {});
+                throw err;
+            }
+        } finally {
+            openTransaction = null;
+            endTransaction();
+        }
+    });
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
 function initDb() {
     return new Promise((resolve, reject) => {
         if (!DB_FILE_PATH) {
             return reject(new Error("DB Module: Database file path not set. Call setDbFile() first."));
         }
 
-        db = new sqlite3.Database(DB_FILE_PATH, (err) => {
+        connection = new sqlite3.Database(DB_FILE_PATH, (err) => {
             if (err) {
                 console.error('DB Module: Error opening database:', err.message);
                 return reject(err);
@@ -56,7 +162,8 @@ function initDb() {
                 nonce INTEGER NOT NULL,
                 hash TEXT NOT NULL,
                 previousBlockHash TEXT NOT NULL,
-                merkleRoot TEXT NOT NULL
+                merkleRoot TEXT NOT NULL,
+                signature TEXT -- RegAuth's Ed25519 signature over the block hash (base64)
             )`;
 
             const ensureMempoolTransactions = `CREATE TABLE IF NOT EXISTS mempool_transactions (
@@ -71,7 +178,12 @@ function initDb() {
                 pm10 REAL,
                 pm2_5 REAL,
                 raw_data_json TEXT NOT NULL, -- Stores the original raw transaction JSON string
-                rowHash TEXT NOT NULL
+                rowHash TEXT NOT NULL,
+                signature TEXT, -- Submitter's Ed25519 signature over raw_data_json (base64)
+                public_key TEXT, -- Submitter's Ed25519 public key (base64 SPKI DER)
+                received_at TEXT, -- When this node accepted the transaction into its mempool
+                announced_at TEXT, -- When the reconciliation job last re-announced it to RegAuth
+                tx_type TEXT NOT NULL DEFAULT 'reading' -- 'reading' or 'registry' (a RegAuth registry entry)
             )`;
 
             const ensureConfirmedTransactions = `CREATE TABLE IF NOT EXISTS confirmed_transactions (
@@ -88,9 +200,95 @@ function initDb() {
                 pm2_5 REAL,
                 raw_data_json TEXT NOT NULL,
                 rowHash TEXT NOT NULL,
+                signature TEXT,
+                public_key TEXT,
+                tx_type TEXT NOT NULL DEFAULT 'reading', -- 'reading' or 'registry'
+                FOREIGN KEY (block_id) REFERENCES bchain(id)
+            )`;
+
+            const ensureComplianceFlags = `CREATE TABLE IF NOT EXISTS compliance_flags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT NOT NULL,
+                block_id INTEGER NOT NULL, -- Foreign key to bchain.id
+                blockIndex INTEGER NOT NULL,
+                compliant INTEGER NOT NULL, -- 1 = compliant, 0 = non-compliant
+                violations TEXT NOT NULL, -- JSON array of { pollutant, measured, limit, averagingWindow, scope, reason }
+                evaluated_at TEXT NOT NULL,
+                UNIQUE (transaction_id, block_id),
                 FOREIGN KEY (block_id) REFERENCES bchain(id)
             )`;
 
+            const ensurePeers = `CREATE TABLE IF NOT EXISTS peers (
+                url TEXT PRIMARY KEY, -- Peer's node URL, e.g. http://localhost:3001/api
+                added_at TEXT NOT NULL,
+                last_seen TEXT, -- Last successful contact (registration or health check)
+                failure_count INTEGER NOT NULL DEFAULT 0, -- Consecutive failed health checks
+                status TEXT NOT NULL DEFAULT 'active' -- 'active' or 'retired'
+            )`;
+
+            const ensureOutbox = `CREATE TABLE IF NOT EXISTS outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                peer_url TEXT NOT NULL,
+                path TEXT NOT NULL, -- Path on the peer, e.g. /transactions/receive
+                kind TEXT NOT NULL, -- 'transaction' or 'block'
+                ref TEXT NOT NULL, -- transactionId or blockIndex, for status lookups
+                payload TEXT NOT NULL, -- JSON body to POST
+                status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered', 'rejected' or 'failed'
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TEXT NOT NULL,
+                last_error TEXT,
+                created_at TEXT NOT NULL,
+                delivered_at TEXT
+            )`;
+
+            const ensureMempoolEvictions = `CREATE TABLE IF NOT EXISTS mempool_evictions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT UNIQUE NOT NULL,
+                reason TEXT NOT NULL,
+                evicted_at TEXT NOT NULL,
+                signature TEXT NOT NULL, -- RegAuth's signature over { transactionId, reason, evictedAt }
+                transaction_json TEXT -- The evicted transaction, if this node had it
+            )`;
+
+            const ensureWebhooks = `CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                url TEXT NOT NULL, -- Receiver URL; events are POSTed to it
+                secret TEXT NOT NULL, -- HMAC-SHA256 key for the X-Webhook-Signature header
+                event_types TEXT NOT NULL, -- JSON array of event types, e.g. ["reading.violation"]
+                proj_id TEXT, -- Only events concerning this project (NULL = any)
+                station_id TEXT, -- Only events concerning this station (NULL = any)
+                description TEXT,
+                status TEXT NOT NULL DEFAULT 'active', -- 'active' or 'deleted'
+                created_by TEXT, -- API key id that registered it, if auth is enabled
+                created_at TEXT NOT NULL
+            )`;
+
+            const ensureWebhookDeliveries = `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id TEXT NOT NULL,
+                event_id INTEGER NOT NULL, -- Id of the event on this node's event stream
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL, -- JSON body, exactly as signed and sent
+                status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered', 'failed' or 'cancelled'
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TEXT,
+                response_status INTEGER, -- HTTP status of the last attempt, if the receiver answered
+                last_error TEXT,
+                created_at TEXT NOT NULL,
+                delivered_at TEXT,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+            )`;
+
+            // Adds a column to tables created before the column existed
+            const ensureColumn = (table, column, definition) => {
+                db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                    if (err && !err.message.includes('duplicate column name')) {
+                        console.error(`DB Module: Error adding column ${table}.${column}:`, err.message);
+                        return reject(err);
+                    }
+                });
+            };
+
             db.serialize(() => {
                 db.run(ensureBchain, (err) => {
                     if (err) { console.error('DB Module: Error creating bchain table:', err.message); return reject(err); }
@@ -104,6 +302,48 @@ function initDb() {
                     if (err) { console.error('DB Module: Error creating confirmed_transactions table:', err.message); return reject(err); }
                     console.log('DB Module: Table "confirmed_transactions" ensured to exist.');
                 });
+                db.run(ensureComplianceFlags, (err) => {
+                    if (err) { console.error('DB Module: Error creating compliance_flags table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "compliance_flags" ensured to exist.');
+                });
+                db.run(ensurePeers, (err) => {
+                    if (err) { console.error('DB Module: Error creating peers table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "peers" ensured to exist.');
+                });
+                db.run(ensureOutbox, (err) => {
+                    if (err) { console.error('DB Module: Error creating outbox table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "outbox" ensured to exist.');
+                });
+                db.run(ensureMempoolEvictions, (err) => {
+                    if (err) { console.error('DB Module: Error creating mempool_evictions table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "mempool_evictions" ensured to exist.');
+                });
+                db.run(ensureWebhooks, (err) => {
+                    if (err) { console.error('DB Module: Error creating webhooks table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "webhooks" ensured to exist.');
+                });
+                db.run(ensureWebhookDeliveries, (err) => {
+                    if (err) { console.error('DB Module: Error creating webhook_deliveries table:', err.message); return reject(err); }
+                    console.log('DB Module: Table "webhook_deliveries" ensured to exist.');
+                });
+                db.run(`CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox (status, next_attempt_at)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)`);
+                // Indexes for GET /api/transactions: each filter column leads, followed by the sort key
+                db.run(`CREATE INDEX IF NOT EXISTS idx_confirmed_timestamp ON confirmed_transactions (timestamp, internal_id)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_confirmed_station ON confirmed_transactions (station_id, timestamp, internal_id)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_confirmed_submitter ON confirmed_transactions (submitter_id, timestamp, internal_id)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_confirmed_project ON confirmed_transactions (projId, timestamp, internal_id)`);
+                db.run(`CREATE INDEX IF NOT EXISTS idx_confirmed_block ON confirmed_transactions (block_id)`);
+                ensureColumn('bchain', 'signature', 'TEXT');
+                ensureColumn('mempool_transactions', 'signature', 'TEXT');
+                ensureColumn('mempool_transactions', 'public_key', 'TEXT');
+                ensureColumn('mempool_transactions', 'received_at', 'TEXT');
+                ensureColumn('mempool_transactions', 'announced_at', 'TEXT');
+                ensureColumn('confirmed_transactions', 'signature', 'TEXT');
+                ensureColumn('confirmed_transactions', 'public_key', 'TEXT');
+                ensureColumn('mempool_transactions', 'tx_type', "TEXT NOT NULL DEFAULT 'reading'");
+                ensureColumn('confirmed_transactions', 'tx_type', "TEXT NOT NULL DEFAULT 'reading'");
 
                 db.get(`SELECT COUNT(*) AS count FROM bchain`, [], (err, row) => {
                     if (err) { console.error('DB Module: Error checking genesis block:', err.message); return reject(err); }
@@ -147,6 +387,7 @@ function initDb() {
                 });
             });
         });
+        db = createDbHandle(connection);
     });
 }
 
@@ -168,10 +409,18 @@ function closeDb() {
     });
 }
 
-async function createTransaction(transactionData) {
-    if (!db) {
-        throw new Error("DB Module: Database not initialized. Call initDb() first.");
-    }
+const INSERT_MEMPOOL_SQL = `INSERT INTO mempool_transactions
+                 (projId, transaction_id, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash, signature, public_key, received_at, tx_type)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+// Same as INSERT_MEMPOOL_SQL, but a transaction ID already in the mempool is skipped instead of failing
+const INSERT_OR_IGNORE_MEMPOOL_SQL = `INSERT OR IGNORE INTO mempool_transactions
+                 (projId, transaction_id, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash, signature, public_key, received_at, tx_type)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+// Fills in the ID, timestamp, projId, rawDataJson and rowHash of a new transaction,
+// or keeps the ones a transaction received from a peer already has.
+function buildMempoolTransaction(transactionData) {
     if (theProj === undefined && transactionData.projId === undefined) {
         throw new Error("DB Module: Project ID not set for this node or provided in transaction data.");
     }
@@ -180,59 +429,95 @@ async function createTransaction(transactionData) {
     const finalTimestamp = transactionData.timestamp || new Date().toISOString();
     const finalProjId = transactionData.projId !== undefined ? String(transactionData.projId) : String(theProj);
 
-    const rawDataForHash = transactionData.rawDataJson || JSON.stringify({
-        submitterId: transactionData.submitterId,
-        stationID: transactionData.stationID,
-        SO2: transactionData.SO2,
-        NO2: transactionData.NO2,
-        PM10: transactionData.PM10,
-        PM2_5: transactionData.PM2_5
+    const rawDataForHash = transactionData.rawDataJson || readingPayload({
+        ...transactionData, transactionId: finalTransactionId, timestamp: finalTimestamp, projId: finalProjId
     });
 
     const finalRowHash = transactionData.rowHash || crypto.createHash('sha256').update(finalTransactionId + finalTimestamp + rawDataForHash).digest('hex');
 
-    const { submitterId, stationID, SO2, NO2, PM10, PM2_5 } = transactionData;
+    const { submitterId, stationID, SO2, NO2, PM10, PM2_5, signature, publicKey } = transactionData;
 
-    const sql = `INSERT INTO mempool_transactions
-                 (projId, transaction_id, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    return {
+        txType: transactionData.txType || 'reading',
+        transactionId: finalTransactionId,
+        timestamp: finalTimestamp,
+        rowHash: finalRowHash,
+        projId: finalProjId,
+        rawDataJson: rawDataForHash,
+        submitterId, stationID, SO2, NO2, PM10, PM2_5,
+        signature, publicKey
+    };
+}
 
-    try {
-        await new Promise((resolve, reject) => {
-            db.run(sql, [
-                finalProjId,
-                finalTransactionId,
-                finalTimestamp,
-                submitterId,
-                stationID,
-                SO2,
-                NO2,
-                PM10,
-                PM2_5,
-                rawDataForHash,
-                finalRowHash
-            ], function (err) {
-                if (err) {
-                    console.error('DB Module: Error inserting transaction into mempool:', err.message);
-                    reject(err);
-                } else {
-                    console.log(`DB Module: Transaction inserted into mempool with ID: ${finalTransactionId}`);
-                    resolve();
-                }
-            });
+function mempoolInsertParams(tx, receivedAt) {
+    return [
+        tx.projId,
+        tx.transactionId,
+        tx.timestamp,
+        tx.submitterId,
+        tx.stationID,
+        tx.SO2,
+        tx.NO2,
+        tx.PM10,
+        tx.PM2_5,
+        tx.rawDataJson,
+        tx.rowHash,
+        tx.signature,
+        tx.publicKey,
+        receivedAt,
+        tx.txType
+    ];
+}
+
+async function createTransaction(transactionData) {
+    if (!db) {
+        throw new Error("DB Module: Database not initialized. Call initDb() first.");
+    }
+    const transaction = buildMempoolTransaction(transactionData);
+
+    await new Promise((resolve, reject) => {
+        db.run(INSERT_MEMPOOL_SQL, mempoolInsertParams(transaction, new Date().toISOString()), function (err) {
+            if (err) {
+                console.error('DB Module: Error inserting transaction into mempool:', err.message);
+                reject(err);
+            } else {
+                console.log(`DB Module: Transaction inserted into mempool with ID: ${transaction.transactionId}`);
+                resolve();
+            }
         });
+    });
 
-        return {
-            transactionId: finalTransactionId,
-            timestamp: finalTimestamp,
-            rowHash: finalRowHash,
-            projId: finalProjId,
-            rawDataJson: rawDataForHash,
-            submitterId, stationID, SO2, NO2, PM10, PM2_5
-        };
-    } catch (error) {
-        throw error;
+    return transaction;
+}
+
+/**
+ * Inserts several transactions into the mempool in one SQLite transaction: either all of them are
+ * stored or none. Transactions already in the mempool are skipped rather than failing the batch.
+ * @param {Array<Object>} transactionList New transactions, or complete ones received from a peer.
+ * @returns {Promise<Array<{transaction: Object, inserted: boolean}>>} In input order; inserted is false for duplicates.
+ */
+function createTransactions(transactionList) {
+    let transactions;
+    try {
+        transactions = transactionList.map(buildMempoolTransaction);
+    } catch (err) {
+        return Promise.reject(err);
     }
+    const receivedAt = new Date().toISOString();
+    return withTransaction(async tx => {
+        const results = [];
+        for (const transaction of transactions) {
+            const { changes } = await tx.run(INSERT_OR_IGNORE_MEMPOOL_SQL, mempoolInsertParams(transaction, receivedAt));
+            results.push({ transaction, inserted: changes === 1 });
+        }
+        return results;
+    }).then(results => {
+        console.log(`DB Module: Batch of ${results.filter(result => result.inserted).length} transactions inserted into mempool.`);
+        return results;
+    }).catch(err => {
+        console.error('DB Module: Error inserting transaction batch, transaction rolled back:', err.message);
+        throw err;
+    });
 }
 
 function readAllTransactions() {
@@ -246,27 +531,122 @@ function readAllTransactions() {
                 console.error('DB Module: Error reading confirmed transactions:', err.message);
                 reject(err);
             } else {
-                const transactions = rows.map(row => ({
-                    internal_id: row.internal_id,
-                    transactionId: row.transaction_id,
-                    block_id: row.block_id,
-                    projId: row.projId,
-                    timestamp: row.timestamp,
-                    submitterId: row.submitter_id,
-                    stationID: row.station_id,
-                    SO2: row.so2,
-                    NO2: row.no2,
-                    PM10: row.pm10,
-                    PM2_5: row.pm2_5,
-                    fullData: JSON.parse(row.raw_data_json),
-                    rowHash: row.rowHash
-                }));
+                const transactions = rows.map(toConfirmedTransaction);
                 resolve(transactions);
             }
         });
     });
 }
 
+function toConfirmedTransaction(row) {
+    const transaction = {
+        internal_id: row.internal_id,
+        transactionId: row.transaction_id,
+        block_id: row.block_id,
+        projId: row.projId,
+        timestamp: row.timestamp,
+        submitterId: row.submitter_id,
+        stationID: row.station_id,
+        SO2: row.so2,
+        NO2: row.no2,
+        PM10: row.pm10,
+        PM2_5: row.pm2_5,
+        fullData: JSON.parse(row.raw_data_json),
+        rawDataJson: row.raw_data_json, // The exact string that was signed and hashed into rowHash
+        rowHash: row.rowHash,
+        signature: row.signature,
+        publicKey: row.public_key
+    };
+    if (row.blockIndex !== undefined) {
+        // Block provenance, when the query joined bchain
+        transaction.blockIndex = row.blockIndex;
+        transaction.blockHash = row.blockHash;
+        transaction.merkleRoot = row.merkleRoot;
+    }
+    return transaction;
+}
+
+const THRESHOLD_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Queries confirmed transactions with filters and keyset (cursor) pagination.
+ * Rows are ordered by (timestamp, internal_id), so a page can resume exactly after the last row of the previous one.
+ * @param {Object} filters
+ * @param {string} [filters.projId]
+ * @param {string} [filters.submitterId]
+ * @param {string} [filters.stationID]
+ * @param {string} [filters.from] ISO timestamp, inclusive.
+ * @param {string} [filters.to] ISO timestamp, inclusive.
+ * @param {number} [filters.fromBlock] Block index, inclusive.
+ * @param {number} [filters.toBlock] Block index, inclusive.
+ * @param {Array<{pollutant: string, op: string, value: number}>} [filters.thresholds] e.g. { pollutant: 'SO2', op: 'gt', value: 80 }.
+ * @param {string} [filters.order] 'asc' or 'desc' (default).
+ * @param {{timestamp: string, internalId: number}} [filters.after] Position of the last row already returned.
+ * @param {number} filters.limit Maximum rows to return.
+ * @returns {Promise<{transactions: Array<Object>, hasMore: boolean}>}
+ */
+function queryConfirmedTransactions(filters) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = ["ct.tx_type = 'reading'"]; // Registry entries are not readings
+        const params = [];
+        const equalityFilters = [['projId', 'ct.projId'], ['submitterId', 'ct.submitter_id'], ['stationID', 'ct.station_id']];
+        equalityFilters.forEach(([filter, column]) => {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[filter]);
+            }
+        });
+        if (filters.from !== undefined) {
+            conditions.push('ct.timestamp >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to !== undefined) {
+            conditions.push('ct.timestamp <= ?');
+            params.push(filters.to);
+        }
+        if (filters.fromBlock !== undefined) {
+            conditions.push('b.blockIndex >= ?');
+            params.push(filters.fromBlock);
+        }
+        if (filters.toBlock !== undefined) {
+            conditions.push('b.blockIndex <= ?');
+            params.push(filters.toBlock);
+        }
+        (filters.thresholds || []).forEach(({ pollutant, op, value }) => {
+            // Column and operator come from fixed tables, never from the request
+            conditions.push(`ct.${POLLUTANT_COLUMNS[pollutant]} ${THRESHOLD_OPERATORS[op]} ?`);
+            params.push(value);
+        });
+        const descending = filters.order !== 'asc';
+        if (filters.after) {
+            conditions.push(`(ct.timestamp, ct.internal_id) ${descending ? '<' : '>'} (?, ?)`);
+            params.push(filters.after.timestamp, filters.after.internalId);
+        }
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const direction = descending ? 'DESC' : 'ASC';
+        const sql = `SELECT ct.*, b.blockIndex, b.hash AS blockHash, b.merkleRoot FROM confirmed_transactions ct
+                     JOIN bchain b ON b.id = ct.block_id
+                     ${where}
+                     ORDER BY ct.timestamp ${direction}, ct.internal_id ${direction}
+                     LIMIT ?`;
+        // One extra row tells whether there is another page
+        db.all(sql, [...params, filters.limit + 1], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error querying confirmed transactions:', err.message);
+                reject(err);
+            } else {
+                resolve({
+                    transactions: rows.slice(0, filters.limit).map(toConfirmedTransaction),
+                    hasMore: rows.length > filters.limit
+                });
+            }
+        });
+    });
+}
+
 function getMempoolCount() {
     return new Promise((resolve, reject) => {
         if (!db) {
@@ -283,37 +663,171 @@ function getMempoolCount() {
     });
 }
 
+/**
+ * Returns how many transactions are waiting and when the oldest of them arrived.
+ * @returns {Promise<{count: number, oldestReceivedAt: string|null}>}
+ */
+function getMempoolStatus() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT COUNT(*) AS count, MIN(COALESCE(received_at, timestamp)) AS oldestReceivedAt FROM mempool_transactions`, (err, row) => {
+            if (err) {
+                console.error('DB Module: Error getting mempool status:', err.message);
+                reject(err);
+            } else {
+                resolve({ count: row.count, oldestReceivedAt: row.oldestReceivedAt });
+            }
+        });
+    });
+}
+
 function getTransactionsForBlock(limit) {
     return new Promise((resolve, reject) => {
         if (!db) {
             return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
         }
-        db.all(`SELECT * FROM mempool_transactions ORDER BY timestamp ASC LIMIT ?`, [limit], (err, rows) => {
+        // Longest-waiting first, so a block sealed because of its oldest entry includes that entry
+        db.all(`SELECT * FROM mempool_transactions ORDER BY COALESCE(received_at, timestamp) ASC, internal_id ASC LIMIT ?`, [limit], (err, rows) => {
             if (err) {
                 console.error('DB Module: Error getting transactions for block:', err.message);
                 reject(err);
             } else {
-                const transactions = rows.map(row => {
-                    return {
-                        transactionId: row.transaction_id,
-                        projId: row.projId,
-                        timestamp: row.timestamp,
-                        submitterId: row.submitter_id,
-                        stationID: row.station_id,
-                        SO2: row.so2,
-                        NO2: row.no2,
-                        PM10: row.pm10,
-                        PM2_5: row.pm2_5,
-                        rawDataJson: row.raw_data_json,
-                        rowHash: row.rowHash
-                    };
-                });
+                const transactions = rows.map(toMempoolTransaction);
                 resolve(transactions);
             }
         });
     });
 }
 
+function toMempoolTransaction(row) {
+    return {
+        txType: row.tx_type,
+        transactionId: row.transaction_id,
+        projId: row.projId,
+        timestamp: row.timestamp,
+        submitterId: row.submitter_id,
+        stationID: row.station_id,
+        SO2: row.so2,
+        NO2: row.no2,
+        PM10: row.pm10,
+        PM2_5: row.pm2_5,
+        rawDataJson: row.raw_data_json,
+        rowHash: row.rowHash,
+        signature: row.signature,
+        publicKey: row.public_key
+    };
+}
+
+/**
+ * Lists pending (mempool) transactions, longest-waiting first.
+ * @param {Object} [filters] { projId, submitterId, stationID, txType, receivedBefore (ISO timestamp), limit, offset }
+ * @returns {Promise<{total: number, transactions: Array<Object>}>} total counts every match, ignoring limit/offset.
+ */
+function getMempoolTransactions(filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = [];
+        const params = [];
+        [['projId', 'projId'], ['submitterId', 'submitter_id'], ['stationID', 'station_id'], ['txType', 'tx_type']].forEach(([filter, column]) => {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[filter]);
+            }
+        });
+        if (filters.receivedBefore !== undefined) {
+            conditions.push('COALESCE(received_at, timestamp) <= ?');
+            params.push(filters.receivedBefore);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.get(`SELECT COUNT(*) AS total FROM mempool_transactions ${where}`, params, (countErr, countRow) => {
+            if (countErr) {
+                console.error('DB Module: Error counting mempool transactions:', countErr.message);
+                return reject(countErr);
+            }
+            const sql = `SELECT * FROM mempool_transactions ${where}
+                         ORDER BY COALESCE(received_at, timestamp) ASC, internal_id ASC LIMIT ? OFFSET ?`;
+            db.all(sql, [...params, filters.limit || 100, filters.offset || 0], (err, rows) => {
+                if (err) {
+                    console.error('DB Module: Error listing mempool transactions:', err.message);
+                    reject(err);
+                } else {
+                    resolve({
+                        total: countRow.total,
+                        transactions: rows.map(row => ({ ...toMempoolTransaction(row), receivedAt: row.received_at || row.timestamp }))
+                    });
+                }
+            });
+        });
+    });
+}
+
+function getMempoolTransaction(transactionId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT * FROM mempool_transactions WHERE transaction_id = ?`, [transactionId], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error getting mempool transaction:', err.message);
+                reject(err);
+            } else {
+                resolve(row ? { ...toMempoolTransaction(row), receivedAt: row.received_at || row.timestamp } : null);
+            }
+        });
+    });
+}
+
+/**
+ * Evicts a transaction from the mempool and records why, in one SQLite transaction.
+ * The eviction is recorded even if the transaction is not (yet) in this node's mempool,
+ * so a late broadcast of it is refused.
+ * @param {Object} eviction { transactionId, reason, evictedAt, signature } — signature is RegAuth's over the eviction.
+ * @returns {Promise<{removed: boolean, recorded: boolean, transaction: Object|null}>}
+ */
+function evictMempoolTransaction(eviction) {
+    return withTransaction(async tx => {
+        const row = await tx.get(`SELECT * FROM mempool_transactions WHERE transaction_id = ?`, [eviction.transactionId]);
+        const transaction = row ? toMempoolTransaction(row) : null;
+        const recorded = await tx.run(`INSERT OR IGNORE INTO mempool_evictions (transaction_id, reason, evicted_at, signature, transaction_json)
+                                       VALUES (?, ?, ?, ?, ?)`,
+            [eviction.transactionId, eviction.reason, eviction.evictedAt, eviction.signature, transaction ? JSON.stringify(transaction) : null]);
+        const removed = await tx.run(`DELETE FROM mempool_transactions WHERE transaction_id = ?`, [eviction.transactionId]);
+        return { removed: removed.changes === 1, recorded: recorded.changes === 1, transaction };
+    }).then(result => {
+        console.log(`DB Module: Transaction ${eviction.transactionId} evicted from mempool (${eviction.reason}).`);
+        return result;
+    }).catch(err => {
+        console.error('DB Module: Error evicting mempool transaction, transaction rolled back:', err.message);
+        throw err;
+    });
+}
+
+function getMempoolEviction(transactionId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT * FROM mempool_evictions WHERE transaction_id = ?`, [transactionId], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error getting mempool eviction:', err.message);
+                reject(err);
+            } else {
+                resolve(row ? {
+                    transactionId: row.transaction_id,
+                    reason: row.reason,
+                    evictedAt: row.evicted_at,
+                    signature: row.signature,
+                    transaction: row.transaction_json ? JSON.parse(row.transaction_json) : null
+                } : null);
+            }
+        });
+    });
+}
+
 function removeTransactionsFromMempool(transactionIds) {
     return new Promise((resolve, reject) => {
         if (!db) {
@@ -335,177 +849,1130 @@ function removeTransactionsFromMempool(transactionIds) {
     });
 }
 
-function addBlockToBlockchain(block) {
+// Runs a DELETE/UPDATE on the mempool and resolves with the number of rows changed
+function runMempoolChange(sql, params, description) {
     return new Promise((resolve, reject) => {
         if (!db) {
             return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
         }
+        db.run(sql, params, function(err) {
+            if (err) {
+                console.error(`DB Module: Error ${description}:`, err.message);
+                reject(err);
+            } else {
+                resolve(this.changes);
+            }
+        });
+    });
+}
 
-        const { blockIndex, timestamp, transactions, nonce, hash, previousBlockHash, merkleRoot } = block;
-
-        // Store a lightweight representation of transactions in the block metadata
-        // IMPORTANT: The 'transactions' array passed into this function during initial sync
-        // will now contain FULL transaction objects due to the fix in getAllBlocks.
-        // So, we need to map them back to the lightweight version for the bchain table.
-        const lightweightTransactions = transactions.map(tx => ({
-            transactionId: tx.transactionId,
-            rowHash: tx.rowHash
-        }));
-        const transactionsJson = JSON.stringify(lightweightTransactions);
-
-
-        db.serialize(() => {
-            db.run("BEGIN TRANSACTION;", (beginErr) => {
-                if (beginErr) {
-                    console.error('DB Module: Error beginning transaction:', beginErr.message);
-                    return reject(beginErr);
-                }
-            });
+/**
+ * Drops mempool entries that are already confirmed on this node's chain.
+ * @returns {Promise<number>} How many entries were removed.
+ */
+function removeConfirmedFromMempool() {
+    return runMempoolChange(`DELETE FROM mempool_transactions
+                             WHERE transaction_id IN (SELECT transaction_id FROM confirmed_transactions)`, [], 'removing confirmed transactions from mempool');
+}
 
-            const insertBlockSql = `INSERT INTO bchain
-                                    (blockIndex, timestamp, transactions, nonce, hash, previousBlockHash, merkleRoot)
-                                    VALUES (?, ?, ?, ?, ?, ?, ?)`;
-            db.run(insertBlockSql, [
-                blockIndex,
-                timestamp,
-                transactionsJson,
-                nonce,
-                hash,
-                previousBlockHash,
-                merkleRoot
-            ], function(err) {
-                if (err) {
-                    db.run("ROLLBACK;", () => console.error('DB Module: Transaction rolled back due to block insertion error.'));
-                    console.error('DB Module: Error inserting block into bchain:', err.message);
-                    return reject(err);
-                }
-                const block_id = this.lastID;
-
-                const insertTxPromises = transactions.map(tx => {
-                    return new Promise((res, rej) => {
-                        const { transactionId, projId, timestamp, submitterId, stationID, SO2, NO2, PM10, PM2_5, rawDataJson, rowHash } = tx;
-                        const sql = `INSERT INTO confirmed_transactions
-                                     (transaction_id, block_id, projId, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash)
-                                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-                        db.run(sql, [
-                            transactionId, block_id, projId, timestamp, submitterId, stationID, SO2, NO2, PM10, PM2_5, rawDataJson, rowHash
-                        ], function(txErr) {
-                            if (txErr) rej(txErr);
-                            else res();
-                        });
-                    });
-                });
+/**
+ * Drops readings received before a cutoff. Registry entries wait until RegAuth mines them.
+ * @param {string} receivedBefore ISO timestamp.
+ * @returns {Promise<number>} How many entries were removed.
+ */
+function removeExpiredFromMempool(receivedBefore) {
+    return runMempoolChange(`DELETE FROM mempool_transactions WHERE tx_type = 'reading' AND COALESCE(received_at, timestamp) < ?`, [receivedBefore], 'expiring mempool transactions');
+}
 
-                Promise.all(insertTxPromises)
-                    .then(() => {
-                        db.run("COMMIT;", (commitErr) => {
-                            if (commitErr) {
-                                console.error('DB Module: Error committing block transaction:', commitErr.message);
-                                db.run("ROLLBACK;", () => console.error('DB Module: Transaction rolled back due to commit error.'));
-                                reject(commitErr);
-                            } else {
-                                console.log(`DB Module: Block (index ${blockIndex}) added to blockchain with ${transactions.length} transactions and committed.`);
-                                resolve(block);
-                            }
-                        });
-                    })
-                    .catch(insertErr => {
-                        console.error('DB Module: Error inserting confirmed transactions:', insertErr.message);
-                        db.run("ROLLBACK;", () => console.error('DB Module: Transaction rolled back due to confirmed transactions insertion error.'));
-                        reject(insertErr);
-                    });
-            });
-        });
-    });
+/**
+ * Drops the longest-waiting readings until at most maxEntries mempool entries remain (registry entries are kept).
+ * @param {number} maxEntries
+ * @returns {Promise<number>} How many entries were removed.
+ */
+function trimMempool(maxEntries) {
+    return runMempoolChange(`DELETE FROM mempool_transactions WHERE internal_id IN (
+                                 SELECT internal_id FROM mempool_transactions WHERE tx_type = 'reading'
+                                 ORDER BY COALESCE(received_at, timestamp) ASC, internal_id ASC
+                                 LIMIT MAX((SELECT COUNT(*) FROM mempool_transactions) - ?, 0))`, [Math.max(maxEntries, 0)], 'trimming mempool');
 }
 
 /**
- * Gets the last block from the 'bchain' table.
- * @returns {Promise<Object|null>} A promise that resolves with the last block object, or null if no blocks exist.
+ * Lists mempool entries that were neither received nor announced since a cutoff.
+ * @param {string} before ISO timestamp.
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
  */
-function getLastBlock() {
+function getStaleMempoolTransactions(before, limit) {
     return new Promise((resolve, reject) => {
         if (!db) {
             return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
         }
-        db.get(`SELECT * FROM bchain ORDER BY blockIndex DESC LIMIT 1`, [], (err, row) => {
+        const sql = `SELECT * FROM mempool_transactions
+                     WHERE COALESCE(announced_at, received_at, timestamp) < ?
+                     ORDER BY COALESCE(received_at, timestamp) ASC, internal_id ASC LIMIT ?`;
+        db.all(sql, [before, limit], (err, rows) => {
             if (err) {
-                console.error('DB Module: Error getting last block:', err.message);
+                console.error('DB Module: Error getting stale mempool transactions:', err.message);
                 reject(err);
             } else {
-                if (row) {
-                    // Parse the transactions JSON string back into an array of objects
-                    row.transactions = JSON.parse(row.transactions);
-                    resolve(row);
-                } else {
-                    resolve(null);
-                }
+                resolve(rows.map(toMempoolTransaction));
             }
         });
     });
 }
 
+function markMempoolAnnounced(transactionIds, announcedAt) {
+    if (transactionIds.length === 0) {
+        return Promise.resolve(0);
+    }
+    const placeholders = transactionIds.map(() => '?').join(',');
+    return runMempoolChange(`UPDATE mempool_transactions SET announced_at = ? WHERE transaction_id IN (${placeholders})`,
+        [announcedAt, ...transactionIds], 'marking mempool transactions as announced');
+}
+
 /**
- * Retrieves all blocks from the 'bchain' table, ordered by blockIndex,
- * and includes their full transaction details from 'confirmed_transactions'.
- * This is crucial for initial chain synchronization.
- * @returns {Promise<Array<Object>>} A promise that resolves with an array of block objects.
+ * Adds a block and its confirmed transactions in one SQLite transaction.
+ * @param {Object} block The block with full transaction objects.
+ * @param {Array<Object>} [complianceFlags] Verdicts from compliance.evaluateBlock, stored with the block.
+ * @returns {Promise<Object>} A promise that resolves with the block.
  */
-function getAllBlocks() {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
-        }
+function addBlockToBlockchain(block, complianceFlags = []) {
+    return withTransaction(tx => insertBlock(tx, block, complianceFlags))
+        .then(() => {
+            console.log(`DB Module: Block (index ${block.blockIndex}) added to blockchain with ${block.transactions.length} transactions and committed.`);
+            return block;
+        })
+        .catch(err => {
+            console.error(`DB Module: Error adding block ${block.blockIndex}, transaction rolled back:`, err.message);
+            throw err;
+        });
+}
 
-        db.all(`SELECT * FROM bchain ORDER BY blockIndex ASC`, [], async (err, rows) => {
-            if (err) {
-                console.error('DB Module: Error getting all blocks:', err.message);
-                reject(err);
-            } else {
-                const chainPromises = rows.map(async (row) => {
-                    const blockId = row.id; // Internal ID from bchain table
+// Inserts a block, its confirmed transactions and its compliance flags inside a withTransaction.
+async function insertBlock(tx, block, complianceFlags) {
+    const { blockIndex, timestamp, transactions, nonce, hash, previousBlockHash, merkleRoot, signature } = block;
 
-                    const transactionsSql = `SELECT transaction_id, projId, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash
-                                             FROM confirmed_transactions WHERE block_id = ? ORDER BY internal_id ASC`;
-                    const confirmedTxs = await new Promise((txResolve, txReject) => {
-                        db.all(transactionsSql, [blockId], (txErr, txRows) => {
-                            if (txErr) {
-                                console.error(`DB Module: Error getting confirmed transactions for block ${blockId}:`, txErr.message);
-                                txReject(txErr);
-                            } else {
-                                const parsedTxs = txRows.map(txRow => ({
-                                    transactionId: txRow.transaction_id,
-                                    projId: txRow.projId,
-                                    timestamp: txRow.timestamp,
-                                    submitterId: txRow.submitter_id,
-                                    stationID: txRow.station_id,
-                                    SO2: txRow.so2,
-                                    NO2: txRow.no2,
-                                    PM10: txRow.pm10,
-                                    PM2_5: txRow.pm2_5,
-                                    rawDataJson: txRow.raw_data_json,
-                                    rowHash: txRow.rowHash
-                                }));
-                                txResolve(parsedTxs);
-                            }
-                        });
-                    });
+    // bchain only keeps a lightweight list of the block's transactions; the full ones go to confirmed_transactions
+    const lightweightTransactions = transactions.map(transaction => ({
+        transactionId: transaction.transactionId,
+        rowHash: transaction.rowHash
+    }));
 
-                    // Overwrite the lightweight transactions (from bchain.transactions) with the full ones
-                    row.transactions = confirmedTxs;
-                    return row;
-                });
+    const { lastID: blockId } = await tx.run(`INSERT INTO bchain
+                                              (blockIndex, timestamp, transactions, nonce, hash, previousBlockHash, merkleRoot, signature)
+                                              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [blockIndex, timestamp, JSON.stringify(lightweightTransactions), nonce, hash, previousBlockHash, merkleRoot, signature]);
 
-                try {
-                    const fullChain = await Promise.all(chainPromises);
-                    resolve(fullChain);
-                } catch (promiseAllErr) {
-                    console.error('DB Module: Error processing full chain for getAllBlocks:', promiseAllErr.message);
-                    reject(promiseAllErr);
-                }
-            }
-        });
-    });
+    for (const transaction of transactions) {
+        const { transactionId, projId, timestamp: txTimestamp, submitterId, stationID, SO2, NO2, PM10, PM2_5, rawDataJson, rowHash, signature: txSignature, publicKey } = transaction;
+        await tx.run(`INSERT INTO confirmed_transactions
+                      (transaction_id, block_id, projId, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash, signature, public_key, tx_type)
+                      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [transactionId, blockId, projId, txTimestamp, submitterId, stationID, SO2, NO2, PM10, PM2_5, rawDataJson, rowHash, txSignature, publicKey, transaction.txType || 'reading']);
+    }
+
+    const evaluatedAt = new Date().toISOString();
+    for (const flag of complianceFlags) {
+        await tx.run(`INSERT INTO compliance_flags
+                      (transaction_id, block_id, blockIndex, compliant, violations, evaluated_at)
+                      VALUES (?, ?, ?, ?, ?, ?)`,
+            [flag.transactionId, blockId, blockIndex, flag.compliant ? 1 : 0, JSON.stringify(flag.violations), evaluatedAt]);
+    }
+}
+
+/**
+ * Replaces every block after blockIndex with the given blocks in one SQLite transaction (used to switch
+ * to a peer's chain): the removed blocks' transactions go back to the mempool, the new blocks are added
+ * with their compliance flags and their transactions leave the mempool. If anything fails, nothing changes.
+ * @param {number} blockIndex The index of the last block to keep (the common ancestor).
+ * @param {Array<Object>} blocks The validated blocks that follow it, with full transaction objects.
+ * @param {Function} evaluateBlock async (block, windowStats) => complianceFlags (see compliance.evaluateBlock).
+ *     windowStats reads the chain as it stands inside the transaction.
+ * @returns {Promise<{removedBlocks: number, returnedTransactionIds: Array<string>, complianceFlags: Array<Array<Object>>}>}
+ *     returnedTransactionIds are the removed transactions that are not in the new blocks; complianceFlags is per block.
+ */
+function replaceBlocksAfter(blockIndex, blocks, evaluateBlock) {
+    return withTransaction(async tx => {
+        const { removedBlocks, returnedTransactionIds } = await removeBlocksAfter(tx, blockIndex);
+        const confirmed = new Set();
+        const complianceFlags = [];
+        for (const block of blocks) {
+            const flags = await evaluateBlock(block, (stationID, pollutant, fromTimestamp, toTimestamp) =>
+                tx.get(pollutantWindowStatsSql(pollutant), [stationID, fromTimestamp, toTimestamp]));
+            await insertBlock(tx, block, flags);
+            for (const transaction of block.transactions) {
+                await tx.run(`DELETE FROM mempool_transactions WHERE transaction_id = ?`, [transaction.transactionId]);
+                confirmed.add(transaction.transactionId);
+            }
+            complianceFlags.push(flags);
+        }
+        return { removedBlocks, returnedTransactionIds: returnedTransactionIds.filter(id => !confirmed.has(id)), complianceFlags };
+    }).then(result => {
+        console.log(`DB Module: Replaced ${result.removedBlocks} blocks after index ${blockIndex} with ${blocks.length} blocks. ${result.returnedTransactionIds.length} transactions returned to mempool.`);
+        return result;
+    }).catch(err => {
+        console.error('DB Module: Error replacing blocks, transaction rolled back:', err.message);
+        throw err;
+    });
+}
+
+// Deletes the blocks after blockIndex inside a withTransaction, returning their transactions to the mempool.
+async function removeBlocksAfter(tx, blockIndex) {
+    const staleBlocks = `SELECT id FROM bchain WHERE blockIndex > ?`;
+    const returnedRows = await tx.all(`SELECT transaction_id FROM confirmed_transactions WHERE block_id IN (${staleBlocks})`, [blockIndex]);
+    await tx.run(`INSERT OR IGNORE INTO mempool_transactions
+                  (projId, transaction_id, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash, signature, public_key, received_at, tx_type)
+                  SELECT projId, transaction_id, timestamp, submitter_id, station_id, so2, no2, pm10, pm2_5, raw_data_json, rowHash, signature, public_key, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), tx_type
+                  FROM confirmed_transactions WHERE block_id IN (${staleBlocks})`, [blockIndex]);
+    await tx.run(`DELETE FROM compliance_flags WHERE block_id IN (${staleBlocks})`, [blockIndex]);
+    await tx.run(`DELETE FROM confirmed_transactions WHERE block_id IN (${staleBlocks})`, [blockIndex]);
+    const { changes: removedBlocks } = await tx.run(`DELETE FROM bchain WHERE blockIndex > ?`, [blockIndex]);
+    return { removedBlocks, returnedTransactionIds: returnedRows.map(row => row.transaction_id) };
+}
+
+/**
+ * Signs every block that has no authority signature yet (e.g. the genesis block,
+ * or blocks mined before blocks were signed). Only meaningful on the RegAuth node.
+ * @param {Function} signBlock Returns the signature for a block.
+ * @returns {Promise<number>} The number of blocks signed.
+ */
+function signUnsignedBlocks(signBlock) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.all(`SELECT id, blockIndex, hash FROM bchain WHERE signature IS NULL ORDER BY blockIndex ASC`, [], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading unsigned blocks:', err.message);
+                return reject(err);
+            }
+            const updates = rows.map(row => new Promise((res, rej) => {
+                db.run(`UPDATE bchain SET signature = ? WHERE id = ?`, [signBlock(row), row.id], (updateErr) => {
+                    if (updateErr) rej(updateErr);
+                    else res();
+                });
+            }));
+            Promise.all(updates)
+                .then(() => {
+                    if (rows.length > 0) {
+                        console.log(`DB Module: Signed ${rows.length} previously unsigned blocks.`);
+                    }
+                    resolve(rows.length);
+                })
+                .catch(updateErr => {
+                    console.error('DB Module: Error signing blocks:', updateErr.message);
+                    reject(updateErr);
+                });
+        });
+    });
+}
+
+// Sum and count of a pollutant over a station's confirmed readings in (from, to]; params [stationID, from, to]
+function pollutantWindowStatsSql(pollutant) {
+    const column = POLLUTANT_COLUMNS[pollutant];
+    if (!column) {
+        throw new Error(`DB Module: Unknown pollutant ${pollutant}.`);
+    }
+    return `SELECT COALESCE(SUM(${column}), 0) AS sum, COUNT(${column}) AS count
+            FROM confirmed_transactions
+            WHERE station_id IS ? AND timestamp > ? AND timestamp <= ?`;
+}
+
+/**
+ * Sums a pollutant's confirmed readings for a station within (fromTimestamp, toTimestamp].
+ * Used by the compliance engine to compute averages over a window.
+ * @param {string} stationID The station to look at.
+ * @param {string} pollutant One of SO2, NO2, PM10, PM2_5.
+ * @param {string} fromTimestamp ISO timestamp, exclusive.
+ * @param {string} toTimestamp ISO timestamp, inclusive.
+ * @returns {Promise<{sum: number, count: number}>}
+ */
+function getPollutantWindowStats(stationID, pollutant, fromTimestamp, toTimestamp) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        if (!POLLUTANT_COLUMNS[pollutant]) {
+            return reject(new Error(`DB Module: Unknown pollutant ${pollutant}.`));
+        }
+        db.get(pollutantWindowStatsSql(pollutant), [stationID, fromTimestamp, toTimestamp], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error computing pollutant window stats:', err.message);
+                reject(err);
+            } else {
+                resolve({ sum: row.sum, count: row.count });
+            }
+        });
+    });
+}
+
+/**
+ * Reads the compliance verdicts recorded by this node.
+ * @param {Object} [filters] Optional { transactionId, compliant }.
+ * @returns {Promise<Array<Object>>}
+ */
+function getComplianceFlags(filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = [];
+        const params = [];
+        if (filters.transactionId) {
+            conditions.push('transaction_id = ?');
+            params.push(filters.transactionId);
+        }
+        if (filters.compliant !== undefined) {
+            conditions.push('compliant = ?');
+            params.push(filters.compliant ? 1 : 0);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.all(`SELECT * FROM compliance_flags ${where} ORDER BY blockIndex DESC, id ASC`, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading compliance flags:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({
+                    transactionId: row.transaction_id,
+                    blockIndex: row.blockIndex,
+                    compliant: row.compliant === 1,
+                    violations: JSON.parse(row.violations),
+                    evaluatedAt: row.evaluated_at
+                })));
+            }
+        });
+    });
+}
+
+// strftime formats for the aggregation periods of getPollutantAggregates
+const PERIOD_FORMATS = { hour: '%Y-%m-%dT%H:00:00Z', day: '%Y-%m-%d', month: '%Y-%m' };
+const GROUP_COLUMNS = { station: 'ct.station_id', project: 'ct.projId' };
+
+function analyticsConditions(filters, conditions, params) {
+    conditions.push("ct.tx_type = 'reading'");
+    if (filters.stationID !== undefined) {
+        conditions.push('ct.station_id = ?');
+        params.push(filters.stationID);
+    }
+    if (filters.projId !== undefined) {
+        conditions.push('ct.projId = ?');
+        params.push(filters.projId);
+    }
+}
+
+/**
+ * Aggregates confirmed readings per period (hour, day or month) and per station or project.
+ * @param {Object} filters { interval, groupBy, stationID?, projId?, from?, to? } (from/to are inclusive ISO timestamps).
+ * @returns {Promise<Array<Object>>} One row per period and group:
+ *   { period, group, readings, fromBlock, toBlock, pollutants: { SO2: { min, max, mean, count }, ... } }.
+ */
+function getPollutantAggregates(filters) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const periodFormat = PERIOD_FORMATS[filters.interval];
+        const groupColumn = GROUP_COLUMNS[filters.groupBy];
+        if (!periodFormat || !groupColumn) {
+            return reject(new Error(`DB Module: Unknown interval ${filters.interval} or groupBy ${filters.groupBy}.`));
+        }
+        const conditions = [];
+        const params = [];
+        analyticsConditions(filters, conditions, params);
+        if (filters.from !== undefined) {
+            conditions.push('ct.timestamp >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to !== undefined) {
+            conditions.push('ct.timestamp <= ?');
+            params.push(filters.to);
+        }
+        const pollutantColumns = Object.entries(POLLUTANT_COLUMNS).map(([pollutant, column]) =>
+            `MIN(ct.${column}) AS ${pollutant}_min, MAX(ct.${column}) AS ${pollutant}_max, AVG(ct.${column}) AS ${pollutant}_mean, COUNT(ct.${column}) AS ${pollutant}_count`);
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const sql = `SELECT strftime('${periodFormat}', ct.timestamp) AS period, ${groupColumn} AS groupKey,
+                            COUNT(*) AS readings, MIN(b.blockIndex) AS fromBlock, MAX(b.blockIndex) AS toBlock,
+                            ${pollutantColumns.join(', ')}
+                     FROM confirmed_transactions ct
+                     JOIN bchain b ON b.id = ct.block_id
+                     ${where}
+                     GROUP BY period, groupKey
+                     ORDER BY period ASC, groupKey ASC`;
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error aggregating pollutant readings:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => {
+                    const pollutants = {};
+                    Object.keys(POLLUTANT_COLUMNS).forEach(pollutant => {
+                        pollutants[pollutant] = {
+                            min: row[`${pollutant}_min`],
+                            max: row[`${pollutant}_max`],
+                            mean: row[`${pollutant}_mean`],
+                            count: row[`${pollutant}_count`]
+                        };
+                    });
+                    return {
+                        period: row.period,
+                        group: row.groupKey,
+                        readings: row.readings,
+                        fromBlock: row.fromBlock,
+                        toBlock: row.toBlock,
+                        pollutants
+                    };
+                }));
+            }
+        });
+    });
+}
+
+/**
+ * Averages one pollutant per station over a time window, like getPollutantWindowStats but for many stations.
+ * @param {string} pollutant One of SO2, NO2, PM10, PM2_5.
+ * @param {string} fromTimestamp ISO timestamp, exclusive.
+ * @param {string} toTimestamp ISO timestamp, inclusive.
+ * @param {Object} [filters] { stationID?, projId? }
+ * @returns {Promise<Array<{stationID: string, mean: number, min: number, max: number, count: number, fromBlock: number, toBlock: number}>>}
+ *   Stations without readings of the pollutant in the window are left out.
+ */
+function getRollingAverages(pollutant, fromTimestamp, toTimestamp, filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const column = POLLUTANT_COLUMNS[pollutant];
+        if (!column) {
+            return reject(new Error(`DB Module: Unknown pollutant ${pollutant}.`));
+        }
+        const conditions = [`ct.${column} IS NOT NULL`, 'ct.timestamp > ?', 'ct.timestamp <= ?'];
+        const params = [fromTimestamp, toTimestamp];
+        analyticsConditions(filters, conditions, params);
+        const sql = `SELECT ct.station_id AS stationID, AVG(ct.${column}) AS mean, MIN(ct.${column}) AS min, MAX(ct.${column}) AS max,
+                            COUNT(*) AS count, MIN(b.blockIndex) AS fromBlock, MAX(b.blockIndex) AS toBlock
+                     FROM confirmed_transactions ct
+                     JOIN bchain b ON b.id = ct.block_id
+                     WHERE ${conditions.join(' AND ')}
+                     GROUP BY ct.station_id
+                     ORDER BY ct.station_id ASC`;
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error computing rolling averages:', err.message);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Checks whether a transaction is already confirmed on this node's chain.
+ * @param {string} transactionId The transaction UUID.
+ * @returns {Promise<boolean>}
+ */
+function isTransactionConfirmed(transactionId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT 1 FROM confirmed_transactions WHERE transaction_id = ?`, [transactionId], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error checking confirmed transaction:', err.message);
+                reject(err);
+            } else {
+                resolve(Boolean(row));
+            }
+        });
+    });
+}
+
+/**
+ * Finds the confirmed transaction with the given ID together with the block that contains it.
+ * The block's transactions are the lightweight { transactionId, rowHash } list stored in bchain,
+ * which keeps the order the merkle tree was built in.
+ * @param {string} transactionId The transaction UUID.
+ * @returns {Promise<{transaction: Object, block: Object}|null>} Null if the transaction is not confirmed here.
+ */
+function getConfirmedTransactionWithBlock(transactionId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const sql = `SELECT ct.transaction_id, ct.rowHash, ct.raw_data_json, ct.timestamp AS tx_timestamp,
+                            b.blockIndex, b.timestamp, b.transactions, b.nonce, b.hash, b.previousBlockHash, b.merkleRoot, b.signature
+                     FROM confirmed_transactions ct JOIN bchain b ON b.id = ct.block_id
+                     WHERE ct.transaction_id = ?`;
+        db.get(sql, [transactionId], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error getting confirmed transaction with block:', err.message);
+                reject(err);
+            } else if (!row) {
+                resolve(null);
+            } else {
+                resolve({
+                    transaction: {
+                        transactionId: row.transaction_id,
+                        timestamp: row.tx_timestamp,
+                        rawDataJson: row.raw_data_json,
+                        rowHash: row.rowHash
+                    },
+                    block: {
+                        blockIndex: row.blockIndex,
+                        timestamp: row.timestamp,
+                        transactions: JSON.parse(row.transactions),
+                        nonce: row.nonce,
+                        hash: row.hash,
+                        previousBlockHash: row.previousBlockHash,
+                        merkleRoot: row.merkleRoot,
+                        signature: row.signature
+                    }
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Gets the last block from the 'bchain' table.
+ * @returns {Promise<Object|null>} A promise that resolves with the last block object, or null if no blocks exist.
+ */
+function getLastBlock() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT * FROM bchain ORDER BY blockIndex DESC LIMIT 1`, [], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error getting last block:', err.message);
+                reject(err);
+            } else {
+                if (row) {
+                    // Parse the transactions JSON string back into an array of objects
+                    row.transactions = JSON.parse(row.transactions);
+                    resolve(row);
+                } else {
+                    resolve(null);
+                }
+            }
+        });
+    });
+}
+
+// Maps a peers row to the object returned by the peer functions
+function toPeer(row) {
+    return {
+        url: row.url,
+        addedAt: row.added_at,
+        lastSeen: row.last_seen,
+        failureCount: row.failure_count,
+        status: row.status
+    };
+}
+
+/**
+ * Lists the peers stored for this node.
+ * @param {Object} [options] { status: 'active' | 'retired' } to filter by status.
+ * @returns {Promise<Array<Object>>}
+ */
+function getPeers(options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const where = options.status ? 'WHERE status = ?' : '';
+        const params = options.status ? [options.status] : [];
+        db.all(`SELECT * FROM peers ${where} ORDER BY added_at ASC`, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading peers:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(toPeer));
+            }
+        });
+    });
+}
+
+/**
+ * Stores a peer, or reactivates it if it was retired. Registration counts as contact.
+ * @param {string} url The peer's node URL.
+ */
+function upsertPeer(url) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const now = new Date().toISOString();
+        const sql = `INSERT INTO peers (url, added_at, last_seen, failure_count, status) VALUES (?, ?, ?, 0, 'active')
+                     ON CONFLICT(url) DO UPDATE SET last_seen = excluded.last_seen, failure_count = 0, status = 'active'`;
+        db.run(sql, [url, now, now], (err) => {
+            if (err) {
+                console.error('DB Module: Error storing peer:', err.message);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Records the result of a health check.
+ * @param {string} url The peer's node URL.
+ * @param {boolean} reachable Whether the peer answered.
+ * @returns {Promise<Object|null>} The updated peer.
+ */
+function recordPeerHealth(url, reachable) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const sql = reachable
+            ? `UPDATE peers SET last_seen = ?, failure_count = 0 WHERE url = ?`
+            : `UPDATE peers SET failure_count = failure_count + 1 WHERE url = ?`;
+        const params = reachable ? [new Date().toISOString(), url] : [url];
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('DB Module: Error recording peer health:', err.message);
+                return reject(err);
+            }
+            db.get(`SELECT * FROM peers WHERE url = ?`, [url], (getErr, row) => {
+                if (getErr) {
+                    console.error('DB Module: Error reading peer:', getErr.message);
+                    reject(getErr);
+                } else {
+                    resolve(row ? toPeer(row) : null);
+                }
+            });
+        });
+    });
+}
+
+function setPeerStatus(url, status) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.run(`UPDATE peers SET status = ? WHERE url = ?`, [status, url], (err) => {
+            if (err) {
+                console.error('DB Module: Error updating peer status:', err.message);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+function deletePeer(url) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.run(`DELETE FROM peers WHERE url = ?`, [url], function(err) {
+            if (err) {
+                console.error('DB Module: Error deleting peer:', err.message);
+                reject(err);
+            } else {
+                resolve(this.changes);
+            }
+        });
+    });
+}
+
+// Maps an outbox row to a delivery object (without the payload)
+function toDelivery(row) {
+    return {
+        id: row.id,
+        peerUrl: row.peer_url,
+        path: row.path,
+        kind: row.kind,
+        ref: row.ref,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+/**
+ * Queues one delivery per peer in the outbox, in a single SQLite transaction.
+ * @param {Array<string>} peerUrls The peers to deliver to.
+ * @param {Object} message { path, kind, ref, payload }
+ * @returns {Promise<Array<Object>>} The queued deliveries.
+ */
+function enqueueDeliveries(peerUrls, message) {
+    if (peerUrls.length === 0) {
+        return db ? Promise.resolve([]) : Promise.reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+    }
+    const now = new Date().toISOString();
+    const payloadJson = JSON.stringify(message.payload);
+    const sql = `INSERT INTO outbox (peer_url, path, kind, ref, payload, status, attempts, next_attempt_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)`;
+
+    return withTransaction(async tx => {
+        const deliveries = [];
+        for (const peerUrl of peerUrls) {
+            const { lastID } = await tx.run(sql, [peerUrl, message.path, message.kind, String(message.ref), payloadJson, now, now]);
+            deliveries.push({ id: lastID, peerUrl, path: message.path, kind: message.kind, ref: String(message.ref), status: 'pending', attempts: 0 });
+        }
+        return deliveries;
+    }).catch(err => {
+        console.error('DB Module: Error queuing outbox deliveries:', err.message);
+        throw err;
+    });
+}
+
+/**
+ * Gets the pending deliveries whose next attempt is due, oldest first.
+ * @param {number} limit Maximum number of deliveries.
+ * @returns {Promise<Array<Object>>} Deliveries including their parsed payload.
+ */
+function getDueDeliveries(limit) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const sql = `SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id ASC LIMIT ?`;
+        db.all(sql, [new Date().toISOString(), limit], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading due deliveries:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({ ...toDelivery(row), payload: JSON.parse(row.payload) })));
+            }
+        });
+    });
+}
+
+/**
+ * Records the outcome of a delivery attempt.
+ * @param {number} id The delivery ID.
+ * @param {Object} update { status, attempts, nextAttemptAt, lastError }
+ */
+function updateDelivery(id, update) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const deliveredAt = update.status === 'delivered' ? new Date().toISOString() : null;
+        const sql = `UPDATE outbox SET status = ?, attempts = ?, next_attempt_at = COALESCE(?, next_attempt_at), last_error = ?, delivered_at = ?
+                     WHERE id = ?`;
+        db.run(sql, [update.status, update.attempts, update.nextAttemptAt || null, update.lastError || null, deliveredAt, id], (err) => {
+            if (err) {
+                console.error('DB Module: Error updating delivery:', err.message);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Lists outbox deliveries, newest first.
+ * @param {Object} [filters] Optional { peerUrl, status, kind, ref, limit }.
+ * @returns {Promise<Array<Object>>}
+ */
+function getDeliveries(filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = [];
+        const params = [];
+        [['peerUrl', 'peer_url'], ['status', 'status'], ['kind', 'kind'], ['ref', 'ref']].forEach(([filter, column]) => {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = ?`);
+                params.push(String(filters[filter]));
+            }
+        });
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(filters.limit || 100);
+        db.all(`SELECT * FROM outbox ${where} ORDER BY id DESC LIMIT ?`, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading deliveries:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(toDelivery));
+            }
+        });
+    });
+}
+
+/**
+ * Counts deliveries per peer and status.
+ * @returns {Promise<Object>} { "<peerUrl>": { pending, delivered, rejected, failed } }
+ */
+function getDeliverySummary() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.all(`SELECT peer_url, status, COUNT(*) AS count FROM outbox GROUP BY peer_url, status`, [], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error summarising deliveries:', err.message);
+                return reject(err);
+            }
+            const summary = {};
+            rows.forEach(row => {
+                summary[row.peer_url] = summary[row.peer_url] || { pending: 0, delivered: 0, rejected: 0, failed: 0 };
+                summary[row.peer_url][row.status] = row.count;
+            });
+            resolve(summary);
+        });
+    });
+}
+
+// Maps a webhooks row to a webhook object. The secret is only included on request (for signing).
+function toWebhook(row, withSecret = false) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.event_types),
+        projId: row.proj_id,
+        stationID: row.station_id,
+        description: row.description,
+        status: row.status,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        ...(withSecret && { secret: row.secret })
+    };
+}
+
+/**
+ * Stores a new webhook.
+ * @param {Object} webhook { id, url, secret, events, projId, stationID, description, createdBy }
+ * @returns {Promise<Object>} The stored webhook, without its secret.
+ */
+function createWebhook(webhook) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const createdAt = new Date().toISOString();
+        const sql = `INSERT INTO webhooks (id, url, secret, event_types, proj_id, station_id, description, status, created_by, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)`;
+        const params = [webhook.id, webhook.url, webhook.secret, JSON.stringify(webhook.events), webhook.projId || null,
+            webhook.stationID || null, webhook.description || null, webhook.createdBy || null, createdAt];
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('DB Module: Error creating webhook:', err.message);
+                reject(err);
+            } else {
+                db.get(`SELECT * FROM webhooks WHERE id = ?`, [webhook.id], (getErr, row) => {
+                    if (getErr) reject(getErr);
+                    else resolve(toWebhook(row));
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Lists webhooks, newest first.
+ * @param {Object} [filters] { status: 'active' | 'deleted', projId, withSecret }
+ * @returns {Promise<Array<Object>>}
+ */
+function getWebhooks(filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = [];
+        const params = [];
+        [['status', 'status'], ['projId', 'proj_id']].forEach(([filter, column]) => {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = ?`);
+                params.push(String(filters[filter]));
+            }
+        });
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        db.all(`SELECT * FROM webhooks ${where} ORDER BY created_at DESC`, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading webhooks:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => toWebhook(row, filters.withSecret)));
+            }
+        });
+    });
+}
+
+/**
+ * Gets one webhook.
+ * @param {string} id
+ * @param {boolean} [withSecret]
+ * @returns {Promise<Object|null>}
+ */
+function getWebhook(id, withSecret = false) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        db.get(`SELECT * FROM webhooks WHERE id = ?`, [id], (err, row) => {
+            if (err) {
+                console.error('DB Module: Error reading webhook:', err.message);
+                reject(err);
+            } else {
+                resolve(row ? toWebhook(row, withSecret) : null);
+            }
+        });
+    });
+}
+
+/**
+ * Deletes a webhook: it stops receiving events and its pending deliveries are cancelled.
+ * The webhook and its delivery history are kept.
+ * @param {string} id
+ * @returns {Promise<number>} The number of cancelled deliveries.
+ */
+function deleteWebhook(id) {
+    return withTransaction(async tx => {
+        await tx.run(`UPDATE webhooks SET status = 'deleted' WHERE id = ?`, [id]);
+        const { changes: cancelled } = await tx.run(`UPDATE webhook_deliveries SET status = 'cancelled', next_attempt_at = NULL WHERE webhook_id = ? AND status = 'pending'`, [id]);
+        return cancelled;
+    }).catch(err => {
+        console.error('DB Module: Error deleting webhook:', err.message);
+        throw err;
+    });
+}
+
+// Maps a webhook_deliveries row to a delivery object (without the payload)
+function toWebhookDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+/**
+ * Queues an event for delivery to webhooks, in a single SQLite transaction.
+ * @param {Array<string>} webhookIds The webhooks to notify.
+ * @param {Object} event { id, type, payload }
+ * @returns {Promise<Array<Object>>} The queued deliveries.
+ */
+function enqueueWebhookDeliveries(webhookIds, event) {
+    const now = new Date().toISOString();
+    const payloadJson = JSON.stringify(event.payload);
+    return withTransaction(async tx => {
+        const deliveries = [];
+        for (const webhookId of webhookIds) {
+            const { lastID: id } = await tx.run(`INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+                                                 VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)`, [webhookId, event.id, event.type, payloadJson, now, now]);
+            deliveries.push({ id, webhookId, eventId: event.id, eventType: event.type, status: 'pending', attempts: 0 });
+        }
+        return deliveries;
+    }).catch(err => {
+        console.error('DB Module: Error queuing webhook deliveries:', err.message);
+        throw err;
+    });
+}
+
+/**
+ * Gets the pending webhook deliveries whose next attempt is due, oldest first, with the webhook's URL and secret.
+ * @param {number} limit Maximum number of deliveries.
+ * @returns {Promise<Array<Object>>} Deliveries including their payload (the JSON string that is signed and sent).
+ */
+function getDueWebhookDeliveries(limit) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const sql = `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+                     JOIN webhooks w ON w.id = d.webhook_id
+                     WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.status = 'active'
+                     ORDER BY d.id ASC LIMIT ?`;
+        db.all(sql, [new Date().toISOString(), limit], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading due webhook deliveries:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({ ...toWebhookDelivery(row), url: row.url, secret: row.secret, payload: row.payload })));
+            }
+        });
+    });
+}
+
+/**
+ * Records the outcome of a webhook delivery attempt.
+ * @param {number} id The delivery ID.
+ * @param {Object} update { status, attempts, nextAttemptAt, responseStatus, lastError }
+ */
+function updateWebhookDelivery(id, update) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const deliveredAt = update.status === 'delivered' ? new Date().toISOString() : null;
+        const sql = `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?, delivered_at = ?
+                     WHERE id = ?`;
+        const params = [update.status, update.attempts, update.status === 'pending' ? update.nextAttemptAt : null,
+            update.responseStatus || null, update.lastError || null, deliveredAt, id];
+        db.run(sql, params, (err) => {
+            if (err) {
+                console.error('DB Module: Error updating webhook delivery:', err.message);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Lists webhook deliveries, newest first.
+ * @param {Object} [filters] Optional { webhookId, status, eventType, limit }.
+ * @returns {Promise<Array<Object>>} Deliveries including the parsed payload.
+ */
+function getWebhookDeliveries(filters = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const conditions = [];
+        const params = [];
+        [['webhookId', 'webhook_id'], ['status', 'status'], ['eventType', 'event_type']].forEach(([filter, column]) => {
+            if (filters[filter] !== undefined) {
+                conditions.push(`${column} = ?`);
+                params.push(String(filters[filter]));
+            }
+        });
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(filters.limit || 100);
+        db.all(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ?`, params, (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading webhook deliveries:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({ ...toWebhookDelivery(row), payload: JSON.parse(row.payload) })));
+            }
+        });
+    });
+}
+
+/**
+ * Reads every confirmed registry entry in chain order (block by block, in the order each block lists them).
+ * The station and submitter registry is derived from these (see registry.js).
+ * @returns {Promise<Array<Object>>} Block transactions, each with the blockIndex that confirmed it.
+ */
+function getRegistryTransactions() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+        const sql = `SELECT ct.*, b.blockIndex FROM confirmed_transactions ct
+                     JOIN bchain b ON b.id = ct.block_id
+                     JOIN json_each(b.transactions) listed ON json_extract(listed.value, '$.transactionId') = ct.transaction_id
+                     WHERE ct.tx_type = 'registry'
+                     ORDER BY b.blockIndex ASC, listed.key ASC`;
+        db.all(sql, [], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error reading registry transactions:', err.message);
+                reject(err);
+            } else {
+                resolve(rows.map(row => ({ ...toBlockTransaction(row), blockIndex: row.blockIndex })));
+            }
+        });
+    });
+}
+
+// Maps a confirmed_transactions row to the transaction object used in blocks
+function toBlockTransaction(txRow) {
+    return {
+        txType: txRow.tx_type,
+        transactionId: txRow.transaction_id,
+        projId: txRow.projId,
+        timestamp: txRow.timestamp,
+        submitterId: txRow.submitter_id,
+        stationID: txRow.station_id,
+        SO2: txRow.so2,
+        NO2: txRow.no2,
+        PM10: txRow.pm10,
+        PM2_5: txRow.pm2_5,
+        rawDataJson: txRow.raw_data_json,
+        rowHash: txRow.rowHash,
+        signature: txRow.signature,
+        publicKey: txRow.public_key
+    };
+}
+
+/**
+ * Retrieves the blocks with fromIndex <= blockIndex <= toIndex, ordered by blockIndex.
+ * With headersOnly, each block keeps the lightweight { transactionId, rowHash } list stored in bchain
+ * (enough to re-check the block hash, merkle root and signature). Otherwise the full transactions
+ * from 'confirmed_transactions' are loaded with a single query, in the order the block lists them.
+ * @param {number} fromIndex First block index (inclusive).
+ * @param {number} toIndex Last block index (inclusive).
+ * @param {Object} [options] { headersOnly: boolean }
+ * @returns {Promise<Array<Object>>} A promise that resolves with an array of block objects.
+ */
+function getBlocksInRange(fromIndex, toIndex, options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            return reject(new Error("DB Module: Database not initialized. Call initDb() first."));
+        }
+
+        db.all(`SELECT * FROM bchain WHERE blockIndex BETWEEN ? AND ? ORDER BY blockIndex ASC`, [fromIndex, toIndex], (err, rows) => {
+            if (err) {
+                console.error('DB Module: Error getting blocks in range:', err.message);
+                return reject(err);
+            }
+            rows.forEach(row => {
+                row.transactions = JSON.parse(row.transactions);
+            });
+            if (options.headersOnly || rows.length === 0) {
+                return resolve(rows);
+            }
+
+            const transactionsSql = `SELECT ct.* FROM confirmed_transactions ct JOIN bchain b ON b.id = ct.block_id
+                                     WHERE b.blockIndex BETWEEN ? AND ? ORDER BY ct.internal_id ASC`;
+            db.all(transactionsSql, [fromIndex, toIndex], (txErr, txRows) => {
+                if (txErr) {
+                    console.error('DB Module: Error getting confirmed transactions for block range:', txErr.message);
+                    return reject(txErr);
+                }
+                const txsByBlock = new Map();
+                txRows.forEach(txRow => {
+                    if (!txsByBlock.has(txRow.block_id)) {
+                        txsByBlock.set(txRow.block_id, new Map());
+                    }
+                    txsByBlock.get(txRow.block_id).set(txRow.transaction_id, toBlockTransaction(txRow));
+                });
+
+                // Overwrite the lightweight transactions (from bchain.transactions) with the full ones,
+                // keeping the block's order. Rows the block does not list are appended so that audits notice them.
+                rows.forEach(row => {
+                    const blockTxs = txsByBlock.get(row.id) || new Map();
+                    const ordered = row.transactions.filter(tx => blockTxs.has(tx.transactionId)).map(tx => blockTxs.get(tx.transactionId));
+                    const listed = new Set(row.transactions.map(tx => tx.transactionId));
+                    const unlisted = [...blockTxs.values()].filter(tx => !listed.has(tx.transactionId));
+                    row.transactions = [...ordered, ...unlisted];
+                });
+                resolve(rows);
+            });
+        });
+    });
+}
+
+/**
+ * Retrieves all blocks from the 'bchain' table, ordered by blockIndex,
+ * and includes their full transaction details from 'confirmed_transactions'.
+ * @returns {Promise<Array<Object>>} A promise that resolves with an array of block objects.
+ */
+function getAllBlocks() {
+    return getBlocksInRange(0, Number.MAX_SAFE_INTEGER);
 }
 
 module.exports = {
@@ -514,11 +1981,51 @@ module.exports = {
     setProjId,
     setDbFile,
     createTransaction,
+    createTransactions,
     readAllTransactions,
+    queryConfirmedTransactions,
+    getPollutantAggregates,
+    getRollingAverages,
     getMempoolCount,
+    getMempoolStatus,
+    getMempoolTransactions,
+    getMempoolTransaction,
+    evictMempoolTransaction,
+    getMempoolEviction,
     getTransactionsForBlock,
     removeTransactionsFromMempool,
+    removeConfirmedFromMempool,
+    removeExpiredFromMempool,
+    trimMempool,
+    getStaleMempoolTransactions,
+    markMempoolAnnounced,
     addBlockToBlockchain,
     getLastBlock,
-    getAllBlocks
+    getAllBlocks,
+    getBlocksInRange,
+    isTransactionConfirmed,
+    getConfirmedTransactionWithBlock,
+    getRegistryTransactions,
+    getPeers,
+    upsertPeer,
+    recordPeerHealth,
+    setPeerStatus,
+    deletePeer,
+    enqueueDeliveries,
+    getDueDeliveries,
+    updateDelivery,
+    getDeliveries,
+    getDeliverySummary,
+    createWebhook,
+    getWebhooks,
+    getWebhook,
+    deleteWebhook,
+    enqueueWebhookDeliveries,
+    getDueWebhookDeliveries,
+    updateWebhookDelivery,
+    getWebhookDeliveries,
+    replaceBlocksAfter,
+    signUnsignedBlocks,
+    getPollutantWindowStats,
+    getComplianceFlags
 };
\ No newline at end of file
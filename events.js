@@ -0,0 +1,160 @@
+// events.js
+// In-process event bus behind GET /api/events (Server-Sent Events). Modules publish typed events;
+// every event gets a sequence id and is kept in a ring buffer so clients can resume after a reconnect.
+//   transaction.pending - a transaction entered this node's mempool
+//   block.mined         - RegAuth sealed a block (mineBlockInternal)
+//   block.accepted      - a block from a peer was added to the chain (POST /blocks/receive or a sync)
+//   block.rejected      - a block from a peer failed validation in POST /blocks/receive (not one that is only out of sequence)
+//   reading.violation   - a confirmed reading was flagged non-compliant
+//   peer.offline        - a peer was retired after failing its health checks (see routes/network.js checkPeers)
+// Ids restart at 1 when the node restarts; a client that resumes from a higher id gets the whole buffer.
+const { getConfig } = require('./config');
+
+const TYPES = ['transaction.pending', 'block.mined', 'block.accepted', 'block.rejected', 'reading.violation', 'peer.offline'];
+
+let buffer = [];
+let lastId = 0;
+const subscribers = new Set();
+
+function unique(values) {
+    return [...new Set(values.filter(value => value !== undefined && value !== null).map(String))];
+}
+
+/**
+ * Publishes an event to every subscriber and keeps it for resuming clients.
+ * @param {string} type One of TYPES.
+ * @param {Object} data The event payload.
+ * @param {Object} [scope] { projIds, stationIDs } the event concerns, used by the client filters.
+ * @returns {Object} The event: { id, type, time, data, projIds, stationIDs }.
+ */
+function publish(type, data, scope = {}) {
+    const event = {
+        id: ++lastId,
+        type,
+        time: new Date().toISOString(),
+        data,
+        projIds: unique(scope.projIds || []),
+        stationIDs: unique(scope.stationIDs || [])
+    };
+    buffer.push(event);
+    const { bufferSize } = getConfig().events;
+    if (buffer.length > bufferSize) {
+        buffer = buffer.slice(buffer.length - bufferSize);
+    }
+    subscribers.forEach(subscriber => {
+        if (matches(event, subscriber.filters)) {
+            subscriber.listener(event);
+        }
+    });
+    return event;
+}
+
+/**
+ * Publishes transaction.pending for a transaction that entered the mempool.
+ * @param {Object} tx The mempool transaction (db.createTransaction's result).
+ * @returns {Object} The event.
+ */
+function publishTransaction(tx) {
+    const { transactionId, txType, projId, stationID, submitterId, timestamp, SO2, NO2, PM10, PM2_5, rowHash } = tx;
+    return publish('transaction.pending',
+        { transactionId, txType, projId, stationID, submitterId, timestamp, SO2, NO2, PM10, PM2_5, rowHash },
+        { projIds: [projId], stationIDs: [stationID] });
+}
+
+/**
+ * Publishes a block event, plus reading.violation for each non-compliant reading of a block added to the chain.
+ * @param {string} type block.mined, block.accepted or block.rejected.
+ * @param {Object} block The block (fields may be missing on a rejected block).
+ * @param {Array<Object>} [complianceFlags] Verdicts from compliance.evaluateBlock.
+ * @param {Object} [details] Extra fields for the event, e.g. { reason } or { source }.
+ */
+function publishBlock(type, block, complianceFlags = [], details = {}) {
+    const transactions = Array.isArray(block.transactions) ? block.transactions : [];
+    const violations = complianceFlags.filter(flag => !flag.compliant);
+    publish(type, {
+        blockIndex: block.blockIndex,
+        hash: block.hash,
+        previousBlockHash: block.previousBlockHash,
+        timestamp: block.timestamp,
+        transactionCount: transactions.length,
+        transactionIds: transactions.map(tx => tx.transactionId),
+        nonCompliantCount: violations.length,
+        ...details
+    }, { projIds: transactions.map(tx => tx.projId), stationIDs: transactions.map(tx => tx.stationID) });
+
+    violations.forEach(flag => {
+        const tx = transactions.find(candidate => candidate.transactionId === flag.transactionId) || {};
+        publish('reading.violation', {
+            transactionId: flag.transactionId,
+            blockIndex: block.blockIndex,
+            projId: tx.projId,
+            stationID: tx.stationID,
+            submitterId: tx.submitterId,
+            timestamp: tx.timestamp,
+            violations: flag.violations
+        }, { projIds: [tx.projId], stationIDs: [tx.stationID] });
+    });
+}
+
+/**
+ * Whether an event passes a client's filters. An empty filter list lets everything through.
+ * @param {Object} event
+ * @param {Object} filters { types, projIds, stationIDs }, each an array.
+ * @returns {boolean}
+ */
+function matches(event, filters) {
+    const overlaps = (wanted, values) => wanted.length === 0 || values.some(value => wanted.includes(value));
+    return (filters.types.length === 0 || filters.types.includes(event.type)) &&
+        overlaps(filters.projIds, event.projIds) &&
+        overlaps(filters.stationIDs, event.stationIDs);
+}
+
+/**
+ * Registers a listener for new events that pass the filters.
+ * @param {Object} filters { types, projIds, stationIDs }
+ * @param {Function} listener Called with each event.
+ * @returns {Function} Call it to unsubscribe.
+ */
+function subscribe(filters, listener) {
+    const subscriber = { filters, listener };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+}
+
+/**
+ * The buffered events after a given id that pass the filters.
+ * @param {number} afterId The last id the client saw.
+ * @param {Object} filters
+ * @returns {{events: Array<Object>, complete: boolean}} complete is false if events after afterId
+ *          were already dropped from the buffer, so the client missed some.
+ */
+function replay(afterId, filters) {
+    const from = afterId > lastId ? 0 : afterId; // The node restarted since the client's last event
+    const complete = buffer.length === 0 || buffer[0].id <= from + 1;
+    return { events: buffer.filter(event => event.id > from && matches(event, filters)), complete };
+}
+
+/**
+ * Counts for GET /api/events/stats.
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        lastEventId: lastId,
+        buffered: buffer.length,
+        oldestBufferedId: buffer.length > 0 ? buffer[0].id : null,
+        bufferSize: getConfig().events.bufferSize,
+        subscribers: subscribers.size
+    };
+}
+
+module.exports = {
+    TYPES,
+    publish,
+    publishTransaction,
+    publishBlock,
+    subscribe,
+    replay,
+    matches,
+    getStats
+};
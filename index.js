@@ -1,39 +1,75 @@
 // index.js
 const express = require('express');
+const path = require('path');
 const db = require('./db'); // Your db.js module
 const transactionsRoutes = require('./routes/transactions');
-const { router: blocksRouter, mineBlockInternal } = require('./routes/blocks'); // Destructure blocksRouter and mineBlockInternal
+const analyticsRoutes = require('./routes/analytics');
+const registryRoutes = require('./routes/registry');
+const eventsRoutes = require('./routes/events');
+const webhooksRoutes = require('./routes/webhooks');
+const { router: blocksRouter, mineBlockInternal, auditChain, runConsensus } = require('./routes/blocks'); // Destructure blocksRouter and the chain functions
 const network = require('./routes/network'); // Import network module
 const cors = require('cors');
-const axios = require('axios'); // For initial chain sync
+const compliance = require('./compliance');
+const aqi = require('./aqi');
+const signatures = require('./signatures');
+const outbox = require('./outbox');
+const mempool = require('./mempool');
+const registry = require('./registry');
+const auth = require('./auth');
+const webhooks = require('./webhooks');
+const { loadConfig, ConfigError } = require('./config');
+
+// Configuration: config file < environment variables < command line flags.
+// The legacy positional form still works: node index.js <port> <myNodeUrl> <projId> <dbFileName>
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (error instanceof ConfigError) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
 
 const app = express();
-// Command line arguments: node index.js <port> <myNodeUrl> <projId> <dbFileName>
-const PORT = process.argv[2] || 3000;
-const MY_NODE_URL = process.argv[3];
-const REG_AUTH_ID = process.argv[4]; // '0' for RegAuth, '1' for ProjA, '2' for ProjB etc.
-const DB_FILE_NAME = process.argv[5] || 'default.db';
+const PORT = config.port;
+const MY_NODE_URL = config.nodeUrl;
+const REG_AUTH_ID = config.projId; // '0' for RegAuth, '1' for ProjA, '2' for ProjB etc.
+const IS_REGULATOR = config.role === 'regulator';
 
 // Set module-level variables in db and network modules
 db.setProjId(REG_AUTH_ID);
-db.setDbFile(DB_FILE_NAME);
+db.setDbFile(config.dbFile, config.dataDir);
 network.setMyNodeUrl(MY_NODE_URL); // Set myNodeUrl in the network module
 
-const MINE_THRESHOLD = 5; // Transactions to trigger a mine (for RegAuth)
 let mineInterval; // To store the interval timer
+let consensusInterval;
+let peerCheckInterval;
+let outboxInterval;
+let mempoolInterval;
+let webhookInterval;
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes (important for React frontend)
-app.use(express.json()); // Enable parsing of JSON request bodies
+// CORS for browser frontends: only the configured origins ('*' allows any)
+app.use(cors({ origin: config.cors.origins.includes('*') ? '*' : config.cors.origins }));
+app.use(express.json({ limit: '5mb' })); // Enable parsing of JSON request bodies (batches and block ranges can be large)
+app.use(auth.authenticate); // Identifies the caller's API key; each route checks the roles it allows
 
 // Routes
 app.use('/api/transactions', transactionsRoutes);
 app.use('/api/blocks', blocksRouter); // Use the destructured router
 app.use('/api/network', network.router);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/registry', registryRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/explorer', express.static(path.join(__dirname, 'public'))); // Block explorer (public/index.html)
 
 // Basic root route
 app.get('/', (req, res) => {
-    res.send(`Welcome to Node ${PORT}! Role: ${REG_AUTH_ID === '0' ? 'Regulator' : 'Project'}. My URL: ${MY_NODE_URL}`);
+    res.send(`Welcome to Node ${PORT}! Role: ${IS_REGULATOR ? 'Regulator' : 'Project'}. My URL: ${MY_NODE_URL}. Block explorer: /explorer/`);
 });
 
 // Error handling middleware
@@ -45,59 +81,130 @@ app.use((err, req, res, next) => {
 // Start the server and initialize the database
 async function startServer() {
     try {
+        signatures.loadAuthorityKeys(IS_REGULATOR, { // RegAuth signs blocks, project nodes verify them
+            privateKeyFile: config.files.authorityPrivateKey,
+            publicKeyFile: config.files.authorityPublicKey
+        });
         await db.initDb(); // Initialize database connection and tables
+        if (IS_REGULATOR) {
+            await db.signUnsignedBlocks(signatures.signBlock); // e.g. the genesis block
+        }
+        await network.loadPeers(); // Peers registered before the last restart
+        for (const peerUrl of config.peers) {
+            await network.addPeer(peerUrl); // Peers listed in the configuration
+        }
+        compliance.loadRules(config.files.complianceRules); // Fail fast if the compliance rules file is invalid
+        aqi.loadBreakpoints(config.files.aqiBreakpoints); // Same for the AQI breakpoint table
+        signatures.loadSubmitterKeys(config.files.submitterKeys); // Submitter keys used until the on-chain registry has entries
+        if (config.auth.enabled) {
+            auth.loadApiKeys(config.files.apiKeys); // API keys for regulator, project, auditor and node roles
+        } else {
+            console.warn(`Node ${MY_NODE_URL}: API authentication is disabled; every route is open. Start with --auth to require API keys.`);
+        }
+        await registry.load(); // Stations and submitters registered on the stored chain
+
+        // --- Optional Startup Chain Audit ---
+        // Refuse to start on a chain whose stored data no longer matches its hashes.
+        if (config.validateChainOnStart) {
+            console.log(`Node ${MY_NODE_URL}: Validating stored blockchain...`);
+            const report = await auditChain();
+            if (!report.valid) {
+                console.error(`Node ${MY_NODE_URL}: Chain validation failed:`, JSON.stringify(report, null, 2));
+                throw new Error('Stored blockchain failed validation.');
+            }
+            console.log(`Node ${MY_NODE_URL}: Chain validation passed (${report.checkedBlocks} blocks, ${report.checkedTransactions} transactions).`);
+        }
 
         // --- Initial Chain Synchronization Logic (for non-RegAuth nodes) ---
-        // Only attempt to sync if this is NOT the RegAuth node and it has no blocks
-        const lastBlockOnThisChain = await db.getLastBlock();
-        if (!lastBlockOnThisChain && String(REG_AUTH_ID) !== '0') {
-            console.log(`Node ${MY_NODE_URL}: No local blockchain found. Attempting to sync from RegAuth...`);
-            const regAuthUrl = 'http://localhost:3000'; // Assuming RegAuth is always on 3000 for PoC
+        // Fetch only the blocks after our local tip from the bootstrap node (RegAuth),
+        // or from the known peers if none is configured, in validated batches.
+        if (!IS_REGULATOR) {
+            const lastBlockOnThisChain = await db.getLastBlock();
+            const syncSources = config.bootstrapUrl ? [config.bootstrapUrl] : network.networkNodes;
+            console.log(`Node ${MY_NODE_URL}: Local chain tip is ${lastBlockOnThisChain ? lastBlockOnThisChain.blockIndex : 'empty'}. Attempting to sync from ${syncSources.join(', ') || 'no known nodes'}...`);
 
             try {
-                const response = await axios.get(`${regAuthUrl}/api/blocks/chain`);
-                const fullChain = response.data.chain;
-
-                if (fullChain && fullChain.length > 0) {
-                    console.log(`Node ${MY_NODE_URL}: Received chain of length ${fullChain.length} from RegAuth.`);
-                    // Add each block to this node's blockchain (starting from genesis)
-                    for (const block of fullChain) {
-                        // The addBlockToBlockchain function already handles atomicity and uniqueness checks
-                        await db.addBlockToBlockchain(block);
-                        // Also clear any transactions from mempool that are in these synchronized blocks
-                        const confirmedTransactionIds = block.transactions.map(tx => tx.transactionId);
-                        await db.removeTransactionsFromMempool(confirmedTransactionIds);
-                    }
-                    console.log(`Node ${MY_NODE_URL}: Blockchain synchronized successfully.`);
+                const result = await runConsensus(syncSources);
+                if (result.appliedBlocks > 0) {
+                    console.log(`Node ${MY_NODE_URL}: Blockchain synchronized successfully (${result.appliedBlocks} blocks applied, chain length ${result.chainLength}).`);
                 } else {
-                    console.log(`Node ${MY_NODE_URL}: RegAuth has no chain yet. Waiting for blocks.`);
+                    console.log(`Node ${MY_NODE_URL}: Local chain is up to date.`);
                 }
             } catch (syncError) {
-                console.error(`Node ${MY_NODE_URL}: Error syncing chain from RegAuth:`, syncError.message);
+                console.error(`Node ${MY_NODE_URL}: Error syncing chain:`, syncError.message);
                 // Continue running, but node might be out of sync.
             }
         }
         // --- End Initial Chain Synchronization Logic ---
 
+        // --- Webhooks ---
+        // Started after the initial sync so that catching up on old blocks does not notify old violations.
+        // Deliveries still pending from before a restart are picked up on the first run.
+        webhooks.start();
+        webhookInterval = setInterval(async () => {
+            try {
+                await webhooks.processDeliveries();
+            } catch (error) {
+                console.error(`Node ${MY_NODE_URL}: Error processing webhook deliveries:`, error.message);
+            }
+        }, config.intervals.webhooksMs);
+
 
         // --- RegAuth Specific Mining Logic ---
-        if (String(REG_AUTH_ID) === '0') { // Only RegAuth (node with ID '0') mines
+        if (IS_REGULATOR) { // Only RegAuth (node with ID '0') mines
             console.log(`Node ${MY_NODE_URL}: RegAuth node. Starting mining check interval...`);
             mineInterval = setInterval(async () => {
                 try {
-                    const mempoolCount = await db.getMempoolCount();
-                    console.log(`Node ${MY_NODE_URL}: RegAuth Mempool Count: ${mempoolCount}`);
-                    if (mempoolCount >= MINE_THRESHOLD) {
-                        console.log(`Node ${MY_NODE_URL}: Mempool count reached ${MINE_THRESHOLD}. Triggering block mine...`);
-                        await mineBlockInternal(); // Directly call the exported function
-                    }
+                    // mineBlockInternal applies the block policy: full block, oldest entry too old, or heartbeat
+                    await mineBlockInternal();
                 } catch (error) {
                     console.error(`Node ${MY_NODE_URL}: Error during mining check:`, error.message);
                 }
-            }, 10 * 1000); // Check every 10 seconds (adjust as needed)
+            }, config.intervals.miningMs);
         }
         // --- End RegAuth Specific Logic ---
 
+        // --- Peer Health Checks ---
+        peerCheckInterval = setInterval(async () => {
+            try {
+                await network.checkPeers();
+            } catch (error) {
+                console.error(`Node ${MY_NODE_URL}: Error during peer health check:`, error.message);
+            }
+        }, config.intervals.peerCheckMs);
+
+        // --- Broadcast Outbox ---
+        // Deliveries still pending from before a restart are picked up on the first run.
+        outboxInterval = setInterval(async () => {
+            try {
+                await outbox.processOutbox();
+            } catch (error) {
+                console.error(`Node ${MY_NODE_URL}: Error processing outbox:`, error.message);
+            }
+        }, config.intervals.outboxMs);
+
+        // --- Mempool Reconciliation ---
+        // Drops confirmed and expired entries, enforces the size limit, re-announces stale entries to RegAuth.
+        mempoolInterval = setInterval(async () => {
+            try {
+                await mempool.reconcile();
+            } catch (error) {
+                console.error(`Node ${MY_NODE_URL}: Error reconciling mempool:`, error.message);
+            }
+        }, config.intervals.mempoolReconcileMs);
+
+        // --- Periodic Consensus (project nodes) ---
+        // Recovers missed blocks and resolves forks against the longest valid chain among peers.
+        if (!IS_REGULATOR) {
+            consensusInterval = setInterval(async () => {
+                try {
+                    await runConsensus();
+                } catch (error) {
+                    console.error(`Node ${MY_NODE_URL}: Error during consensus:`, error.message);
+                }
+            }, config.intervals.consensusMs);
+        }
+
         app.listen(PORT, () => {
             console.log(`Node ${MY_NODE_URL}: Server running on port ${PORT}`);
             console.log(`Node ${MY_NODE_URL}: Access at ${MY_NODE_URL}`);
@@ -114,6 +221,21 @@ process.on('SIGINT', async () => {
     if (mineInterval) {
         clearInterval(mineInterval); // Clear the mining interval
     }
+    if (consensusInterval) {
+        clearInterval(consensusInterval);
+    }
+    if (peerCheckInterval) {
+        clearInterval(peerCheckInterval);
+    }
+    if (outboxInterval) {
+        clearInterval(outboxInterval);
+    }
+    if (mempoolInterval) {
+        clearInterval(mempoolInterval);
+    }
+    if (webhookInterval) {
+        clearInterval(webhookInterval);
+    }
     await db.closeDb();
     process.exit(0);
 });
@@ -0,0 +1,133 @@
+// mempool.js
+// Mempool policy: a maximum size with an eviction strategy, a TTL for pending entries, and a
+// reconciliation job that drops entries already confirmed on-chain and re-announces stale ones to RegAuth.
+// Eviction counts since the node started are kept for monitoring (GET /api/transactions/mempool/stats).
+// RegAuth's own evictions (evict) are signed and broadcast, so every node drops the transaction.
+const db = require('./db');
+const network = require('./routes/network');
+const outbox = require('./outbox');
+const signatures = require('./signatures');
+const { getConfig } = require('./config');
+
+const REANNOUNCE_BATCH_LIMIT = 100; // Stale entries re-announced per reconciliation run
+
+const counters = {
+    expired: 0, // Dropped after mempool.ttlMs
+    capacity: 0, // Dropped by 'drop-oldest' to make room
+    confirmed: 0, // Dropped by reconciliation because they are already on-chain
+    rejectedFull: 0, // New entries refused by the 'reject' strategy
+    reannounced: 0 // Stale entries re-sent to RegAuth
+};
+let lastReconciliation = null;
+
+/**
+ * Makes room for new mempool entries according to mempool.evictionStrategy.
+ * @param {number} incoming How many entries are about to be inserted.
+ * @returns {Promise<boolean>} False if the mempool is full and the strategy is 'reject'.
+ */
+async function makeRoom(incoming) {
+    const { maxSize, evictionStrategy } = getConfig().mempool;
+    const count = await db.getMempoolCount();
+    if (count + incoming <= maxSize) {
+        return true;
+    }
+    if (evictionStrategy === 'reject' || incoming > maxSize) {
+        counters.rejectedFull += incoming;
+        console.warn(`Mempool Module: Mempool is full (${count}/${maxSize}). Refusing ${incoming} new entries.`);
+        return false;
+    }
+    const dropped = await db.trimMempool(maxSize - incoming);
+    counters.capacity += dropped;
+    console.warn(`Mempool Module: Mempool is full (${count}/${maxSize}). Dropped the ${dropped} longest-waiting entries.`);
+    return true;
+}
+
+/**
+ * One reconciliation run: drops confirmed and expired entries, trims the mempool to its maximum size
+ * and, on project nodes, re-announces entries that have waited longer than mempool.reannounceAfterMs.
+ * @returns {Promise<Object>} What the run did.
+ */
+async function reconcile() {
+    const config = getConfig();
+    const now = Date.now();
+    const result = { confirmed: 0, expired: 0, capacity: 0, reannounced: 0 };
+
+    result.confirmed = await db.removeConfirmedFromMempool();
+    result.expired = await db.removeExpiredFromMempool(new Date(now - config.mempool.ttlMs).toISOString());
+    result.capacity = await db.trimMempool(config.mempool.maxSize);
+
+    // RegAuth mines its own mempool; project nodes make sure RegAuth has what they hold
+    if (config.role !== 'regulator') {
+        const targets = config.bootstrapUrl ? [config.bootstrapUrl] : network.networkNodes;
+        const stale = await db.getStaleMempoolTransactions(new Date(now - config.mempool.reannounceAfterMs).toISOString(), REANNOUNCE_BATCH_LIMIT);
+        if (stale.length > 0 && targets.length > 0) {
+            for (const transaction of stale) {
+                await outbox.enqueue({
+                    path: '/transactions/receive',
+                    kind: 'transaction',
+                    ref: transaction.transactionId,
+                    payload: transaction
+                }, targets);
+            }
+            await db.markMempoolAnnounced(stale.map(transaction => transaction.transactionId), new Date(now).toISOString());
+            result.reannounced = stale.length;
+        }
+    }
+
+    counters.confirmed += result.confirmed;
+    counters.expired += result.expired;
+    counters.capacity += result.capacity;
+    counters.reannounced += result.reannounced;
+    lastReconciliation = { at: new Date(now).toISOString(), ...result };
+    if (result.confirmed + result.expired + result.capacity + result.reannounced > 0) {
+        console.log(`Mempool Module: Reconciled mempool: ${result.confirmed} confirmed and ${result.expired} expired entries dropped, ${result.capacity} trimmed, ${result.reannounced} re-announced.`);
+    }
+    return result;
+}
+
+/**
+ * Evicts a pending transaction as RegAuth: records the eviction, signed with the authority key, and queues it
+ * for every peer. Afterwards GET /api/transactions/:id answers 'evicted' with the reason on every node, and
+ * a late copy of the transaction is refused.
+ * @param {string} transactionId
+ * @param {string} reason Why it was evicted.
+ * @returns {Promise<{eviction: Object, deliveries: Array<Object>}>}
+ */
+async function evict(transactionId, reason) {
+    const eviction = { transactionId, reason, evictedAt: new Date().toISOString() };
+    eviction.signature = signatures.signAsAuthority(signatures.evictionPayload(eviction));
+    await db.evictMempoolTransaction(eviction);
+
+    const deliveries = await outbox.enqueue({
+        path: '/transactions/evictions',
+        kind: 'eviction',
+        ref: transactionId,
+        payload: eviction
+    });
+    return { eviction, deliveries };
+}
+
+/**
+ * Mempool size, policy and eviction counts since the node started.
+ * @returns {Promise<Object>}
+ */
+async function getStats() {
+    const { mempool, intervals } = getConfig();
+    const status = await db.getMempoolStatus();
+    return {
+        size: status.count,
+        oldestReceivedAt: status.oldestReceivedAt,
+        policy: { ...mempool, reconcileIntervalMs: intervals.mempoolReconcileMs },
+        evictions: { expired: counters.expired, capacity: counters.capacity, confirmed: counters.confirmed },
+        rejectedFull: counters.rejectedFull,
+        reannounced: counters.reannounced,
+        lastReconciliation
+    };
+}
+
+module.exports = {
+    makeRoom,
+    reconcile,
+    evict,
+    getStats
+};
@@ -0,0 +1,107 @@
+// merkle.js
+// Merkle tree helpers shared by block mining/validation and inclusion proofs.
+// verifyMerkleProof only depends on Node's crypto module, so a proof returned by
+// GET /api/transactions/:id/proof can be checked offline without a node or database.
+const crypto = require('crypto');
+
+const EMPTY_MERKLE_ROOT = crypto.createHash('sha256').update('empty_merkle_root_placeholder').digest('hex');
+
+function hashPair(left, right) {
+    return crypto.createHash('sha256').update(left + right).digest('hex');
+}
+
+/**
+ * Builds every level of the merkle tree, from the leaves up to the root.
+ * When a level has an odd number of hashes the last hash is paired with itself.
+ * @param {Array<string>} leaves The leaf hashes (the transactions' rowHash values, in block order).
+ * @returns {Array<Array<string>>} The levels; levels[0] are the leaves, the last level holds the root.
+ */
+function buildMerkleLevels(leaves) {
+    const levels = [leaves.slice()];
+    while (levels[levels.length - 1].length > 1) {
+        const hashes = levels[levels.length - 1].slice();
+        if (hashes.length % 2 !== 0) {
+            hashes.push(hashes[hashes.length - 1]); // Duplicate last hash if odd number
+        }
+        const newHashes = [];
+        for (let i = 0; i < hashes.length; i += 2) {
+            newHashes.push(hashPair(hashes[i], hashes[i + 1]));
+        }
+        levels.push(newHashes);
+    }
+    return levels;
+}
+
+/**
+ * Calculates the merkle root of a block's transactions from their rowHash values.
+ * @param {Array<Object>} transactions Transactions with a rowHash.
+ * @returns {string} The merkle root.
+ */
+function calculateMerkleRoot(transactions) {
+    if (transactions.length === 0) {
+        // Return a consistent hash for an empty set of transactions
+        return EMPTY_MERKLE_ROOT;
+    }
+    const levels = buildMerkleLevels(transactions.map(tx => tx.rowHash));
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Builds the sibling-hash path from one leaf up to the merkle root.
+ * @param {Array<string>} leaves The leaf hashes, in block order.
+ * @param {number} leafIndex Position of the leaf to prove.
+ * @returns {Array<{position: string, hash: string}>} Siblings from the bottom level up;
+ *   position says whether the sibling sits to the 'left' or 'right' of the running hash.
+ */
+function buildMerkleProof(leaves, leafIndex) {
+    if (leafIndex < 0 || leafIndex >= leaves.length) {
+        throw new Error(`Merkle Module: Leaf index ${leafIndex} is out of range.`);
+    }
+    const levels = buildMerkleLevels(leaves);
+    const proof = [];
+    let index = leafIndex;
+    for (let level = 0; level < levels.length - 1; level++) {
+        const hashes = levels[level];
+        const isRightNode = index % 2 === 1;
+        const siblingIndex = isRightNode ? index - 1 : index + 1;
+        // An odd last node is paired with itself
+        const siblingHash = siblingIndex < hashes.length ? hashes[siblingIndex] : hashes[index];
+        proof.push({ position: isRightNode ? 'left' : 'right', hash: siblingHash });
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/**
+ * Verifies a merkle inclusion proof. Pure function: no I/O, no node state.
+ * @param {string} leafHash The transaction's rowHash.
+ * @param {Array<{position: string, hash: string}>} proof The sibling path from buildMerkleProof.
+ * @param {string} merkleRoot The merkle root from the block header.
+ * @returns {boolean} True if the leaf is included under merkleRoot.
+ */
+function verifyMerkleProof(leafHash, proof, merkleRoot) {
+    if (typeof leafHash !== 'string' || !Array.isArray(proof) || typeof merkleRoot !== 'string') {
+        return false;
+    }
+    let runningHash = leafHash;
+    for (const step of proof) {
+        if (!step || typeof step.hash !== 'string') {
+            return false;
+        }
+        if (step.position === 'left') {
+            runningHash = hashPair(step.hash, runningHash);
+        } else if (step.position === 'right') {
+            runningHash = hashPair(runningHash, step.hash);
+        } else {
+            return false;
+        }
+    }
+    return runningHash === merkleRoot;
+}
+
+module.exports = {
+    calculateMerkleRoot,
+    buildMerkleLevels,
+    buildMerkleProof,
+    verifyMerkleProof
+};
@@ -0,0 +1,84 @@
+// outbox.js
+// Durable broadcast to peers. Messages are stored in the outbox table, one delivery per peer,
+// and POSTed in the background. Failed deliveries are retried with exponential backoff,
+// and pending deliveries survive restarts because they live in SQLite.
+const axios = require('axios');
+const db = require('./db');
+const network = require('./routes/network');
+const auth = require('./auth');
+
+const BASE_RETRY_DELAY_MS = 2 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 20; // After this many failed attempts a delivery is marked 'failed'
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const BATCH_LIMIT = 100;
+
+let processing = false;
+
+/**
+ * Queues a message for every active peer and starts delivering it in the background.
+ * @param {Object} message { path, kind, ref, payload } — path is relative to the peer URL, e.g. '/blocks/receive'.
+ * @param {Array<string>} [peerUrls] Defaults to all known peers.
+ * @returns {Promise<Array<Object>>} The queued deliveries (id, peerUrl, status...).
+ */
+async function enqueue(message, peerUrls = network.networkNodes) {
+    const deliveries = await db.enqueueDeliveries([...peerUrls], message);
+    if (deliveries.length > 0) {
+        console.log(`Outbox Module: Queued ${message.kind} ${message.ref} for ${deliveries.length} peers.`);
+        processOutbox().catch(error => console.error('Outbox Module: Error processing outbox:', error.message));
+    }
+    return deliveries;
+}
+
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Attempts every due delivery once, oldest first. Once a delivery to a peer fails, later
+ * deliveries to that peer wait for the next run so that blocks keep their order.
+ * Responses: 2xx and 409 (peer already has it) are delivered, other 4xx are rejected by the peer
+ * and not retried, anything else (network errors, 5xx) is retried with backoff.
+ */
+async function processOutbox() {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        const due = await db.getDueDeliveries(BATCH_LIMIT);
+        const blockedPeers = new Set();
+        for (const delivery of due) {
+            if (blockedPeers.has(delivery.peerUrl)) {
+                continue;
+            }
+            const attempts = delivery.attempts + 1;
+            try {
+                await axios.post(`${delivery.peerUrl}${delivery.path}`, delivery.payload, { timeout: DELIVERY_TIMEOUT_MS, headers: auth.nodeHeaders() });
+                await db.updateDelivery(delivery.id, { status: 'delivered', attempts });
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                const reason = error.response && error.response.data ? JSON.stringify(error.response.data) : error.message;
+                if (status === 409) {
+                    await db.updateDelivery(delivery.id, { status: 'delivered', attempts, lastError: reason });
+                } else if (status && status >= 400 && status < 500) {
+                    console.warn(`Outbox Module: ${delivery.peerUrl} rejected ${delivery.kind} ${delivery.ref}: ${reason}`);
+                    await db.updateDelivery(delivery.id, { status: 'rejected', attempts, lastError: reason });
+                } else {
+                    blockedPeers.add(delivery.peerUrl);
+                    const giveUp = attempts >= MAX_ATTEMPTS;
+                    const nextAttemptAt = new Date(Date.now() + retryDelay(attempts)).toISOString();
+                    console.warn(`Outbox Module: Delivery of ${delivery.kind} ${delivery.ref} to ${delivery.peerUrl} failed (attempt ${attempts}): ${reason}.${giveUp ? ' Giving up.' : ` Retrying at ${nextAttemptAt}.`}`);
+                    await db.updateDelivery(delivery.id, { status: giveUp ? 'failed' : 'pending', attempts, nextAttemptAt, lastError: reason });
+                }
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+module.exports = {
+    enqueue,
+    processOutbox
+};
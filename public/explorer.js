@@ -0,0 +1,355 @@
+// public/explorer.js
+// Single-page block explorer served at /explorer/ by the node it explores. Views (hash routes):
+//   #/              latest blocks        #/blocks/<before>   older blocks
+//   #/block/<index> one block, its transactions and the in-browser verification
+//   #/search/<transactionId|stationID|submitterId>/<term>
+// The API key (for nodes started with --auth) is kept in localStorage and sent as a Bearer token.
+(function () {
+    'use strict';
+
+    const API = '/api';
+    const PAGE_SIZE = 20;
+    const API_KEY_STORAGE = 'explorerApiKey';
+    const SEARCH_FIELDS = ['transactionId', 'stationID', 'submitterId']; // The options of #search-by
+    const EMPTY_MERKLE_ROOT_INPUT = 'empty_merkle_root_placeholder'; // See merkle.js
+    const GENESIS_HASH_INPUT = 'regulator_genesis_block_v1'; // See db.initDb
+    const GENESIS_MERKLE_ROOT_INPUT = 'genesis_merkle_root_v1';
+
+    const view = document.getElementById('view');
+    const errorBox = document.getElementById('error');
+
+    // --- SHA-256 (UTF-8 input, hex output), so verification also works where crypto.subtle is unavailable (plain http) ---
+
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    function rotr(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+
+    function sha256(message) {
+        const bytes = new TextEncoder().encode(message);
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const data = new Uint8Array(paddedLength);
+        data.set(bytes);
+        data[bytes.length] = 0x80;
+        const blocks = new DataView(data.buffer);
+        blocks.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+        blocks.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const W = new Uint32Array(64);
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let t = 0; t < 16; t++) {
+                W[t] = blocks.getUint32(offset + t * 4);
+            }
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+                const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+                W[t] = (W[t - 16] + s0 + W[t - 7] + s1) >>> 0;
+            }
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let t = 0; t < 64; t++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                h = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { H[i] = (H[i] + value) >>> 0; });
+        }
+        return H.map(word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    // --- The node's hashing rules (routes/blocks.js calculateBlockHash, merkle.js, db.js rowHash) ---
+
+    function calculateBlockHash(block) {
+        const transactionsForBlockHash = block.transactions.map(tx => ({ id: tx.transactionId, hash: tx.rowHash }));
+        return sha256(block.blockIndex + block.timestamp + block.merkleRoot + block.previousBlockHash + block.nonce + JSON.stringify(transactionsForBlockHash));
+    }
+
+    function calculateMerkleRoot(transactions) {
+        if (transactions.length === 0) {
+            return sha256(EMPTY_MERKLE_ROOT_INPUT);
+        }
+        let hashes = transactions.map(tx => tx.rowHash);
+        while (hashes.length > 1) {
+            if (hashes.length % 2 !== 0) {
+                hashes.push(hashes[hashes.length - 1]);
+            }
+            const next = [];
+            for (let i = 0; i < hashes.length; i += 2) {
+                next.push(sha256(hashes[i] + hashes[i + 1]));
+            }
+            hashes = next;
+        }
+        return hashes[0];
+    }
+
+    function calculateRowHash(tx) {
+        return sha256(tx.transactionId + tx.timestamp + tx.rawDataJson);
+    }
+
+    /**
+     * Recomputes a block's hash, merkle root and transaction hashes and checks the link to the previous block.
+     * @returns {Array<{check: string, ok: boolean, detail: string}>}
+     */
+    function verifyBlock(block, previousBlock) {
+        if (block.blockIndex === 0) {
+            return [
+                result('Genesis hash', block.hash === sha256(GENESIS_HASH_INPUT), 'The genesis hash is sha256("' + GENESIS_HASH_INPUT + '").'),
+                result('Genesis merkle root', block.merkleRoot === sha256(GENESIS_MERKLE_ROOT_INPUT), 'The genesis merkle root is sha256("' + GENESIS_MERKLE_ROOT_INPUT + '").')
+            ];
+        }
+        const results = [];
+        const hash = calculateBlockHash(block);
+        results.push(result('Block hash', hash === block.hash, 'Recomputed ' + hash));
+        const merkleRoot = calculateMerkleRoot(block.transactions);
+        results.push(result('Merkle root', merkleRoot === block.merkleRoot, 'Recomputed ' + merkleRoot));
+        const badRows = block.transactions.filter(tx => calculateRowHash(tx) !== tx.rowHash);
+        results.push(result('Transaction hashes', badRows.length === 0,
+            badRows.length === 0 ? block.transactions.length + ' rowHash values match their data.' : 'Mismatch: ' + badRows.map(tx => tx.transactionId).join(', ')));
+        if (previousBlock) {
+            results.push(result('Link to previous block', block.previousBlockHash === previousBlock.hash,
+                'Block ' + previousBlock.blockIndex + ' has hash ' + previousBlock.hash));
+        }
+        return results;
+    }
+
+    function result(check, ok, detail) {
+        return { check, ok, detail };
+    }
+
+    // --- API ---
+
+    async function api(path) {
+        const headers = {};
+        const key = localStorage.getItem(API_KEY_STORAGE);
+        if (key) {
+            headers.Authorization = 'Bearer ' + key;
+        }
+        const response = await fetch(API + path, { headers });
+        const body = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('This node requires an API key (' + (body.error || 'unauthorized') + '). Enter one under "API key".');
+        }
+        if (!response.ok && response.status !== 404) {
+            throw new Error(body.error || ('Request failed: ' + response.status));
+        }
+        return { status: response.status, body };
+    }
+
+    // --- Rendering helpers ---
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    function blockLink(index, text) {
+        return '<a href="#/block/' + encodeURIComponent(index) + '">' + escapeHtml(text === undefined ? '#' + index : text) + '</a>';
+    }
+
+    function searchLink(by, term) {
+        return '<a href="#/search/' + by + '/' + encodeURIComponent(term) + '">' + escapeHtml(term) + '</a>';
+    }
+
+    function hash(value) {
+        return '<span class="hash">' + escapeHtml(value) + '</span>';
+    }
+
+    function decodeRawData(tx) {
+        if (tx.fullData !== undefined) {
+            return tx.fullData;
+        }
+        try {
+            return JSON.parse(tx.rawDataJson);
+        } catch (error) {
+            return tx.rawDataJson;
+        }
+    }
+
+    function transactionTable(transactions, options) {
+        if (transactions.length === 0) {
+            return '<p class="muted">No transactions.</p>';
+        }
+        const rows = transactions.map(tx => '<tr>' +
+            '<td>' + hash(tx.transactionId) + (options.showBlock && tx.blockIndex !== undefined ? '<br>in ' + blockLink(tx.blockIndex) : '') + '</td>' +
+            '<td>' + escapeHtml(tx.txType || 'reading') + '</td>' +
+            '<td>' + escapeHtml(tx.projId) + '</td>' +
+            '<td>' + (tx.stationID ? searchLink('stationID', tx.stationID) : '') + '</td>' +
+            '<td>' + (tx.submitterId ? searchLink('submitterId', tx.submitterId) : '') + '</td>' +
+            '<td>' + escapeHtml(tx.timestamp) + '</td>' +
+            '<td>' + hash(tx.rowHash) + '</td>' +
+            '<td><pre>' + escapeHtml(JSON.stringify(decodeRawData(tx), null, 2)) + '</pre></td>' +
+            '</tr>').join('');
+        return '<table><thead><tr><th>Transaction</th><th>Type</th><th>Project</th><th>Station</th><th>Submitter</th>' +
+            '<th>Timestamp</th><th>rowHash</th><th>Data (raw_data_json)</th></tr></thead><tbody>' + rows + '</tbody></table>';
+    }
+
+    function showError(error) {
+        errorBox.textContent = error ? error.message : '';
+        errorBox.hidden = !error;
+    }
+
+    // --- Views ---
+
+    let tipIndex = -1;
+
+    async function loadStatus() {
+        const [ping, headers, mempool, peers] = await Promise.all([
+            api('/network/ping'),
+            api('/blocks/headers?from=0&to=0'),
+            api('/transactions/mempool/stats'),
+            api('/network/peers')
+        ]);
+        tipIndex = headers.body.tipIndex;
+        document.getElementById('node-url').textContent = ping.body.url;
+        document.getElementById('node-role').textContent = ping.body.role === 'regulator' ? 'Regulator (RegAuth)' : 'Project ' + ping.body.projId;
+        document.getElementById('node-tip').textContent = tipIndex >= 0 ? 'block ' + tipIndex : 'empty';
+        document.getElementById('node-mempool').textContent = mempool.body.size + ' pending';
+        const peerList = peers.body.peers || [];
+        const active = peerList.filter(peer => peer.status === 'active');
+        const peersElement = document.getElementById('node-peers');
+        peersElement.textContent = active.length + ' active' + (peerList.length > active.length ? ', ' + (peerList.length - active.length) + ' retired' : '');
+        peersElement.title = peerList.map(peer => peer.url + ' (' + peer.status + ', last seen ' + (peer.lastSeen || 'never') + ')').join('\n');
+    }
+
+    async function showBlocks(before) {
+        const to = Math.min(before === undefined ? tipIndex : before - 1, tipIndex);
+        if (to < 0) {
+            view.innerHTML = '<p class="muted">This node has no blocks yet.</p>';
+            return;
+        }
+        const from = Math.max(0, to - PAGE_SIZE + 1);
+        const { body } = await api('/blocks/headers?from=' + from + '&to=' + to);
+        const rows = body.blocks.slice().reverse().map(block => '<tr>' +
+            '<td>' + blockLink(block.blockIndex) + '</td>' +
+            '<td>' + escapeHtml(block.timestamp) + '</td>' +
+            '<td>' + block.transactions.length + '</td>' +
+            '<td>' + hash(block.hash) + '</td>' +
+            '<td>' + (block.blockIndex > 0 ? blockLink(block.blockIndex - 1, block.previousBlockHash) : hash(block.previousBlockHash)) + '</td>' +
+            '</tr>').join('');
+        const pager = '<div class="pager">' +
+            (to < tipIndex ? '<a href="#/blocks/' + Math.min(to + PAGE_SIZE + 1, tipIndex + 1) + '">&larr; Newer</a>' : '') +
+            (from > 0 ? '<a href="#/blocks/' + from + '">Older &rarr;</a>' : '') + '</div>';
+        view.innerHTML = '<h2>Blocks ' + from + '-' + to + '</h2>' + pager +
+            '<table><thead><tr><th>Block</th><th>Timestamp</th><th>Transactions</th><th>Hash</th><th>Previous block</th></tr></thead>' +
+            '<tbody>' + rows + '</tbody></table>' + pager;
+    }
+
+    async function showBlock(index) {
+        const { body } = await api('/blocks?from=' + Math.max(0, index - 1) + '&to=' + index);
+        const block = body.blocks.find(candidate => candidate.blockIndex === index);
+        if (!block) {
+            view.innerHTML = '<p>Block ' + escapeHtml(index) + ' is not on this node\'s chain.</p>';
+            return;
+        }
+        const previousBlock = body.blocks.find(candidate => candidate.blockIndex === index - 1);
+        const field = (name, value) => '<dt>' + name + '</dt><dd>' + value + '</dd>';
+        view.innerHTML = '<h2>Block ' + index + '</h2>' +
+            '<div class="pager">' + (index > 0 ? blockLink(index - 1, '← Previous') : '') +
+            (index < body.tipIndex ? blockLink(index + 1, 'Next →') : '') + '</div>' +
+            '<dl class="header">' +
+            field('Hash', hash(block.hash)) +
+            field('Previous hash', index > 0 ? blockLink(index - 1, block.previousBlockHash) : hash(block.previousBlockHash)) +
+            field('Merkle root', hash(block.merkleRoot)) +
+            field('Timestamp', escapeHtml(block.timestamp)) +
+            field('Nonce', escapeHtml(block.nonce)) +
+            field('Authority signature', block.signature ? hash(block.signature) : '<span class="muted">none</span>') +
+            '</dl>' +
+            '<p><button id="verify" type="button">Verify</button> <span class="muted">Recomputes the block hash, merkle root and ' +
+            'transaction hashes in this browser. The authority signature is checked by GET /api/blocks/validate.</span></p>' +
+            '<ul id="verify-results"></ul>' +
+            '<h3>Transactions (' + block.transactions.length + ')</h3>' + transactionTable(block.transactions, {});
+        document.getElementById('verify').addEventListener('click', () => {
+            document.getElementById('verify-results').innerHTML = verifyBlock(block, previousBlock).map(check =>
+                '<li class="' + (check.ok ? 'ok' : 'bad') + '">' + (check.ok ? '✔ ' : '✘ ') + escapeHtml(check.check) +
+                ': <span class="hash">' + escapeHtml(check.detail) + '</span></li>').join('');
+        });
+    }
+
+    async function showSearch(by, term) {
+        document.getElementById('search-by').value = by;
+        document.getElementById('search-term').value = term;
+        if (by === 'transactionId') {
+            const { status, body } = await api('/transactions/' + encodeURIComponent(term));
+            if (status === 404) {
+                view.innerHTML = '<p>Transaction ' + escapeHtml(term) + ' is not known to this node.</p>';
+                return;
+            }
+            let transaction = body.transaction;
+            if (body.status === 'confirmed') {
+                // The status lookup only carries the hashed fields; the block has the full transaction
+                const { body: range } = await api('/blocks?from=' + body.blockIndex + '&to=' + body.blockIndex);
+                transaction = range.blocks[0].transactions.find(tx => tx.transactionId === term) || transaction;
+            }
+            const where = body.status === 'confirmed'
+                ? 'Confirmed in ' + blockLink(body.blockIndex) + ' (' + body.confirmations + ' confirmations)'
+                : body.status === 'pending' ? 'Pending in the mempool for ' + Math.round(body.ageMs / 1000) + ' s'
+                    : 'Evicted from the mempool: ' + escapeHtml(body.reason);
+            view.innerHTML = '<h2>Transaction ' + escapeHtml(term) + '</h2><p>' + where + '</p>' +
+                (transaction ? transactionTable([transaction], {}) : '');
+            return;
+        }
+        const query = encodeURIComponent(by) + '=' + encodeURIComponent(term);
+        const [confirmed, pending] = await Promise.all([
+            api('/transactions?limit=100&' + query),
+            api('/transactions/mempool?limit=100&' + query)
+        ]);
+        const label = by === 'stationID' ? 'Station' : 'Submitter';
+        view.innerHTML = '<h2>' + label + ' ' + escapeHtml(term) + '</h2>' +
+            '<h3>Pending (' + pending.body.total + ')</h3>' + transactionTable(pending.body.transactions, {}) +
+            '<h3>Confirmed' + (confirmed.body.nextCursor ? ' (latest 100)' : '') + '</h3>' +
+            transactionTable(confirmed.body.transactions, { showBlock: true });
+    }
+
+    async function route() {
+        showError(null);
+        try {
+            // Inside the try: a malformed escape in the hash throws a URIError
+            const parts = location.hash.replace(/^#\/?/, '').split('/').map(decodeURIComponent);
+            await loadStatus();
+            if (parts[0] === 'block' && /^\d+$/.test(parts[1])) {
+                await showBlock(Number(parts[1]));
+            } else if (parts[0] === 'search' && SEARCH_FIELDS.includes(parts[1]) && parts[2]) {
+                await showSearch(parts[1], parts.slice(2).join('/'));
+            } else if (parts[0] === 'blocks' && /^\d+$/.test(parts[1])) {
+                await showBlocks(Number(parts[1]));
+            } else {
+                await showBlocks();
+            }
+        } catch (error) {
+            showError(error);
+        }
+    }
+
+    document.getElementById('search').addEventListener('submit', event => {
+        event.preventDefault();
+        const by = document.getElementById('search-by').value;
+        const term = document.getElementById('search-term').value.trim();
+        if (term) {
+            location.hash = '#/search/' + by + '/' + encodeURIComponent(term);
+        }
+    });
+    document.getElementById('api-key-input').value = localStorage.getItem(API_KEY_STORAGE) || '';
+    document.getElementById('api-key-save').addEventListener('click', () => {
+        const key = document.getElementById('api-key-input').value.trim();
+        if (key) {
+            localStorage.setItem(API_KEY_STORAGE, key);
+        } else {
+            localStorage.removeItem(API_KEY_STORAGE);
+        }
+        route();
+    });
+    document.getElementById('refresh').addEventListener('click', route);
+    window.addEventListener('hashchange', route);
+    route();
+})();
@@ -0,0 +1,364 @@
+// registry.js
+// Station and submitter registry managed by RegAuth. Registry entries are on-chain transactions
+// (txType 'registry') whose rawDataJson is the entry and whose signature is RegAuth's authority signature,
+// so every node derives the same registry by replaying the confirmed entries in chain order.
+//
+// Entries: registerStation, decommissionStation, registerSubmitter, revokeSubmitter.
+// Once the chain holds at least one entry, a reading is only valid if its station is registered, active and
+// owned by the reading's project, it only reports pollutants the station measures, its submitter is registered,
+// active and authorised for that station, and it is signed with the submitter's registered key. Until then
+// readings are checked against the submitter keys file, as before the registry; nodes started with
+// registry.required refuse new readings instead (see requiredRegistryError).
+const db = require('./db');
+const signatures = require('./signatures');
+const schema = require('./schema');
+const { getConfig } = require('./config');
+
+const REGISTRY_SUBMITTER = 'RegAuth'; // submitterId recorded on registry transactions
+const ACTIONS = ['registerStation', 'decommissionStation', 'registerSubmitter', 'revokeSubmitter'];
+const POLLUTANTS = Object.keys(schema.READING_SCHEMA).filter(field => schema.READING_SCHEMA[field].unit);
+const MAX_NAME_LENGTH = schema.READING_SCHEMA.stationID.maxLength;
+
+let current = emptyState(); // The registry as of this node's last block
+
+function emptyState() {
+    return { stations: new Map(), submitters: new Map(), entries: 0 };
+}
+
+/**
+ * A copy of the registry that can be advanced entry by entry (e.g. while validating a block)
+ * without touching the registry of the stored chain. Records are replaced, never mutated, so the
+ * maps can share them.
+ * @param {Object} [state] Defaults to the registry of the stored chain.
+ * @returns {Object}
+ */
+function snapshot(state = current) {
+    return { stations: new Map(state.stations), submitters: new Map(state.submitters), entries: state.entries };
+}
+
+function isName(value) {
+    return typeof value === 'string' && value.trim() !== '' && value.length <= MAX_NAME_LENGTH;
+}
+
+function isReason(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function parseEntry(tx) {
+    try {
+        return JSON.parse(tx.rawDataJson);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The reason a registry entry cannot be applied to a registry, or null if it can.
+ * @param {Object} entry e.g. { action: 'registerStation', stationID, projId, location, pollutants }.
+ * @param {Object} [state] Defaults to the registry of the stored chain.
+ * @returns {string|null}
+ */
+function entryError(entry, state = current) {
+    if (!entry || !ACTIONS.includes(entry.action)) {
+        return `Unknown registry action. Use one of ${ACTIONS.join(', ')}.`;
+    }
+    const station = state.stations.get(entry.stationID);
+    const submitter = state.submitters.get(entry.submitterId);
+
+    switch (entry.action) {
+        case 'registerStation': {
+            if (!isName(entry.stationID)) {
+                return `stationID must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.`;
+            }
+            if (!isName(entry.projId)) {
+                return 'projId (the project that owns the station) is required.';
+            }
+            const { location } = entry;
+            if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number' ||
+                Math.abs(location.latitude) > 90 || Math.abs(location.longitude) > 180) {
+                return 'location must have a latitude (-90 to 90) and a longitude (-180 to 180).';
+            }
+            if (location.address !== undefined && typeof location.address !== 'string') {
+                return 'location.address must be a string.';
+            }
+            if (!Array.isArray(entry.pollutants) || entry.pollutants.length === 0 || entry.pollutants.some(p => !POLLUTANTS.includes(p))) {
+                return `pollutants must be a non-empty list of ${POLLUTANTS.join(', ')}.`;
+            }
+            return null;
+        }
+        case 'decommissionStation':
+            if (!station) {
+                return `Station ${entry.stationID} is not registered.`;
+            }
+            if (station.status !== 'active') {
+                return `Station ${entry.stationID} is already decommissioned.`;
+            }
+            return isReason(entry.reason) ? null : 'A reason for decommissioning is required.';
+        case 'registerSubmitter': {
+            if (!isName(entry.submitterId) || entry.submitterId === REGISTRY_SUBMITTER) {
+                return `submitterId must be a non-empty string of at most ${MAX_NAME_LENGTH} characters other than ${REGISTRY_SUBMITTER}.`;
+            }
+            if (!signatures.isValidPublicKey(entry.publicKey)) {
+                return 'publicKey must be an Ed25519 public key (base64 SPKI DER).';
+            }
+            if (!Array.isArray(entry.stations) || entry.stations.length === 0) {
+                return 'stations must list the stations the submitter may report for.';
+            }
+            const unusable = entry.stations.filter(stationID => {
+                const authorised = state.stations.get(stationID);
+                return !authorised || authorised.status !== 'active';
+            });
+            return unusable.length > 0 ? `Stations are not registered or are decommissioned: ${unusable.join(', ')}.` : null;
+        }
+        case 'revokeSubmitter':
+            if (!submitter) {
+                return `Submitter ${entry.submitterId} is not registered.`;
+            }
+            if (submitter.status !== 'active') {
+                return `Submitter ${entry.submitterId} is already revoked.`;
+            }
+            return isReason(entry.reason) ? null : 'A reason for the revocation is required.';
+    }
+    return null;
+}
+
+// Applies a registry entry that passed entryError. tx gives the provenance (transactionId, timestamp, blockIndex).
+function applyEntry(state, entry, tx) {
+    const provenance = { updatedAt: tx.timestamp, transactionId: tx.transactionId, blockIndex: tx.blockIndex };
+    switch (entry.action) {
+        case 'registerStation': {
+            const previous = state.stations.get(entry.stationID);
+            state.stations.set(entry.stationID, {
+                stationID: entry.stationID,
+                projId: entry.projId,
+                location: entry.location,
+                pollutants: entry.pollutants,
+                status: 'active',
+                registeredAt: previous ? previous.registeredAt : tx.timestamp,
+                ...provenance
+            });
+            break;
+        }
+        case 'decommissionStation':
+            state.stations.set(entry.stationID, { ...state.stations.get(entry.stationID), status: 'decommissioned', reason: entry.reason, ...provenance });
+            break;
+        case 'registerSubmitter': {
+            const previous = state.submitters.get(entry.submitterId);
+            state.submitters.set(entry.submitterId, {
+                submitterId: entry.submitterId,
+                publicKey: entry.publicKey,
+                stations: entry.stations,
+                status: 'active',
+                registeredAt: previous ? previous.registeredAt : tx.timestamp,
+                ...provenance
+            });
+            break;
+        }
+        case 'revokeSubmitter':
+            state.submitters.set(entry.submitterId, { ...state.submitters.get(entry.submitterId), status: 'revoked', reason: entry.reason, ...provenance });
+            break;
+    }
+    state.entries++;
+}
+
+function readingError(tx, state) {
+    if (state.entries === 0) {
+        const signatureError = signatures.verifyTransactionSignature(tx);
+        return signatureError ? `Invalid transaction signature. ${signatureError}` : null;
+    }
+    const station = state.stations.get(tx.stationID);
+    if (!station) {
+        return `Station ${tx.stationID} is not registered.`;
+    }
+    if (station.status !== 'active') {
+        return `Station ${tx.stationID} is decommissioned.`;
+    }
+    if (station.projId !== tx.projId) {
+        return `Station ${tx.stationID} belongs to project ${station.projId}, not ${tx.projId}.`;
+    }
+    const unmeasured = POLLUTANTS.filter(pollutant => tx[pollutant] !== undefined && tx[pollutant] !== null && !station.pollutants.includes(pollutant));
+    if (unmeasured.length > 0) {
+        return `Station ${tx.stationID} does not measure ${unmeasured.join(', ')}.`;
+    }
+    const submitter = state.submitters.get(tx.submitterId);
+    if (!submitter) {
+        return `Submitter ${tx.submitterId} is not registered.`;
+    }
+    if (submitter.status !== 'active') {
+        return `Submitter ${tx.submitterId} is revoked.`;
+    }
+    if (!submitter.stations.includes(tx.stationID)) {
+        return `Submitter ${tx.submitterId} is not authorised for station ${tx.stationID}.`;
+    }
+    if (tx.publicKey !== submitter.publicKey) {
+        return `Invalid transaction signature. Public key is not the one registered for submitter ${tx.submitterId}.`;
+    }
+    const signatureError = signatures.verifyReadingSignature(tx);
+    return signatureError ? `Invalid transaction signature. ${signatureError}` : null;
+}
+
+/**
+ * Checks a transaction against a registry: readings against the stations and submitters in it,
+ * registry entries against RegAuth's signature and the entry rules.
+ * @param {Object} tx A reading or registry transaction.
+ * @param {Object} [state] Defaults to the registry of the stored chain.
+ * @returns {string|null} The reason the transaction is rejected, or null if it is valid.
+ */
+function transactionError(tx, state = current) {
+    if (tx.txType !== 'registry') {
+        return readingError(tx, state);
+    }
+    if (!signatures.verifyAuthoritySignature(tx.rawDataJson, tx.signature)) {
+        return 'Registry entry is not signed by the regulatory authority.';
+    }
+    const error = entryError(parseEntry(tx), state);
+    return error ? `Invalid registry entry. ${error}` : null;
+}
+
+/**
+ * Advances a registry past a transaction that passed transactionError. Readings leave it unchanged.
+ * @param {Object} state A registry from snapshot().
+ * @param {Object} tx
+ */
+function applyTransaction(state, tx) {
+    if (tx.txType === 'registry') {
+        applyEntry(state, parseEntry(tx), tx);
+    }
+}
+
+/**
+ * Rebuilds the registry from the confirmed registry entries. Called at startup and whenever the chain changes.
+ * @returns {Promise<Object>} The registry.
+ */
+async function load() {
+    current = await stateAt(Infinity);
+    console.log(`Registry Module: Registry loaded (${current.stations.size} stations, ${current.submitters.size} submitters from ${current.entries} entries).`);
+    return current;
+}
+
+/**
+ * The registry as of a block of the stored chain, built from the confirmed entries up to it.
+ * The registry of the stored chain is not changed (see load).
+ * @param {number} blockIndex The last block whose entries count.
+ * @returns {Promise<Object>}
+ */
+async function stateAt(blockIndex) {
+    const state = emptyState();
+    for (const tx of await db.getRegistryTransactions()) {
+        if (tx.blockIndex > blockIndex) {
+            break; // Entries come in chain order
+        }
+        const entry = parseEntry(tx);
+        const error = entryError(entry, state);
+        if (error) {
+            // The entry was validated when its block arrived; skip it rather than stop the node
+            console.error(`Registry Module: Skipping registry entry ${tx.transactionId} in block ${tx.blockIndex}: ${error}`);
+            continue;
+        }
+        applyEntry(state, entry, tx);
+    }
+    return state;
+}
+
+/**
+ * The registry of the stored chain advanced past the registry entries still pending in this node's mempool,
+ * in the order they will be mined. RegAuth validates new entries against it.
+ * @returns {Promise<Object>}
+ */
+async function pendingState() {
+    const state = snapshot();
+    const { transactions } = await db.getMempoolTransactions({ txType: 'registry', limit: 1000 });
+    transactions.forEach(tx => {
+        if (!transactionError(tx, state)) {
+            applyTransaction(state, tx);
+        }
+    });
+    return state;
+}
+
+/**
+ * Signs a registry entry as RegAuth and adds it to the mempool; it takes effect once it is mined.
+ * Only the RegAuth node can do this.
+ * @param {Object} entry An entry that passed entryError.
+ * @returns {Promise<Object>} The registry transaction.
+ */
+async function createEntryTransaction(entry) {
+    const rawDataJson = JSON.stringify(entry);
+    return db.createTransaction({
+        txType: 'registry',
+        submitterId: REGISTRY_SUBMITTER,
+        stationID: entry.stationID,
+        rawDataJson,
+        signature: signatures.signAsAuthority(rawDataJson),
+        publicKey: signatures.getAuthorityPublicKey()
+    });
+}
+
+/**
+ * Registered stations, optionally filtered.
+ * @param {Object} [filters] { status: 'active' | 'decommissioned', projId }
+ * @returns {Array<Object>}
+ */
+function getStations(filters = {}) {
+    return [...current.stations.values()].filter(station =>
+        (filters.status === undefined || station.status === filters.status) &&
+        (filters.projId === undefined || station.projId === filters.projId));
+}
+
+/**
+ * Registered submitters, optionally filtered.
+ * @param {Object} [filters] { status: 'active' | 'revoked', stationID }
+ * @returns {Array<Object>}
+ */
+function getSubmitters(filters = {}) {
+    return [...current.submitters.values()].filter(submitter =>
+        (filters.status === undefined || submitter.status === filters.status) &&
+        (filters.stationID === undefined || submitter.stations.includes(filters.stationID)));
+}
+
+function getStation(stationID) {
+    return current.stations.get(stationID) || null;
+}
+
+function getSubmitter(submitterId) {
+    return current.submitters.get(submitterId) || null;
+}
+
+/**
+ * Whether readings are checked against the registry (the chain holds registry entries).
+ * @returns {boolean}
+ */
+function isEnforced() {
+    return current.entries > 0;
+}
+
+/**
+ * Why this node refuses a new reading because it runs with registry.required and the chain has no
+ * registry entries yet, or null. Only checked when readings are submitted or received: blocks are
+ * validated the same way on every node, so nodes with and without the option keep the same chain.
+ * @returns {string|null}
+ */
+function requiredRegistryError() {
+    if (getConfig().registry.required && !isEnforced()) {
+        return 'Readings are not accepted until RegAuth has registered stations and submitters (registry.required).';
+    }
+    return null;
+}
+
+module.exports = {
+    POLLUTANTS,
+    load,
+    stateAt,
+    snapshot,
+    pendingState,
+    entryError,
+    transactionError,
+    applyTransaction,
+    createEntryTransaction,
+    getStations,
+    getStation,
+    getSubmitters,
+    getSubmitter,
+    isEnforced,
+    requiredRegistryError
+};
@@ -0,0 +1,174 @@
+// routes/analytics.js
+// Server-side aggregation over confirmed_transactions. Every figure carries the block range
+// (fromBlock..toBlock) of the readings it was computed from, so it can be traced back to the chain.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const network = require('./network');
+const { POLLUTANTS, parseWindow } = require('../compliance');
+const aqi = require('../aqi');
+const { requireReader } = require('../auth');
+
+const INTERVALS = ['hour', 'day', 'month'];
+const GROUP_BY = ['station', 'project'];
+
+function parseTimestamp(name, value, errors) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const time = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(time.getTime())) {
+        errors.push(`${name} must be an ISO 8601 timestamp.`);
+        return undefined;
+    }
+    return time.toISOString();
+}
+
+function parseScope(query, errors) {
+    const scope = {};
+    ['stationID', 'projId'].forEach(name => {
+        if (query[name] !== undefined) {
+            if (typeof query[name] !== 'string') {
+                errors.push(`${name} must be given once.`);
+            } else {
+                scope[name] = query[name];
+            }
+        }
+    });
+    return scope;
+}
+
+// Overall block range of a list of figures that each have fromBlock/toBlock
+function blockRangeOf(figures) {
+    if (figures.length === 0) {
+        return null;
+    }
+    return {
+        fromBlock: Math.min(...figures.map(figure => figure.fromBlock)),
+        toBlock: Math.max(...figures.map(figure => figure.toBlock))
+    };
+}
+
+// GET /api/analytics/aggregates?interval=day&groupBy=station
+// Min/max/mean of every pollutant per hour, day or month and per station or project.
+// Optional query: stationID, projId, from, to (ISO timestamps, inclusive).
+router.get('/aggregates', requireReader, async (req, res) => {
+    const errors = [];
+    const interval = req.query.interval || 'day';
+    const groupBy = req.query.groupBy || 'station';
+    if (!INTERVALS.includes(interval)) {
+        errors.push(`interval must be one of ${INTERVALS.join(', ')}.`);
+    }
+    if (!GROUP_BY.includes(groupBy)) {
+        errors.push(`groupBy must be one of ${GROUP_BY.join(', ')}.`);
+    }
+    const filters = {
+        interval,
+        groupBy,
+        ...parseScope(req.query, errors),
+        from: parseTimestamp('from', req.query.from, errors),
+        to: parseTimestamp('to', req.query.to, errors)
+    };
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
+
+    try {
+        const rows = await db.getPollutantAggregates(filters);
+        const groupKey = groupBy === 'station' ? 'stationID' : 'projId';
+        const results = rows.map(({ period, group, ...row }) => ({ period, [groupKey]: group, ...row }));
+        res.status(200).json({ interval, groupBy, blockRange: blockRangeOf(results), results });
+    } catch (error) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error aggregating readings:`, error.message);
+        res.status(500).json({ error: 'Failed to aggregate readings.' });
+    }
+});
+
+// GET /api/analytics/rolling?pollutant=PM10&window=24h
+// Average of one pollutant per station over the window ending at `at` (default: now).
+// Optional query: stationID, projId, at (ISO timestamp).
+router.get('/rolling', requireReader, async (req, res) => {
+    const errors = [];
+    const pollutant = req.query.pollutant;
+    const window = req.query.window || '24h';
+    if (!POLLUTANTS.includes(pollutant)) {
+        errors.push(`pollutant must be one of ${POLLUTANTS.join(', ')}.`);
+    }
+    let windowMs = 0;
+    try {
+        windowMs = parseWindow(window);
+        if (windowMs === 0) {
+            errors.push('window must be longer than 0, e.g. "1h" or "24h".');
+        }
+    } catch (error) {
+        errors.push(error.message);
+    }
+    const scope = parseScope(req.query, errors);
+    const at = parseTimestamp('at', req.query.at, errors) || new Date().toISOString();
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
+
+    try {
+        const from = new Date(new Date(at).getTime() - windowMs).toISOString();
+        const results = await db.getRollingAverages(pollutant, from, at, scope);
+        res.status(200).json({ pollutant, window, from, to: at, blockRange: blockRangeOf(results), results });
+    } catch (error) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error computing rolling averages:`, error.message);
+        res.status(500).json({ error: 'Failed to compute rolling averages.' });
+    }
+});
+
+// GET /api/analytics/aqi
+// AQI sub-index per pollutant and station, from the average over the pollutant's averaging window
+// in the breakpoint table. A station's AQI is its highest sub-index (the dominant pollutant).
+// Optional query: stationID, projId, at (ISO timestamp, default now).
+router.get('/aqi', requireReader, async (req, res) => {
+    const errors = [];
+    const scope = parseScope(req.query, errors);
+    const at = parseTimestamp('at', req.query.at, errors) || new Date().toISOString();
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
+
+    try {
+        const table = aqi.getBreakpoints();
+        const stations = new Map();
+        for (const [pollutant, entry] of Object.entries(table.pollutants)) {
+            const from = new Date(new Date(at).getTime() - parseWindow(entry.averagingWindow)).toISOString();
+            const averages = await db.getRollingAverages(pollutant, from, at, scope);
+            averages.forEach(average => {
+                if (!stations.has(average.stationID)) {
+                    stations.set(average.stationID, { stationID: average.stationID, subIndices: {} });
+                }
+                stations.get(average.stationID).subIndices[pollutant] = {
+                    concentration: average.mean,
+                    averagingWindow: entry.averagingWindow,
+                    readings: average.count,
+                    fromBlock: average.fromBlock,
+                    toBlock: average.toBlock,
+                    ...aqi.subIndex(pollutant, average.mean)
+                };
+            });
+        }
+
+        const results = [...stations.values()].map(station => {
+            const subIndices = Object.entries(station.subIndices);
+            const [dominantPollutant, dominant] = subIndices.reduce((max, current) => (current[1].subIndex > max[1].subIndex ? current : max));
+            return {
+                stationID: station.stationID,
+                aqi: dominant.subIndex,
+                category: dominant.category,
+                dominantPollutant,
+                ...blockRangeOf(subIndices.map(([, figure]) => figure)),
+                subIndices: station.subIndices
+            };
+        });
+        res.status(200).json({ scale: table.scale, at, blockRange: blockRangeOf(results), results });
+    } catch (error) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error computing AQI:`, error.message);
+        res.status(500).json({ error: 'Failed to compute AQI.' });
+    }
+});
+
+module.exports = router;
@@ -5,50 +5,167 @@ const db = require('../db');
 const network = require('./network');
 const axios = require('axios');
 const crypto = require('crypto');
+const compliance = require('../compliance');
+const signatures = require('../signatures');
+const registry = require('../registry');
+const auth = require('../auth');
+const events = require('../events');
+const { calculateMerkleRoot } = require('../merkle');
+const outbox = require('../outbox');
+const mempool = require('../mempool');
+const { getConfig } = require('../config');
+
+// --- Helper function for the block hash ---
+// The block hash is calculated from all *relevant* block header fields.
+// Transactions are stringified by their unique IDs and hashes for consistent hashing.
+function calculateBlockHash(block) {
+    const transactionsForBlockHash = block.transactions.map(tx => ({ id: tx.transactionId, hash: tx.rowHash }));
+    const blockHashInput = block.blockIndex + block.timestamp + block.merkleRoot + block.previousBlockHash + block.nonce + JSON.stringify(transactionsForBlockHash);
+    return crypto.createHash('sha256').update(blockHashInput).digest('hex');
+}
 
-// --- Helper function for Merkle Tree ---
-function calculateMerkleRoot(transactions) {
-    if (transactions.length === 0) {
-        // Return a consistent hash for an empty set of transactions
-        return crypto.createHash('sha256').update('empty_merkle_root_placeholder').digest('hex');
-    }
+// --- Helper functions to validate a block against the block before it ---
+// They run the same checks as POST /receive without logging each step, and
+// return the reason the block is invalid, or null if it is valid.
 
-    let hashes = transactions.map(tx => {
-        // Ensure you're hashing the consistent representation of the transaction
-        // The rowHash generated in db.js is ideal for this if it's based on rawDataJson
-        // If not, you'd stringify the relevant parts of the tx object here.
-        // For consistency, let's use the rowHash from the transaction object
-        return tx.rowHash;
-    });
+// Header checks (Checks 1-5): also works on headers whose transactions are
+// only the lightweight { transactionId, rowHash } list.
+function validateBlockHeader(block, previousBlock) {
+    const expectedIndex = previousBlock ? previousBlock.blockIndex + 1 : 0;
+    const expectedPreviousHash = previousBlock ? previousBlock.hash : '0';
+
+    if (!block || block.blockIndex === undefined || !block.timestamp || !Array.isArray(block.transactions) || !block.merkleRoot || !block.previousBlockHash || !block.hash) {
+        return 'Block is missing required fields.';
+    }
+    if (block.blockIndex !== expectedIndex) {
+        return `Block index is not sequential. Expected ${expectedIndex}, got ${block.blockIndex}.`;
+    }
+    if (block.previousBlockHash !== expectedPreviousHash) {
+        return `Previous hash mismatch at block ${block.blockIndex}.`;
+    }
+    // The genesis block has fixed hash and merkle root values; only its signature can be checked
+    if (block.blockIndex !== 0) {
+        if (calculateBlockHash(block) !== block.hash) {
+            return `Block hash mismatch at block ${block.blockIndex}.`;
+        }
+        if (calculateMerkleRoot(block.transactions) !== block.merkleRoot) {
+            return `Merkle root mismatch at block ${block.blockIndex}.`;
+        }
+    }
+    if (!signatures.verifyBlockSignature(block)) {
+        return `Block ${block.blockIndex} is not signed by the regulatory authority.`;
+    }
+    return null;
+}
 
-    while (hashes.length > 1) {
-        if (hashes.length % 2 !== 0) {
-            hashes.push(hashes[hashes.length - 1]); // Duplicate last hash if odd number
+// Full checks: the header checks plus each transaction's rowHash, signature and registry checks (Check-5b).
+// registryState is the registry as of previousBlock; it is advanced past the block's registry entries.
+function validateBlock(block, previousBlock, registryState) {
+    const headerError = validateBlockHeader(block, previousBlock);
+    if (headerError) {
+        return headerError;
+    }
+    for (const tx of block.transactions) {
+        const reCalculatedRowHash = crypto.createHash('sha256').update(tx.transactionId + tx.timestamp + tx.rawDataJson).digest('hex');
+        if (reCalculatedRowHash !== tx.rowHash) {
+            return `Transaction ${tx.transactionId} in block ${block.blockIndex} has a rowHash that does not match its data.`;
         }
-        let newHashes = [];
-        for (let i = 0; i < hashes.length; i += 2) {
-            newHashes.push(crypto.createHash('sha256').update(hashes[i] + hashes[i+1]).digest('hex'));
+        const transactionError = registry.transactionError(tx, registryState);
+        if (transactionError) {
+            return `Transaction ${tx.transactionId} in block ${block.blockIndex} is invalid: ${transactionError}`;
         }
-        hashes = newHashes;
+        registry.applyTransaction(registryState, tx);
     }
-    return hashes[0];
+    return null;
+}
+
+// --- Block policy ---
+// RegAuth seals a block when one of these holds, checked in this order:
+//   'size'      - the mempool holds at least mineThreshold transactions,
+//   'age'       - the oldest mempool entry has waited maxWaitMs (a partial block),
+//   'heartbeat' - heartbeatMs > 0 and no block was sealed for that long (an empty block if the mempool is empty).
+// A block never holds more than blocks.size transactions.
+async function getBlockPolicyStatus() {
+    const { blocks, intervals } = getConfig();
+    const mempool = await db.getMempoolStatus();
+    const lastBlock = await db.getLastBlock();
+    const now = Date.now();
+    const oldestPendingAgeMs = mempool.oldestReceivedAt ? now - new Date(mempool.oldestReceivedAt).getTime() : null;
+    const lastBlockAgeMs = lastBlock ? now - new Date(lastBlock.timestamp).getTime() : null;
+
+    let sealReason = null;
+    if (mempool.count >= blocks.mineThreshold) {
+        sealReason = 'size';
+    } else if (mempool.count > 0 && oldestPendingAgeMs >= blocks.maxWaitMs) {
+        sealReason = 'age';
+    } else if (blocks.heartbeatMs > 0 && lastBlock && lastBlockAgeMs >= blocks.heartbeatMs) {
+        sealReason = 'heartbeat';
+    }
+
+    return {
+        policy: {
+            maxBlockSize: blocks.size,
+            mineThreshold: blocks.mineThreshold,
+            maxWaitMs: blocks.maxWaitMs,
+            heartbeatMs: blocks.heartbeatMs,
+            checkIntervalMs: intervals.miningMs
+        },
+        mempoolCount: mempool.count,
+        oldestPendingAt: mempool.oldestReceivedAt,
+        oldestPendingAgeMs,
+        lastBlockIndex: lastBlock ? lastBlock.blockIndex : null,
+        lastBlockAt: lastBlock ? lastBlock.timestamp : null,
+        lastBlockAgeMs,
+        sealDue: sealReason !== null,
+        sealReason
+    };
 }
 
 // --- The actual mining function (exclusive to RegAuth) ---
-async function mineBlockInternal() {
-    const BLOCK_SIZE = 5; // Define how many transactions per block
+// The mining interval and POST /mine can ask for a block at the same time. Seals run one after the other,
+// so the second one sees the first one's block and mempool instead of building the same blockIndex.
+let sealQueue = Promise.resolve();
+
+function mineBlockInternal() {
+    const run = sealQueue.then(sealBlock);
+    sealQueue = run.catch(() => {}); // A failed seal does not stop the next one
+    return run;
+}
+
+async function sealBlock() {
+    const BLOCK_SIZE = getConfig().blocks.size; // Maximum transactions per block
 
     try {
-        const mempoolCount = await db.getMempoolCount();
-        if (mempoolCount < BLOCK_SIZE) {
-            console.log(`Node ${network.myNodeUrl}: Mempool has only ${mempoolCount} transactions, less than ${BLOCK_SIZE}. Not mining yet.`);
-            return { note: `Mempool has only ${mempoolCount} transactions, less than ${BLOCK_SIZE}. Not mining yet.` };
+        const status = await getBlockPolicyStatus();
+        if (!status.sealDue) {
+            const note = `Mempool has ${status.mempoolCount} transactions, none older than ${status.policy.maxWaitMs} ms. Not mining yet.`;
+            console.log(`Node ${network.myNodeUrl}: ${note}`);
+            return { note, status };
         }
 
-        console.log(`Node ${network.myNodeUrl}: Mempool count reached ${mempoolCount}. Triggering block mine...`);
-
-        // 1. Get transactions from mempool
-        const pendingTransactions = await db.getTransactionsForBlock(BLOCK_SIZE);
+        console.log(`Node ${network.myNodeUrl}: Sealing a block (reason: ${status.sealReason}, mempool count: ${status.mempoolCount})...`);
+
+        // 1. Get transactions from mempool. Readings that the registry no longer allows (e.g. their station
+        // was decommissioned while they waited) are evicted, like DELETE /mempool/:id, instead of being mined.
+        const pendingTransactions = [];
+        const rejectedTransactionIds = [];
+        const registryState = registry.snapshot();
+        for (const tx of await db.getTransactionsForBlock(BLOCK_SIZE)) {
+            const transactionError = registry.transactionError(tx, registryState);
+            if (transactionError) {
+                console.warn(`Node ${network.myNodeUrl}: Evicting transaction ${tx.transactionId} from mempool: ${transactionError}`);
+                await mempool.evict(tx.transactionId, `Refused by the registry: ${transactionError}`);
+                rejectedTransactionIds.push(tx.transactionId);
+                continue;
+            }
+            registry.applyTransaction(registryState, tx);
+            pendingTransactions.push(tx);
+        }
+        if (pendingTransactions.length === 0 && status.sealReason !== 'heartbeat') {
+            const note = `None of the pending transactions is valid (${rejectedTransactionIds.length} evicted). Not mining.`;
+            console.log(`Node ${network.myNodeUrl}: ${note}`);
+            return { note, status };
+        }
 
         // 2. Get the last block from this node's chain
         const lastBlock = await db.getLastBlock(); // This returns the full block object
@@ -67,14 +184,16 @@ async function mineBlockInternal() {
         };
 
         // 4. Calculate the block hash
-        // The block hash should be calculated from all *relevant* block header fields
-        // Stringify transactions based on their unique IDs and hashes for consistent hashing
-        const transactionsForBlockHash = newBlock.transactions.map(tx => ({ id: tx.transactionId, hash: tx.rowHash }));
-        const blockHashInput = newBlock.blockIndex + newBlock.timestamp + newBlock.merkleRoot + newBlock.previousBlockHash + newBlock.nonce + JSON.stringify(transactionsForBlockHash);
-        newBlock.hash = crypto.createHash('sha256').update(blockHashInput).digest('hex');
-
-        // 5. Add block to RegAuth's own blockchain (db.addBlockToBlockchain)
-        await db.addBlockToBlockchain(newBlock);
+        newBlock.hash = calculateBlockHash(newBlock);
+
+        // 4b. Sign the block header as the authority (this is what makes it Proof-of-Authority)
+        newBlock.signature = signatures.signBlock(newBlock);
+
+        // 5. Evaluate compliance and add block to RegAuth's own blockchain (db.addBlockToBlockchain)
+        const complianceFlags = await compliance.evaluateBlock(newBlock);
+        await db.addBlockToBlockchain(newBlock, complianceFlags);
+        await registry.load();
+        events.publishBlock('block.mined', newBlock, complianceFlags, { sealReason: status.sealReason });
         console.log(`Node ${network.myNodeUrl}: Block ${newBlock.blockIndex} mined and added to local blockchain.`);
 
         // 6. Remove confirmed transactions from mempool
@@ -82,16 +201,16 @@ async function mineBlockInternal() {
         await db.removeTransactionsFromMempool(confirmedTransactionIds);
         console.log(`Node ${network.myNodeUrl}: Confirmed transactions removed from mempool.`);
 
-        // 7. Broadcast the new block to all other nodes (ProjA, ProjB)
-        const broadcastPromises = network.networkNodes.map(networkNodeUrl => {
-            console.log(`Node ${network.myNodeUrl}: Broadcasting block ${newBlock.blockIndex} to ${networkNodeUrl}/blocks/receive`);
-            // return axios.post(`${networkNodeUrl}/api/blocks/receive`, { newBlock });
-            return axios.post(`${networkNodeUrl}/blocks/receive`, { newBlock });
+        // 7. Queue the new block for all other nodes (ProjA, ProjB); the outbox retries peers that are down
+        const deliveries = await outbox.enqueue({
+            path: '/blocks/receive',
+            kind: 'block',
+            ref: newBlock.blockIndex,
+            payload: { newBlock }
         });
-        await Promise.all(broadcastPromises);
 
-        console.log(`Node ${network.myNodeUrl}: Block ${newBlock.blockIndex} mined and broadcast successfully.`);
-        return { note: 'Block mined and broadcast successfully.', block: newBlock };
+        console.log(`Node ${network.myNodeUrl}: Block ${newBlock.blockIndex} mined and queued for broadcast to ${deliveries.length} peers.`);
+        return { note: 'Block mined and queued for broadcast.', sealReason: status.sealReason, block: newBlock, deliveries };
 
     } catch (error) {
         console.error(`Node ${network.myNodeUrl}: Error mining block:`, error.message);
@@ -99,10 +218,299 @@ async function mineBlockInternal() {
     }
 }
 
+// --- Full-chain integrity audit ---
+// Walks the stored chain from genesis and re-checks everything that was validated when the
+// blocks arrived: links, block hashes, authority signatures, merkle roots, each confirmed
+// transaction's rowHash and its reading columns. Detects rows or hashes edited directly in the SQLite file.
+async function auditChain() {
+    return auditBlocks(await db.getAllBlocks(), signatures.verifyBlockSignature);
+}
+
+// The audit itself, on blocks from any source (bin/chain.js runs it on blocks fetched over HTTP).
+// isSigned(block) checks the authority signature; pass null to skip that check.
+function auditBlocks(chain, isSigned) {
+    const report = {
+        valid: true,
+        checkedBlocks: chain.length,
+        checkedTransactions: 0,
+        firstBrokenLink: null,
+        blockIssues: [],
+        tamperedTransactions: []
+    };
+
+    const addBlockIssue = (block, reason) => {
+        const issue = { blockIndex: block.blockIndex, hash: block.hash, reason };
+        report.blockIssues.push(issue);
+        if (!report.firstBrokenLink) {
+            report.firstBrokenLink = issue;
+        }
+    };
+
+    let previousBlock = null;
+    for (const block of chain) {
+        const expectedIndex = previousBlock ? previousBlock.blockIndex + 1 : 0;
+        const expectedPreviousHash = previousBlock ? previousBlock.hash : '0';
+
+        if (block.blockIndex !== expectedIndex) {
+            addBlockIssue(block, `Block index is not sequential. Expected ${expectedIndex}, found ${block.blockIndex}.`);
+        }
+        if (block.previousBlockHash !== expectedPreviousHash) {
+            addBlockIssue(block, `Previous hash mismatch. Expected ${expectedPreviousHash}, found ${block.previousBlockHash}.`);
+        }
+        // The genesis block has fixed hash and merkle root values, so there is nothing to recompute
+        if (block.blockIndex !== 0) {
+            const reCalculatedHash = calculateBlockHash(block);
+            if (reCalculatedHash !== block.hash) {
+                addBlockIssue(block, `Block hash mismatch. Stored ${block.hash}, recalculated ${reCalculatedHash}.`);
+            }
+            const reCalculatedMerkleRoot = calculateMerkleRoot(block.transactions);
+            if (reCalculatedMerkleRoot !== block.merkleRoot) {
+                addBlockIssue(block, `Merkle root mismatch. Stored ${block.merkleRoot}, recalculated ${reCalculatedMerkleRoot}.`);
+            }
+        }
+        if (isSigned && !isSigned(block)) {
+            addBlockIssue(block, 'Missing or invalid authority signature.');
+        }
+
+        for (const tx of block.transactions) {
+            report.checkedTransactions++;
+            const reCalculatedRowHash = crypto.createHash('sha256').update(tx.transactionId + tx.timestamp + tx.rawDataJson).digest('hex');
+            if (reCalculatedRowHash !== tx.rowHash) {
+                report.tamperedTransactions.push({
+                    transactionId: tx.transactionId,
+                    blockIndex: block.blockIndex,
+                    reason: 'rowHash does not match raw_data_json.',
+                    storedRowHash: tx.rowHash,
+                    reCalculatedRowHash
+                });
+            }
+            // The reading columns (used by queries, analytics and compliance) are not hashed themselves,
+            // so they must match the hashed raw_data_json. Registry entries keep theirs in raw_data_json only.
+            if ((tx.txType || 'reading') === 'reading') {
+                const mismatched = signatures.mismatchedReadingFields(tx);
+                if (!mismatched || mismatched.length > 0) {
+                    report.tamperedTransactions.push({
+                        transactionId: tx.transactionId,
+                        blockIndex: block.blockIndex,
+                        reason: mismatched
+                            ? `Columns do not match raw_data_json: ${mismatched.join(', ')}.`
+                            : 'raw_data_json is not valid JSON.'
+                    });
+                }
+            }
+        }
+
+        previousBlock = block;
+    }
+
+    report.valid = report.blockIssues.length === 0 && report.tamperedTransactions.length === 0;
+    return report;
+}
+
+// --- Incremental chain sync ---
+// Blocks are fetched from peers through GET /api/blocks?from=&to= in batches of
+// SYNC_BATCH_SIZE; each batch is validated and committed before the next one is fetched.
+// A chain that diverged from ours is fetched and validated in full before it replaces ours (see replaceChainAfter).
+const SYNC_BATCH_SIZE = 50;
+const MAX_RANGE_BLOCKS = 100; // Largest range served by GET /api/blocks
+const MAX_RANGE_HEADERS = 1000; // Largest range served by GET /api/blocks/headers
+
+let consensusInProgress = false;
+
+async function fetchPeerBlocks(peerUrl, fromIndex, toIndex, headersOnly = false) {
+    const response = await axios.get(`${peerUrl}/blocks${headersOnly ? '/headers' : ''}`, { params: { from: fromIndex, to: toIndex }, headers: auth.nodeHeaders() });
+    return response.data;
+}
+
+async function getPeerTipIndex(peerUrl) {
+    const { tipIndex } = await fetchPeerBlocks(peerUrl, 0, 0, true);
+    return tipIndex;
+}
+
+// Finds the highest block index where our chain and the peer's chain hold the same block.
+// Returns -1 if they do not even share the genesis block.
+async function findCommonAncestor(peerUrl, localTipIndex, peerTipIndex) {
+    let windowEnd = Math.min(localTipIndex, peerTipIndex);
+    while (windowEnd >= 0) {
+        const windowStart = Math.max(0, windowEnd - SYNC_BATCH_SIZE + 1);
+        const { blocks: peerHeaders } = await fetchPeerBlocks(peerUrl, windowStart, windowEnd, true);
+        const localHeaders = await db.getBlocksInRange(windowStart, windowEnd, { headersOnly: true });
+        const peerHashes = new Map(peerHeaders.map(header => [header.blockIndex, header.hash]));
+        for (let i = localHeaders.length - 1; i >= 0; i--) {
+            if (peerHashes.get(localHeaders[i].blockIndex) === localHeaders[i].hash) {
+                return localHeaders[i].blockIndex;
+            }
+        }
+        windowEnd = windowStart - 1;
+    }
+    return -1;
+}
+
+// Brings this node's chain up to the peer's chain if the peer's chain is longer and valid.
+// Only blocks after the common ancestor are fetched. If the peer extends our chain, its blocks are
+// validated and committed batch by batch. If our chain diverged, the whole replacement range is fetched
+// and validated first; then our blocks after the ancestor are rolled back (their transactions return
+// to the mempool) and the peer's blocks applied in one SQLite transaction.
+async function syncWithPeer(peerUrl) {
+    const lastBlock = await db.getLastBlock();
+    const localTipIndex = lastBlock ? lastBlock.blockIndex : -1;
+    const peerTipIndex = await getPeerTipIndex(peerUrl);
+
+    if (peerTipIndex <= localTipIndex) {
+        return { replaced: false, appliedBlocks: 0, chainLength: localTipIndex + 1 };
+    }
+
+    // Fast path: the peer extends our tip, so there is nothing to roll back
+    let ancestorIndex = localTipIndex;
+    if (lastBlock) {
+        const { blocks: [peerHeader] } = await fetchPeerBlocks(peerUrl, localTipIndex, localTipIndex, true);
+        if (!peerHeader || peerHeader.hash !== lastBlock.hash) {
+            ancestorIndex = await findCommonAncestor(peerUrl, localTipIndex, peerTipIndex);
+        }
+    }
+    if (ancestorIndex < localTipIndex) {
+        return replaceChainAfter(peerUrl, ancestorIndex, localTipIndex, peerTipIndex);
+    }
+
+    let previousBlock = ancestorIndex >= 0 ? await db.getLastBlock() : null;
+    const registryState = registry.snapshot();
+    let appliedBlocks = 0;
+    for (let from = ancestorIndex + 1; from <= peerTipIndex; from += SYNC_BATCH_SIZE) {
+        const to = Math.min(peerTipIndex, from + SYNC_BATCH_SIZE - 1);
+        const { blocks } = await fetchPeerBlocks(peerUrl, from, to);
+        if (blocks.length === 0) {
+            break;
+        }
+
+        // Validate the whole batch, then commit it
+        let expectedPrevious = previousBlock;
+        for (const block of blocks) {
+            const blockError = validateBlock(block, expectedPrevious, registryState);
+            if (blockError) {
+                throw new Error(`Invalid block from ${peerUrl}: ${blockError}`);
+            }
+            expectedPrevious = block;
+        }
+        for (const block of blocks) {
+            const complianceFlags = await compliance.evaluateBlock(block);
+            await db.addBlockToBlockchain(block, complianceFlags);
+            await db.removeTransactionsFromMempool(block.transactions.map(tx => tx.transactionId));
+            events.publishBlock('block.accepted', block, complianceFlags, { source: 'sync', peerUrl });
+            appliedBlocks++;
+        }
+        await registry.load();
+        previousBlock = expectedPrevious;
+        console.log(`Node ${network.myNodeUrl}: Sync: applied blocks ${from}-${previousBlock.blockIndex} from ${peerUrl}.`);
+    }
+
+    return {
+        replaced: false,
+        source: peerUrl,
+        commonAncestorIndex: ancestorIndex,
+        rolledBackBlocks: 0,
+        appliedBlocks,
+        returnedToMempool: [],
+        chainLength: previousBlock ? previousBlock.blockIndex + 1 : 0
+    };
+}
+
+// Switches to the peer's chain after the common ancestor. Every block up to the peer's tip is fetched and
+// validated before any of ours is given up, so a peer that fails midway or serves an invalid block leaves
+// our chain as it was.
+async function replaceChainAfter(peerUrl, ancestorIndex, localTipIndex, peerTipIndex) {
+    const ancestor = ancestorIndex >= 0 ? (await db.getBlocksInRange(ancestorIndex, ancestorIndex, { headersOnly: true }))[0] : null;
+    const registryState = await registry.stateAt(ancestorIndex);
+    const blocks = [];
+    let previousBlock = ancestor;
+    for (let from = ancestorIndex + 1; from <= peerTipIndex; from += MAX_RANGE_BLOCKS) {
+        const to = Math.min(peerTipIndex, from + MAX_RANGE_BLOCKS - 1);
+        const { blocks: batch } = await fetchPeerBlocks(peerUrl, from, to);
+        if (batch.length !== to - from + 1) {
+            throw new Error(`Invalid chain from ${peerUrl}: asked for blocks ${from}-${to}, got ${batch.length}.`);
+        }
+        for (const block of batch) {
+            const blockError = validateBlock(block, previousBlock, registryState);
+            if (blockError) {
+                throw new Error(`Invalid block from ${peerUrl}: ${blockError}`);
+            }
+            previousBlock = block;
+            blocks.push(block);
+        }
+    }
+
+    console.warn(`Node ${network.myNodeUrl}: Sync: local chain diverged from ${peerUrl} after block ${ancestorIndex}. Replacing ${localTipIndex - ancestorIndex} blocks with ${blocks.length}.`);
+    const { returnedTransactionIds, complianceFlags } = await db.replaceBlocksAfter(ancestorIndex, blocks, compliance.evaluateBlock);
+    await registry.load();
+    blocks.forEach((block, i) => events.publishBlock('block.accepted', block, complianceFlags[i], { source: 'sync', peerUrl }));
+
+    return {
+        replaced: true,
+        source: peerUrl,
+        commonAncestorIndex: ancestorIndex,
+        rolledBackBlocks: localTipIndex - ancestorIndex,
+        appliedBlocks: blocks.length,
+        returnedToMempool: returnedTransactionIds,
+        chainLength: peerTipIndex + 1
+    };
+}
+
+// --- Chain consensus and fork resolution ---
+// Adopts the longest valid, authority-signed chain among the given peers (all known peers by default)
+// if it is longer than ours. Peers are tried from the longest chain down until one syncs cleanly.
+async function runConsensus(peerUrls = network.networkNodes) {
+    if (consensusInProgress) {
+        return { note: 'Consensus already in progress.', replaced: false };
+    }
+    consensusInProgress = true;
+    try {
+        const lastBlock = await db.getLastBlock();
+        const localTipIndex = lastBlock ? lastBlock.blockIndex : -1;
+
+        const peerTips = [];
+        for (const peerUrl of peerUrls) {
+            try {
+                peerTips.push({ peerUrl, tipIndex: await getPeerTipIndex(peerUrl) });
+            } catch (error) {
+                console.error(`Node ${network.myNodeUrl}: Consensus could not reach ${peerUrl}:`, error.message);
+            }
+        }
+
+        const candidates = peerTips.filter(peer => peer.tipIndex > localTipIndex).sort((a, b) => b.tipIndex - a.tipIndex);
+        for (const { peerUrl } of candidates) {
+            try {
+                const result = await syncWithPeer(peerUrl);
+                console.log(`Node ${network.myNodeUrl}: Consensus: synced to chain of length ${result.chainLength} from ${peerUrl}.`);
+                return { note: 'Local chain updated from the longest valid chain.', ...result };
+            } catch (error) {
+                console.warn(`Node ${network.myNodeUrl}: Consensus: could not sync from ${peerUrl}: ${error.message}`);
+            }
+        }
+
+        console.log(`Node ${network.myNodeUrl}: Consensus: local chain (length ${localTipIndex + 1}) is the longest valid chain.`);
+        return { note: 'Local chain is authoritative.', replaced: false, appliedBlocks: 0, chainLength: localTipIndex + 1 };
+    } finally {
+        consensusInProgress = false;
+    }
+}
+
+function triggerConsensus() {
+    runConsensus().catch(error => console.error(`Node ${network.myNodeUrl}: Error during consensus:`, error.message));
+}
+
 // --- Express Routes ---
 
+// GET /api/blocks/policy
+// The block policy and whether a block is due right now (and why)
+router.get('/policy', auth.requireReader, async (req, res) => {
+    try {
+        res.status(200).json(await getBlockPolicyStatus());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read block policy status.', details: error.message });
+    }
+});
+
 // POST /api/blocks/mine
-router.post('/mine', async (req, res) => {
+router.post('/mine', auth.requireRole('regulator'), async (req, res) => {
     try {
         const result = await mineBlockInternal();
         res.status(200).json(result);
@@ -112,18 +520,29 @@ router.post('/mine', async (req, res) => {
     }
 });
 
+// Answers a block that is malformed or failed validation (hash, signature, merkle root, transactions)
+// and publishes block.rejected with the reason
+function rejectBlock(res, block, body) {
+    events.publishBlock('block.rejected', block || {}, [], { reason: body.details ? `${body.note} ${body.details}` : body.note });
+    return res.status(400).json(body);
+}
+
 // POST /api/blocks/receive
-router.post('/receive', async (req, res) => {
-    const { newBlock } = req.body;
-    console.log(`Node ${network.myNodeUrl}: Received block for processing (Index: ${newBlock.blockIndex})...`);
+router.post('/receive', auth.requireRole('node'), async (req, res) => {
+    const { newBlock } = req.body || {};
 
     // 1. Basic validation (check if block structure is valid)
-    if (!newBlock || newBlock.blockIndex === undefined || !newBlock.timestamp || !newBlock.transactions || !newBlock.merkleRoot || !newBlock.previousBlockHash || !newBlock.hash) {
+    if (!newBlock || newBlock.blockIndex === undefined || !newBlock.timestamp || !Array.isArray(newBlock.transactions) || !newBlock.merkleRoot || !newBlock.previousBlockHash || !newBlock.hash) {
         console.error(`Node ${network.myNodeUrl}: Received block is missing required fields. Rejecting.`);
-        return res.status(400).json({ note: 'Received block is missing required fields.' });
+        return rejectBlock(res, newBlock, { note: 'Received block is missing required fields.' });
     }
+    console.log(`Node ${network.myNodeUrl}: Received block for processing (Index: ${newBlock.blockIndex})...`);
     console.log(`Node ${network.myNodeUrl}: Passed Check-1 (Mandatory block fields present)`);
 
+    if (consensusInProgress) {
+        return res.status(503).json({ note: 'Chain consensus in progress, retry later.' });
+    }
+
     try {
         // 2. Get the last block from THIS node's chain
         const lastBlockOnThisChain = await db.getLastBlock(); // This returns the full block object
@@ -131,6 +550,8 @@ router.post('/receive', async (req, res) => {
         const lastBlockOnThisChainIndex = lastBlockOnThisChain ? lastBlockOnThisChain.blockIndex : -1;
 
         // --- Block Validation Checks ---
+        // A block that does not follow our tip (Checks 2-3) is no sign of tampering: this node is behind or on a
+        // fork that consensus resolves. It is refused without a block.rejected event (see rejectBlock).
 
         // Check 2a: Is this block already on our chain or an older block?
         if (newBlock.blockIndex <= lastBlockOnThisChainIndex) {
@@ -141,6 +562,7 @@ router.post('/receive', async (req, res) => {
         // Check 2b: Is the block index exactly one greater than our last block?
         if (newBlock.blockIndex !== lastBlockOnThisChainIndex + 1) {
              console.error(`Node ${network.myNodeUrl}: Received block index mismatch. Expected ${lastBlockOnThisChainIndex + 1}, Got ${newBlock.blockIndex}. Rejecting.`);
+             triggerConsensus(); // We are missing blocks: catch up from peers in the background
              return res.status(400).json({ note: 'Block index is not sequential. Rejecting.' });
         }
         console.log(`Node ${network.myNodeUrl}: Passed Check-2 (Block index is sequential)`);
@@ -149,42 +571,36 @@ router.post('/receive', async (req, res) => {
         // 3. Validate previous hash: Does it link correctly to our chain?
         if (newBlock.previousBlockHash !== lastBlockOnThisChainHash) {
             console.error(`Node ${network.myNodeUrl}: Received block previous hash mismatch. Expected ${lastBlockOnThisChainHash}, Got ${newBlock.previousBlockHash}. Rejecting.`);
+            triggerConsensus(); // Our chain may have diverged: resolve against peers in the background
             return res.status(400).json({ note: 'Received block does not link correctly to our chain (previous hash mismatch).' });
         }
         console.log(`Node ${network.myNodeUrl}: Passed Check-3 (Previous hash matches)`);
 
 
-        // 4. Re-calculate hash: Does the block hash match its content?
-        const transactionsForBlockHash = newBlock.transactions.map(tx => ({ id: tx.transactionId, hash: tx.rowHash }));
-        const reCalculatedHash = crypto.createHash('sha256').update(newBlock.blockIndex + newBlock.timestamp + newBlock.merkleRoot + newBlock.previousBlockHash + newBlock.nonce + JSON.stringify(transactionsForBlockHash)).digest('hex');
-
-        if (reCalculatedHash !== newBlock.hash) {
-            console.error(`Node ${network.myNodeUrl}: Block hash mismatch for index ${newBlock.blockIndex}. Expected ${newBlock.hash}, Recalculated ${reCalculatedHash}. Rejecting.`);
-            return res.status(400).json({ note: 'Block hash mismatch, block rejected.' });
-        }
-        console.log(`Node ${network.myNodeUrl}: Passed Check-4 (Block hash validation successful)`);
-
-        // 5. Validate Merkle Root
-        const receivedMerkleRoot = calculateMerkleRoot(newBlock.transactions);
-        if (receivedMerkleRoot !== newBlock.merkleRoot) {
-            console.warn(`Node ${network.myNodeUrl}: Merkle Root mismatch for block ${newBlock.blockIndex}. Potential data tampering. Expected ${newBlock.merkleRoot}, Recalculated ${receivedMerkleRoot}.`);
-            return res.status(400).json({ note: 'Merkle Root mismatch, block rejected.' });
+        // 4-5b. The same checks as a block fetched by chain sync (validateBlock): block hash, merkle root,
+        // authority signature, and each transaction's rowHash, signature and registry checks.
+        // Registry entries apply to the transactions after them.
+        const validationError = validateBlock(newBlock, lastBlockOnThisChain, registry.snapshot());
+        if (validationError) {
+            console.error(`Node ${network.myNodeUrl}: Block ${newBlock.blockIndex} is invalid: ${validationError} Rejecting.`);
+            return rejectBlock(res, newBlock, { note: `${validationError} Block rejected.` });
         }
-        console.log(`Node ${network.myNodeUrl}: Passed Check-5 (Merkle Root validation successful)`);
+        console.log(`Node ${network.myNodeUrl}: Passed Checks 4-5b (Block hash, authority signature, merkle root and transactions valid)`);
 
 
-        // 6. Validate each transaction's compliance data (e.g., SO2 limits)
-        // This is where you'd integrate your `validateTransactionData` function.
-        // For each transaction in newBlock.transactions:
-        //   if (!validateTransactionData(tx)) {
-        //     console.warn(`Node ${network.myNodeUrl}: Transaction ${tx.transactionId} in block ${newBlock.blockIndex} is non-compliant.`);
-        //     // Decide: reject block or just flag transaction. For compliance, usually flag.
-        //   }
-        console.log(`Node ${network.myNodeUrl}: Passed Check-6 (Transaction compliance validation - placeholder)`);
+        // 6. Evaluate each transaction's compliance data (e.g., SO2 limits).
+        // Non-compliant readings are flagged, not rejected: the block is still valid.
+        const complianceFlags = await compliance.evaluateBlock(newBlock);
+        complianceFlags.filter(flag => !flag.compliant).forEach(flag => {
+            console.warn(`Node ${network.myNodeUrl}: Transaction ${flag.transactionId} in block ${newBlock.blockIndex} is non-compliant: ${flag.violations.map(v => v.reason).join('; ')}`);
+        });
+        console.log(`Node ${network.myNodeUrl}: Passed Check-6 (Transaction compliance evaluated)`);
 
 
-        // 7. Add block to this node's blockchain
-        await db.addBlockToBlockchain(newBlock);
+        // 7. Add block (and its compliance flags) to this node's blockchain
+        await db.addBlockToBlockchain(newBlock, complianceFlags);
+        await registry.load();
+        events.publishBlock('block.accepted', newBlock, complianceFlags, { source: 'receive' });
         console.log(`Node ${network.myNodeUrl}: Block ${newBlock.blockIndex} added to local blockchain.`);
 
 
@@ -202,9 +618,81 @@ router.post('/receive', async (req, res) => {
     }
 });
 
+// GET /api/blocks/validate
+// Re-validates the whole chain stored on this node and returns an integrity report.
+router.get('/validate', auth.requireReader, async (req, res) => {
+    console.log(`Node ${network.myNodeUrl}: Received request to validate the full chain.`);
+    try {
+        const report = await auditChain();
+        res.status(200).json(report);
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error validating chain:`, error.message);
+        res.status(500).json({ error: 'Failed to validate blockchain.', details: error.message });
+    }
+});
+
+// GET /api/blocks/consensus
+// Resolves this node's chain against all peers (longest valid authority-signed chain wins).
+router.get('/consensus', auth.requireRole('regulator', 'project'), async (req, res) => {
+    console.log(`Node ${network.myNodeUrl}: Received request to run consensus.`);
+    try {
+        const result = await runConsensus();
+        res.status(200).json(result);
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error during consensus:`, error.message);
+        res.status(500).json({ error: 'Failed to run consensus.', details: error.message });
+    }
+});
+
+// Parses ?from=&to= for the range endpoints. Defaults to the first `limit` blocks after `from`.
+function parseRange(query, limit) {
+    const from = query.from === undefined ? 0 : Number(query.from);
+    const to = query.to === undefined ? from + limit - 1 : Number(query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+        return { error: 'from and to must be integers with 0 <= from <= to.' };
+    }
+    return { from, to: Math.min(to, from + limit - 1) };
+}
+
+// GET /api/blocks?from=&to=
+// Blocks in an index range with their full transactions (at most MAX_RANGE_BLOCKS per request).
+// tipIndex tells the caller how far the chain goes.
+router.get('/', auth.requireReader, async (req, res) => {
+    const range = parseRange(req.query, MAX_RANGE_BLOCKS);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    try {
+        const lastBlock = await db.getLastBlock();
+        const blocks = await db.getBlocksInRange(range.from, range.to);
+        res.status(200).json({ from: range.from, to: range.to, tipIndex: lastBlock ? lastBlock.blockIndex : -1, blocks });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error fetching blocks:`, error.message);
+        res.status(500).json({ error: 'Failed to retrieve blocks.', details: error.message });
+    }
+});
+
+// GET /api/blocks/headers?from=&to=
+// Header-only variant: each block carries only its { transactionId, rowHash } list.
+router.get('/headers', auth.requireReader, async (req, res) => {
+    const range = parseRange(req.query, MAX_RANGE_HEADERS);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    try {
+        const lastBlock = await db.getLastBlock();
+        const blocks = await db.getBlocksInRange(range.from, range.to, { headersOnly: true });
+        res.status(200).json({ from: range.from, to: range.to, tipIndex: lastBlock ? lastBlock.blockIndex : -1, blocks });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error fetching block headers:`, error.message);
+        res.status(500).json({ error: 'Failed to retrieve block headers.', details: error.message });
+    }
+});
+
 // GET /api/blocks/chain
 // Allows other nodes to request the full blockchain from this node.
-router.get('/chain', async (req, res) => {
+// Prefer GET /api/blocks?from=&to= for syncing: it only transfers the blocks that are missing.
+router.get('/chain', auth.requireReader, async (req, res) => {
     console.log(`Node ${network.myNodeUrl}: Received request for full blockchain.`);
     try {
         const chain = await db.getAllBlocks();
@@ -219,5 +707,11 @@ router.get('/chain', async (req, res) => {
 // Export both the router and the internal mining function
 module.exports = {
     router,
-    mineBlockInternal // Export the function so index.js can call it
+    mineBlockInternal, // Export the function so index.js can call it
+    getBlockPolicyStatus,
+    auditChain, // Used by index.js for the --validate-chain startup option
+    auditBlocks, // Used by bin/chain.js to verify a chain fetched from a node
+    calculateBlockHash, // Used by the tests to build blocks the way a node hashes them
+    runConsensus, // Run periodically by index.js on project nodes
+    syncWithPeer // Used by index.js for the startup sync
 };
\ No newline at end of file
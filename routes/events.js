@@ -0,0 +1,76 @@
+// routes/events.js
+// GET /api/events: a Server-Sent Events stream of this node's events (see events.js), so monitoring
+// clients no longer have to poll the chain and transaction lists.
+const express = require('express');
+const router = express.Router();
+const network = require('./network');
+const events = require('../events');
+const { getConfig } = require('../config');
+const { requireReader } = require('../auth');
+
+// "a,b" or repeated query parameters -> ['a', 'b']
+function listParam(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter(item => item !== undefined).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function writeEvent(res, event) {
+    const { id, type, time, data, projIds, stationIDs } = event;
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ id, type, time, projIds, stationIDs, data })}\n\n`);
+}
+
+// GET /api/events?types=block.mined,reading.violation&projId=1&stationID=ST-1&lastEventId=42
+// Streams events as text/event-stream; each message has the event id, its type as the SSE event name and
+// the event as JSON. projId and stationID filters take comma-separated lists. To resume, EventSource sends
+// the Last-Event-ID header on reconnect; other clients can pass lastEventId. If events after that id were
+// already dropped from the buffer, an "events.gap" message comes first and the client should reload its data.
+router.get('/', requireReader, (req, res) => {
+    const filters = {
+        types: listParam(req.query.types),
+        projIds: listParam(req.query.projId),
+        stationIDs: listParam(req.query.stationID)
+    };
+    const unknownTypes = filters.types.filter(type => !events.TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+        return res.status(400).json({ error: `Unknown event types: ${unknownTypes.join(', ')}. Use ${events.TYPES.join(', ')}.` });
+    }
+    const resumeFrom = req.get('last-event-id') || req.query.lastEventId;
+    const lastEventId = resumeFrom === undefined ? null : Number(resumeFrom);
+    if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+        return res.status(400).json({ error: 'lastEventId must be a non-negative integer.' });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // Replay and subscribe in the same tick so no event falls between them
+    if (lastEventId !== null) {
+        const { events: missed, complete } = events.replay(lastEventId, filters);
+        if (!complete) {
+            res.write(`event: events.gap\ndata: ${JSON.stringify({ note: 'Some events after lastEventId are no longer buffered; reload current state.', lastEventId, ...events.getStats() })}\n\n`);
+        }
+        missed.forEach(event => writeEvent(res, event));
+    }
+    const unsubscribe = events.subscribe(filters, event => writeEvent(res, event));
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), getConfig().events.keepAliveMs);
+    console.log(`Node ${network.getMyNodeUrl()}: Event stream opened${lastEventId !== null ? ` (resuming after event ${lastEventId})` : ''}.`);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+        console.log(`Node ${network.getMyNodeUrl()}: Event stream closed.`);
+    });
+});
+
+// GET /api/events/stats
+router.get('/stats', requireReader, (req, res) => {
+    res.status(200).json({ types: events.TYPES, ...events.getStats() });
+});
+
+module.exports = router;
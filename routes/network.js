@@ -2,10 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const db = require('../db');
+const auth = require('../auth');
+const events = require('../events');
+const { getConfig } = require('../config');
 
 // myNodeUrl will be set from process.argv in index.js
 let myNodeUrl = '';
-let networkNodes = []; // All known peer nodes (excluding self)
+let networkNodes = []; // All known active peer nodes (excluding self), mirrored in the peers table
+
+const PEER_CHECK_TIMEOUT_MS = 5 * 1000;
+const MAX_PEER_FAILURES = 5; // Consecutive failed health checks before a peer is retired
+const PEER_STALE_MS = 10 * 60 * 1000; // A peer not seen for this long is retired on its next failed check
+const RETIRED_PEER_CHECK_EVERY = 10; // Retired peers are pinged on every 10th round of checks
+
+let peerCheckRound = 0;
+let checking = false; // A round can outlast the check interval; the next one is skipped rather than run alongside
 
 // Setter for myNodeUrl, called from index.js
 function setMyNodeUrl(url) {
@@ -13,7 +25,102 @@ function setMyNodeUrl(url) {
     console.log(`Network Module: My Node URL set to ${myNodeUrl}`);
 }
 
-router.post('/register-and-broadcast-node', async (req, res) => {
+// The exported myNodeUrl is the value it had when this module loaded (''); this returns the current one
+function getMyNodeUrl() {
+    return myNodeUrl;
+}
+
+// Reloads the active peers from the peers table into networkNodes. Called from index.js at startup.
+async function loadPeers() {
+    const peers = await db.getPeers({ status: 'active' });
+    networkNodes.splice(0, networkNodes.length, ...peers.map(peer => peer.url).filter(url => url !== myNodeUrl));
+    console.log(`Network Module: Loaded ${networkNodes.length} peers from the database:`, networkNodes);
+}
+
+// Adds a peer to networkNodes and stores it. Returns false if it is self.
+async function addPeer(nodeUrl) {
+    if (nodeUrl === myNodeUrl) {
+        return false;
+    }
+    await db.upsertPeer(nodeUrl);
+    if (!networkNodes.includes(nodeUrl)) {
+        networkNodes.push(nodeUrl);
+    }
+    return true;
+}
+
+function dropFromNetworkNodes(nodeUrl) {
+    const index = networkNodes.indexOf(nodeUrl);
+    if (index !== -1) {
+        networkNodes.splice(index, 1);
+    }
+}
+
+// Pings a peer. Resolves with null if it answered, or with the error message.
+async function pingPeer(peerUrl) {
+    try {
+        await axios.get(`${peerUrl}/network/ping`, { timeout: PEER_CHECK_TIMEOUT_MS, headers: auth.nodeHeaders() });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Pings every active peer, tracks last-seen time and failure count,
+// and retires peers that keep failing or have not been seen for too long.
+// Retired peers are pinged less often and become active again when they answer.
+async function checkPeers() {
+    if (checking) {
+        console.log(`Node ${myNodeUrl}: Previous peer health check still running. Skipping this round.`);
+        return;
+    }
+    checking = true;
+    try {
+        peerCheckRound++;
+        if (peerCheckRound % RETIRED_PEER_CHECK_EVERY === 0) {
+            await checkRetiredPeers();
+        }
+
+        for (const peerUrl of [...networkNodes]) {
+            const failure = await pingPeer(peerUrl);
+            const reachable = failure === null;
+            if (!reachable) {
+                console.warn(`Node ${myNodeUrl}: Peer ${peerUrl} failed health check: ${failure}`);
+            }
+
+            const peer = await db.recordPeerHealth(peerUrl, reachable);
+            if (!reachable && peer) {
+                const lastContact = new Date(peer.lastSeen || peer.addedAt).getTime();
+                if (peer.failureCount >= MAX_PEER_FAILURES || Date.now() - lastContact > PEER_STALE_MS) {
+                    await db.setPeerStatus(peerUrl, 'retired');
+                    dropFromNetworkNodes(peerUrl);
+                    // Announced on retirement only, so a single missed ping does not notify every webhook
+                    events.publish('peer.offline', { peerUrl, lastSeen: peer.lastSeen, failureCount: peer.failureCount, error: failure });
+                    console.warn(`Node ${myNodeUrl}: Retired peer ${peerUrl} (${peer.failureCount} failed checks, last seen ${peer.lastSeen || 'never'}).`);
+                }
+            }
+        }
+    } finally {
+        checking = false;
+    }
+}
+
+// Reactivates the retired peers that answer a ping again.
+async function checkRetiredPeers() {
+    for (const peer of await db.getPeers({ status: 'retired' })) {
+        if (peer.url === myNodeUrl || await pingPeer(peer.url) !== null) {
+            continue;
+        }
+        await db.recordPeerHealth(peer.url, true);
+        await db.setPeerStatus(peer.url, 'active');
+        if (!networkNodes.includes(peer.url)) {
+            networkNodes.push(peer.url);
+        }
+        console.log(`Node ${myNodeUrl}: Retired peer ${peer.url} answered again; it is active.`);
+    }
+}
+
+router.post('/register-and-broadcast-node', auth.requireRole('regulator'), async (req, res) => {
     console.log(`Node ${myNodeUrl}: Registering and broadcasting new node...`);
     const newNodeUrl = req.body.newNodeUrl;
 
@@ -21,28 +128,27 @@ router.post('/register-and-broadcast-node', async (req, res) => {
         return res.status(400).json({ error: 'newNodeUrl is required.' });
     }
 
-    // Add the new node to this node's list if it's not already there and not self
-    if (!networkNodes.includes(newNodeUrl) && newNodeUrl !== myNodeUrl) {
-        networkNodes.push(newNodeUrl);
-        console.log(`Node ${myNodeUrl}: Added ${newNodeUrl} to networkNodes.`);
-    }
-
-    // Broadcast this new node to all existing nodes in the networkNodes list
-    const regPromises = networkNodes.map(existingNodeUrl => {
-        // if (existingNodeUrl !== newNodeUrl) { // Don't send back to the new node itself in this step
-        //     console.log(`Node ${myNodeUrl}: Broadcasting ${newNodeUrl} to existing node ${existingNodeUrl}/network/register-node`);
-        //     return axios.post(`${existingNodeUrl}/api/network/register-node`, { newNodeUrl })
-        //         .catch(err => console.error(`Node ${myNodeUrl}: Error broadcasting to ${existingNodeUrl}: ${err.message}`));
-        // }
-        if (existingNodeUrl !== newNodeUrl) { // Don't send back to the new node itself in this step
-            console.log(`Node ${myNodeUrl}: Broadcasting ${newNodeUrl} to existing node ${existingNodeUrl}/network/register-node`);
-            return axios.post(`${existingNodeUrl}/network/register-node`, { newNodeUrl })
-                .catch(err => console.error(`Node ${myNodeUrl}: Error broadcasting to ${existingNodeUrl}: ${err.message}`));
+    try {
+        // Add the new node to this node's list (and peers table) if it's not self
+        if (await addPeer(newNodeUrl)) {
+            console.log(`Node ${myNodeUrl}: Added ${newNodeUrl} to networkNodes.`);
         }
-        return Promise.resolve(); // Resolve immediately if it's the new node itself
-    });
 
-    try {
+        // Broadcast this new node to all existing nodes in the networkNodes list
+        const regPromises = networkNodes.map(existingNodeUrl => {
+            // if (existingNodeUrl !== newNodeUrl) { // Don't send back to the new node itself in this step
+            //     console.log(`Node ${myNodeUrl}: Broadcasting ${newNodeUrl} to existing node ${existingNodeUrl}/network/register-node`);
+            //     return axios.post(`${existingNodeUrl}/api/network/register-node`, { newNodeUrl })
+            //         .catch(err => console.error(`Node ${myNodeUrl}: Error broadcasting to ${existingNodeUrl}: ${err.message}`));
+            // }
+            if (existingNodeUrl !== newNodeUrl) { // Don't send back to the new node itself in this step
+                console.log(`Node ${myNodeUrl}: Broadcasting ${newNodeUrl} to existing node ${existingNodeUrl}/network/register-node`);
+                return axios.post(`${existingNodeUrl}/network/register-node`, { newNodeUrl }, { headers: auth.nodeHeaders() })
+                    .catch(err => console.error(`Node ${myNodeUrl}: Error broadcasting to ${existingNodeUrl}: ${err.message}`));
+            }
+            return Promise.resolve(); // Resolve immediately if it's the new node itself
+        });
+
         await Promise.all(regPromises);
 
         // Send list of all known nodes (including self) to the new node
@@ -50,7 +156,7 @@ router.post('/register-and-broadcast-node', async (req, res) => {
         console.log(`Node ${myNodeUrl}: Sending bulk registration to new node ${newNodeUrl}/network/register-nodes-bulk with:`, allNetworkNodes);
         await axios.post(`${newNodeUrl}/network/register-nodes-bulk`, {
             allNetworkNodes: allNetworkNodes
-        });
+        }, { headers: auth.nodeHeaders() });
 
         res.json({ note: 'New node registered with network and broadcasted.', networkNodes: networkNodes });
     } catch (err) {
@@ -60,7 +166,7 @@ router.post('/register-and-broadcast-node', async (req, res) => {
 });
 
 
-router.post('/register-node', (req, res) => {
+router.post('/register-node', auth.requireRole('node'), async (req, res) => {
     console.log(`Node ${myNodeUrl}: Received request to register node...`);
     const newNodeUrl = req.body.newNodeUrl;
 
@@ -68,16 +174,20 @@ router.post('/register-node', (req, res) => {
         return res.status(400).json({ error: 'newNodeUrl is required.' });
     }
 
-    if (!networkNodes.includes(newNodeUrl) && newNodeUrl !== myNodeUrl) {
-        networkNodes.push(newNodeUrl);
-        console.log(`Node ${myNodeUrl}: Added new node ${newNodeUrl}. Current networkNodes:`, networkNodes);
-    } else {
-        console.log(`Node ${myNodeUrl}: Node ${newNodeUrl} already known or is self.`);
+    try {
+        if (await addPeer(newNodeUrl)) {
+            console.log(`Node ${myNodeUrl}: Registered node ${newNodeUrl}. Current networkNodes:`, networkNodes);
+        } else {
+            console.log(`Node ${myNodeUrl}: Node ${newNodeUrl} is self.`);
+        }
+        res.json({ note: 'Node registered.' });
+    } catch (err) {
+        console.error(`Node ${myNodeUrl}: Error registering node: ${err.message}`);
+        res.status(500).json({ error: 'Failed to register node.', details: err.message });
     }
-    res.json({ note: 'Node registered.' });
 });
 
-router.post('/register-nodes-bulk', (req, res) => {
+router.post('/register-nodes-bulk', auth.requireRole('node'), async (req, res) => {
     console.log(`Node ${myNodeUrl}: Received bulk registration request...`);
     const allNodes = req.body.allNetworkNodes;
 
@@ -85,19 +195,87 @@ router.post('/register-nodes-bulk', (req, res) => {
         return res.status(400).json({ error: 'allNetworkNodes must be an array.' });
     }
 
-    allNodes.forEach(nodeUrl => {
-        if (!networkNodes.includes(nodeUrl) && nodeUrl !== myNodeUrl) {
-            networkNodes.push(nodeUrl);
-            console.log(`Node ${myNodeUrl}: Added node ${nodeUrl} from bulk registration.`);
+    try {
+        for (const nodeUrl of allNodes) {
+            if (await addPeer(nodeUrl)) {
+                console.log(`Node ${myNodeUrl}: Registered node ${nodeUrl} from bulk registration.`);
+            }
         }
-    });
-    console.log(`Node ${myNodeUrl}: Bulk registration successful. Current networkNodes:`, networkNodes);
-    res.json({ note: 'Bulk registration successful.' });
+        console.log(`Node ${myNodeUrl}: Bulk registration successful. Current networkNodes:`, networkNodes);
+        res.json({ note: 'Bulk registration successful.' });
+    } catch (err) {
+        console.error(`Node ${myNodeUrl}: Error during bulk registration: ${err.message}`);
+        res.status(500).json({ error: 'Failed to register nodes.', details: err.message });
+    }
+});
+
+// GET /api/network/ping
+// Health check used by peers. Also tells the explorer which node it is looking at.
+router.get('/ping', auth.requireReader, (req, res) => {
+    const { role, projId } = getConfig();
+    res.json({ note: 'pong', url: myNodeUrl, role, projId });
+});
+
+// GET /api/network/peers
+// Lists every peer this node knows, with health information. ?status=active|retired filters.
+router.get('/peers', auth.requireReader, async (req, res) => {
+    try {
+        const peers = await db.getPeers({ status: req.query.status });
+        res.json({ peers });
+    } catch (err) {
+        console.error(`Node ${myNodeUrl}: Error listing peers: ${err.message}`);
+        res.status(500).json({ error: 'Failed to list peers.', details: err.message });
+    }
+});
+
+// DELETE /api/network/peers/:url
+// Forgets a peer. The URL must be URL-encoded, e.g. /api/network/peers/http%3A%2F%2Flocalhost%3A3001%2Fapi
+router.delete('/peers/:url', auth.requireRole('regulator'), async (req, res) => {
+    const peerUrl = req.params.url;
+    try {
+        const removed = await db.deletePeer(peerUrl);
+        const wasActive = networkNodes.includes(peerUrl);
+        dropFromNetworkNodes(peerUrl);
+        if (!removed && !wasActive) {
+            return res.status(404).json({ error: `Peer ${peerUrl} is not known.` });
+        }
+        console.log(`Node ${myNodeUrl}: Removed peer ${peerUrl}. Current networkNodes:`, networkNodes);
+        res.json({ note: 'Peer removed.', networkNodes });
+    } catch (err) {
+        console.error(`Node ${myNodeUrl}: Error removing peer: ${err.message}`);
+        res.status(500).json({ error: 'Failed to remove peer.', details: err.message });
+    }
+});
+
+// GET /api/network/outbox
+// Per-peer delivery status of broadcast transactions and blocks.
+// Optional query: ?peer=<url>&status=pending|delivered|rejected|failed&kind=transaction|block&ref=<transactionId or blockIndex>&limit=
+router.get('/outbox', auth.requireReader, async (req, res) => {
+    try {
+        const [summary, deliveries] = await Promise.all([
+            db.getDeliverySummary(),
+            db.getDeliveries({
+                peerUrl: req.query.peer,
+                status: req.query.status,
+                kind: req.query.kind,
+                ref: req.query.ref,
+                limit: req.query.limit ? Math.min(Number(req.query.limit) || 100, 1000) : 100
+            })
+        ]);
+        res.json({ summary, deliveries });
+    } catch (err) {
+        console.error(`Node ${myNodeUrl}: Error reading outbox: ${err.message}`);
+        res.status(500).json({ error: 'Failed to read outbox.', details: err.message });
+    }
 });
 
 module.exports = {
     router,
     myNodeUrl, // Exported for other modules to use (e.g., for logging)
     networkNodes, // Exported for other modules to use (e.g., for broadcasting)
-    setMyNodeUrl // Export setter for index.js
+    setMyNodeUrl, // Export setter for index.js
+    getMyNodeUrl, // Use this for logging: myNodeUrl above is a copy taken before index.js set it
+    loadPeers, // Called from index.js at startup
+    addPeer, // Used by index.js for peers listed in the configuration
+    checkPeers // Run periodically by index.js
 };
\ No newline at end of file
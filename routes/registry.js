@@ -0,0 +1,112 @@
+// routes/registry.js
+// The station and submitter registry (see registry.js). Every role can read it; only RegAuth can change it.
+// Changes are registry transactions that take effect once RegAuth mines them into a block.
+const express = require('express');
+const router = express.Router();
+const network = require('./network');
+const registry = require('../registry');
+const schema = require('../schema');
+const mempool = require('../mempool');
+const events = require('../events');
+const { getConfig } = require('../config');
+const { requireRole, requireReader } = require('../auth');
+
+// Validates an entry against the registry plus the entries already waiting to be mined,
+// then signs it as RegAuth and adds it to the mempool.
+async function submitEntry(req, res, entry) {
+    if (getConfig().role !== 'regulator') {
+        return res.status(403).json({ error: 'Only the regulator node can change the registry.' });
+    }
+    try {
+        const entryError = registry.entryError(entry, await registry.pendingState());
+        if (entryError) {
+            return res.status(400).json({ error: entryError });
+        }
+        if (!(await mempool.makeRoom(1))) {
+            return res.status(503).json({ error: 'Mempool is full, retry later.' });
+        }
+        const transaction = await registry.createEntryTransaction(entry);
+        events.publishTransaction(transaction);
+        console.log(`Node ${network.getMyNodeUrl()}: Registry entry ${entry.action} queued as transaction ${transaction.transactionId}.`);
+        res.status(202).json({ note: 'Registry entry queued. It takes effect once it is mined into a block.', entry, transaction });
+    } catch (error) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error queuing registry entry:`, error.message);
+        res.status(500).json({ error: 'Failed to queue registry entry.' });
+    }
+}
+
+// GET /api/registry
+// Whether readings are checked against the registry, and how many stations and submitters it holds.
+router.get('/', requireReader, (req, res) => {
+    res.status(200).json({
+        enforced: registry.isEnforced(),
+        stations: registry.getStations().length,
+        activeStations: registry.getStations({ status: 'active' }).length,
+        submitters: registry.getSubmitters().length,
+        activeSubmitters: registry.getSubmitters({ status: 'active' }).length
+    });
+});
+
+// GET /api/registry/stations?status=active|decommissioned&projId=
+router.get('/stations', requireReader, (req, res) => {
+    const { status, projId } = req.query;
+    res.status(200).json({ stations: registry.getStations({ status, projId }) });
+});
+
+// GET /api/registry/stations/:stationID
+router.get('/stations/:stationID', requireReader, (req, res) => {
+    const station = registry.getStation(req.params.stationID);
+    if (!station) {
+        return res.status(404).json({ error: `Station ${req.params.stationID} is not registered.` });
+    }
+    res.status(200).json({ station, submitters: registry.getSubmitters({ stationID: station.stationID }).map(s => s.submitterId) });
+});
+
+// GET /api/registry/submitters?status=active|revoked&stationID=
+router.get('/submitters', requireReader, (req, res) => {
+    const { status, stationID } = req.query;
+    res.status(200).json({ submitters: registry.getSubmitters({ status, stationID }) });
+});
+
+// GET /api/registry/submitters/:submitterId
+router.get('/submitters/:submitterId', requireReader, (req, res) => {
+    const submitter = registry.getSubmitter(req.params.submitterId);
+    if (!submitter) {
+        return res.status(404).json({ error: `Submitter ${req.params.submitterId} is not registered.` });
+    }
+    res.status(200).json({ submitter });
+});
+
+// POST /api/registry/stations   body: { stationID, projId, location: { latitude, longitude, address? }, pollutants: [...] }
+// Registers a station, or updates a registered one (which also brings a decommissioned station back).
+router.post('/stations', requireRole('regulator'), (req, res) => {
+    const body = req.body || {};
+    const location = body.location || {};
+    submitEntry(req, res, {
+        action: 'registerStation',
+        stationID: body.stationID,
+        projId: body.projId === undefined ? undefined : String(body.projId),
+        location: { latitude: location.latitude, longitude: location.longitude, address: location.address },
+        pollutants: Array.isArray(body.pollutants) ? body.pollutants.map(name => schema.canonicalField(name) || name) : body.pollutants
+    });
+});
+
+// POST /api/registry/stations/:stationID/decommission   body: { reason }
+// Readings from a decommissioned station are rejected from then on.
+router.post('/stations/:stationID/decommission', requireRole('regulator'), (req, res) => {
+    submitEntry(req, res, { action: 'decommissionStation', stationID: req.params.stationID, reason: (req.body || {}).reason });
+});
+
+// POST /api/registry/submitters   body: { submitterId, publicKey, stations: [...] }
+// Registers a submitter's public key and the stations it may report for. Registering again replaces both.
+router.post('/submitters', requireRole('regulator'), (req, res) => {
+    const { submitterId, publicKey, stations } = req.body || {};
+    submitEntry(req, res, { action: 'registerSubmitter', submitterId, publicKey, stations });
+});
+
+// POST /api/registry/submitters/:submitterId/revoke   body: { reason }
+router.post('/submitters/:submitterId/revoke', requireRole('regulator'), (req, res) => {
+    submitEntry(req, res, { action: 'revokeSubmitter', submitterId: req.params.submitterId, reason: (req.body || {}).reason });
+});
+
+module.exports = router;
@@ -3,15 +3,24 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db'); // Import your database functions
 const network = require('./network');
-const axios = require('axios');
+const outbox = require('../outbox');
 const crypto = require('crypto'); // Make sure crypto is imported
+const signatures = require('../signatures');
+const merkle = require('../merkle');
+const { once } = require('events');
+const { getConfig } = require('../config');
+const mempool = require('../mempool');
+const schema = require('../schema');
+const registry = require('../registry');
+const events = require('../events');
+const { requireRole, requireReader, requireOwnProject } = require('../auth');
 
 // This endpoint is for RECEIVING a transaction that has been broadcast from a peer node.
 // The transaction object received here is expected to be complete and fully formed.
-router.post('/receive', async (req, res) => {
+router.post('/receive', requireRole('node'), async (req, res) => {
     console.log(`Node ${network.myNodeUrl}: Received transaction for processing...`);
     try {
-        const transactionData = req.body;
+        const transactionData = req.body || {};
 
         // Validation for a received transaction: It should already have an ID and a hash.
         if (!transactionData.transactionId || !transactionData.timestamp || !transactionData.rowHash || !transactionData.rawDataJson || transactionData.projId === undefined) {
@@ -20,6 +29,13 @@ router.post('/receive', async (req, res) => {
         }
         console.log(`Node ${network.myNodeUrl}: Passed Check-1 (Mandatory fields present)`);
 
+        const { errors: fieldErrors } = schema.normalizeReading(transactionData, { transaction: true });
+        if (fieldErrors.length > 0) {
+            console.error(`Node ${network.myNodeUrl}: Received transaction failed schema validation: ${schema.describeErrors(fieldErrors)}. Rejecting.`);
+            return res.status(400).json({ error: 'Invalid reading.', fieldErrors });
+        }
+        console.log(`Node ${network.myNodeUrl}: Passed Check-1b (Reading matches the schema)`);
+
         // Re-validate the hash: Use the exact rawDataJson string that was originally hashed.
         const dataToHash = transactionData.transactionId + transactionData.timestamp + transactionData.rawDataJson;
         const reCalculatedHash = crypto.createHash('sha256').update(dataToHash).digest('hex');
@@ -33,9 +49,33 @@ router.post('/receive', async (req, res) => {
         }
         console.log(`Node ${network.myNodeUrl}: Passed Check-2 (Hash validation successful)`);
 
+        // Check the submitter's signature over rawDataJson, and the station and submitter against the registry.
+        const transactionError = registry.requiredRegistryError() || registry.transactionError(transactionData);
+        if (transactionError) {
+            console.error(`Node ${network.myNodeUrl}: Received transaction rejected: ${transactionError}`);
+            return res.status(400).json({ error: transactionError });
+        }
+        console.log(`Node ${network.myNodeUrl}: Passed Check-3 (Submitter signature and registry checks valid)`);
+
+        // The regulator removed this transaction from the mempools; do not take it back
+        if (await db.getMempoolEviction(transactionData.transactionId)) {
+            console.log(`Node ${network.myNodeUrl}: Received transaction ${transactionData.transactionId} was evicted by the regulator. Ignoring.`);
+            return res.status(409).json({ error: 'Transaction was evicted by the regulator.' });
+        }
+
+        // A delayed broadcast can arrive after the block that confirmed it
+        if (await db.isTransactionConfirmed(transactionData.transactionId)) {
+            console.log(`Node ${network.myNodeUrl}: Received transaction ${transactionData.transactionId} is already confirmed. Ignoring.`);
+            return res.status(409).json({ error: 'Transaction is already confirmed on chain.' });
+        }
+
+        if (!(await mempool.makeRoom(1))) {
+            return res.status(503).json({ error: 'Mempool is full, retry later.' });
+        }
+
         // Add the received transaction to this node's mempool.
         // createTransaction is designed to use provided IDs/hashes if they exist.
-        await db.createTransaction(transactionData);
+        events.publishTransaction(await db.createTransaction(transactionData));
 
         res.status(201).json({
             message: 'Transaction received and accepted into mempool.',
@@ -53,49 +93,661 @@ router.post('/receive', async (req, res) => {
 
 // This endpoint is for a client (your local API or a user interface) to SUBMIT a new, raw transaction.
 // This route is the starting point for a new transaction on the network.
-router.post('/submit', async function (req, res) {
+router.post('/submit', requireOwnProject, async function (req, res) {
     console.log(`Node ${network.myNodeUrl}: Received new transaction for submission...`);
-    const rawTransactionData = req.body;
+    // Required fields, numeric types, units and ranges; aliases such as "PM2.5" become PM2_5
+    const { reading: rawTransactionData, errors: fieldErrors } = schema.normalizeReading(req.body);
+    if (fieldErrors.length > 0) {
+        console.error(`Node ${network.myNodeUrl}: Submitted reading failed schema validation: ${schema.describeErrors(fieldErrors)}`);
+        return res.status(400).json({ note: 'Transaction rejected.', error: 'Invalid reading.', fieldErrors });
+    }
     try {
+        // 0. The reading must be signed by its submitter's registered key, for a registered station
+        // the submitter is authorised for. The client signs the canonical payload (see signatures.readingPayload).
+        const transactionError = registry.transactionError({
+            ...rawTransactionData,
+            rawDataJson: rawTransactionData.rawDataJson || signatures.readingPayload(rawTransactionData)
+        }) || submissionError(rawTransactionData);
+        if (transactionError) {
+            console.error(`Node ${network.myNodeUrl}: Submitted transaction rejected: ${transactionError}`);
+            return res.status(400).json({ note: 'Transaction rejected.', error: transactionError });
+        }
+
+        // A signed reading can only be stored once: replaying it, even to another node, is refused
+        const replayError = await replayedTransactionError(rawTransactionData.transactionId);
+        if (replayError) {
+            console.error(`Node ${network.myNodeUrl}: Submitted transaction rejected: ${replayError}`);
+            return res.status(409).json({ note: 'Transaction rejected.', error: replayError });
+        }
+
+        if (!(await mempool.makeRoom(1))) {
+            return res.status(503).json({ note: 'Transaction rejected.', error: 'Mempool is full, retry later.' });
+        }
+
         // 1. Add the transaction to this node's own mempool.
-        // db.createTransaction() will handle the generation of ID, timestamp, hash, and projId.
+        // db.createTransaction() keeps the signed ID, timestamp and projId and computes the hash.
         const newTransaction = await db.createTransaction(rawTransactionData);
+        events.publishTransaction(newTransaction);
 
-        // 2. Prepare POST requests to all other known nodes to their '/receive' endpoint.
-        const broadcastPromises = network.networkNodes.map(networkNodeUrl => {
-            console.log(`Node ${network.myNodeUrl}: Broadcasting to ${networkNodeUrl}/transactions/receive`);
-            // return axios.post(`${networkNodeUrl}/api/transactions/receive`, newTransaction);
-            return axios.post(`${networkNodeUrl}/transactions/receive`, newTransaction);
+        // 2. Queue the transaction for every known node's '/receive' endpoint.
+        // The outbox delivers in the background and retries peers that are down.
+        const deliveries = await outbox.enqueue({
+            path: '/transactions/receive',
+            kind: 'transaction',
+            ref: newTransaction.transactionId,
+            payload: newTransaction
         });
 
-        // 3. Wait for all broadcast requests to finish.
-        await Promise.all(broadcastPromises);
-
-        // 4. Respond to the client after the local creation and broadcast are successful.
+        // 3. Respond to the client as soon as the transaction is committed locally.
+        // Delivery status per peer: GET /api/network/outbox?ref=<transactionId>
         res.status(201).json({
-            note: 'Transaction created locally and broadcast successfully.',
-            transaction: newTransaction
+            note: 'Transaction created locally and queued for broadcast.',
+            transaction: newTransaction,
+            deliveries
         });
 
     } catch (error) {
-        console.error(`Node ${network.myNodeUrl}: Transaction submission and broadcast failed:`, error.message);
+        console.error(`Node ${network.myNodeUrl}: Transaction submission failed:`, error.message);
+        if (error.message.includes('SQLITE_CONSTRAINT: UNIQUE constraint failed: mempool_transactions.transaction_id')) {
+            return res.status(409).json({ note: 'Transaction rejected.', error: `Transaction ${rawTransactionData.transactionId} was already submitted.` });
+        }
         res.status(500).json({
-            note: 'Transaction broadcast failed.',
+            note: 'Transaction submission failed.',
             error: error.message
         });
     }
 });
 
-// A route to get all confirmed transactions from the confirmed_transactions table.
-router.get('/', async (req, res) => {
-    console.log(`Node ${network.myNodeUrl}: Fetching all confirmed transactions...`);
+// How far ahead of this node's clock a client may timestamp a reading
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Checks a reading submitted to this node: registry.required, and its signed projId and timestamp. Null if it is valid.
+function submissionError(reading) {
+    const registryError = registry.requiredRegistryError();
+    if (registryError) {
+        return registryError;
+    }
+    const { projId } = getConfig();
+    if (reading.projId !== projId) {
+        return `Reading is signed for project "${reading.projId}", but this node is project "${projId}".`;
+    }
+    if (Date.parse(reading.timestamp) > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return `timestamp ${reading.timestamp} is in the future.`;
+    }
+    return null;
+}
+
+// Why a transactionId cannot be stored again (already pending, confirmed or evicted), or null if it is new.
+async function replayedTransactionError(transactionId) {
+    if (await db.getMempoolTransaction(transactionId)) {
+        return `Transaction ${transactionId} was already submitted.`;
+    }
+    if (await db.isTransactionConfirmed(transactionId)) {
+        return `Transaction ${transactionId} is already confirmed on chain.`;
+    }
+    if (await db.getMempoolEviction(transactionId)) {
+        return `Transaction ${transactionId} was evicted by the regulator.`;
+    }
+    return null;
+}
+
+// --- Batch submission ---
+const MAX_BATCH_SIZE = 1000;
+
+// Validates a submitted reading against the schema, its signature and the registry.
+// Returns { reading } (normalized) if it is valid, or { error, fieldErrors? }.
+function checkSubmittedReading(input) {
+    const { reading, errors } = schema.normalizeReading(input);
+    if (errors.length > 0) {
+        return { error: `Invalid reading: ${schema.describeErrors(errors)}.`, fieldErrors: errors };
+    }
+    const transactionError = registry.transactionError({
+        ...reading,
+        rawDataJson: reading.rawDataJson || signatures.readingPayload(reading)
+    }) || submissionError(reading);
+    return transactionError ? { error: transactionError } : { reading };
+}
+
+// Checks 1-3 of POST /receive for a transaction broadcast by a peer; null if it is valid.
+function receivedTransactionError(transactionData) {
+    if (!transactionData || !transactionData.transactionId || !transactionData.timestamp || !transactionData.rowHash || !transactionData.rawDataJson || transactionData.projId === undefined) {
+        return 'Missing mandatory transaction fields for reception.';
+    }
+    const { errors } = schema.normalizeReading(transactionData, { transaction: true });
+    if (errors.length > 0) {
+        return `Invalid reading: ${schema.describeErrors(errors)}.`;
+    }
+    const reCalculatedHash = crypto.createHash('sha256').update(transactionData.transactionId + transactionData.timestamp + transactionData.rawDataJson).digest('hex');
+    if (reCalculatedHash !== transactionData.rowHash) {
+        return 'Transaction hash mismatch. Data may be corrupted.';
+    }
+    return registry.requiredRegistryError() || registry.transactionError(transactionData);
+}
+
+// POST /api/transactions/submit-batch
+// Submits many signed readings at once, as a JSON array or as CSV (Content-Type: text/csv) with a header row:
+// transactionId,timestamp,projId,submitterId,stationID,SO2,NO2,PM10,PM2_5,signature,publicKey
+// Every row is validated; the valid ones are stored in one SQLite transaction and broadcast to peers
+// as one batch message. The response has one result per row, in input order.
+router.post('/submit-batch', requireOwnProject, express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' }), async (req, res) => {
+    let readings = req.body;
+    if (typeof readings === 'string') {
+        readings = schema.parseCsv(readings);
+    }
+    if (!Array.isArray(readings) || readings.length === 0) {
+        return res.status(400).json({ note: 'Batch rejected.', error: 'Body must be a non-empty JSON array or CSV with a header row.' });
+    }
+    if (readings.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ note: 'Batch rejected.', error: `A batch can hold at most ${MAX_BATCH_SIZE} readings.` });
+    }
+    console.log(`Node ${network.myNodeUrl}: Received batch of ${readings.length} readings for submission...`);
+
+    try {
+        const normalized = [];
+        const seen = new Set();
+        const results = [];
+        for (const [row, input] of readings.entries()) {
+            const { reading, error, fieldErrors } = checkSubmittedReading(input);
+            normalized[row] = reading;
+            if (error) {
+                results.push({ row, status: 'rejected', error, ...(fieldErrors && { fieldErrors }) });
+                continue;
+            }
+            const replayError = seen.has(reading.transactionId)
+                ? `Transaction ${reading.transactionId} appears more than once in the batch.`
+                : await replayedTransactionError(reading.transactionId);
+            if (replayError) {
+                results.push({ row, transactionId: reading.transactionId, status: 'rejected', error: replayError });
+                continue;
+            }
+            seen.add(reading.transactionId);
+            results.push({ row, transactionId: reading.transactionId, status: 'accepted' });
+        }
+        const accepted = results.filter(result => result.status === 'accepted');
+        if (accepted.length === 0) {
+            return res.status(400).json({ note: 'No valid readings in the batch.', accepted: 0, rejected: results.length, results });
+        }
+
+        if (!(await mempool.makeRoom(accepted.length))) {
+            return res.status(503).json({ note: 'Batch rejected; no readings were stored.', error: 'Mempool is full, retry later.' });
+        }
+        const inserted = await db.createTransactions(accepted.map(result => normalized[result.row]));
+        // A concurrent submission of the same signed reading got there first
+        inserted.forEach(({ inserted: isNew }, i) => {
+            if (!isNew) {
+                Object.assign(accepted[i], { status: 'rejected', error: `Transaction ${accepted[i].transactionId} was already submitted.` });
+            }
+        });
+        const transactions = inserted.filter(({ inserted: isNew }) => isNew).map(({ transaction }) => transaction);
+        transactions.forEach(events.publishTransaction);
+        const acceptedCount = transactions.length;
+
+        // One outbox message per peer for the whole batch
+        const batchId = crypto.randomUUID();
+        const deliveries = await outbox.enqueue({
+            path: '/transactions/receive-batch',
+            kind: 'transaction-batch',
+            ref: batchId,
+            payload: { batchId, transactions }
+        });
+
+        console.log(`Node ${network.myNodeUrl}: Batch ${batchId}: ${acceptedCount} readings accepted, ${results.length - acceptedCount} rejected.`);
+        res.status(201).json({
+            note: 'Valid readings created locally and queued for broadcast as one batch.',
+            batchId,
+            accepted: acceptedCount,
+            rejected: results.length - acceptedCount,
+            results,
+            deliveries
+        });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Batch submission failed:`, error.message);
+        res.status(500).json({ note: 'Batch submission failed; no readings were stored.', error: error.message });
+    }
+});
+
+// POST /api/transactions/receive-batch
+// The peer side of /submit-batch: { batchId, transactions }. Each transaction gets the same checks as /receive
+// and the valid ones are stored in one SQLite transaction. Answers 201 with a result per transaction.
+router.post('/receive-batch', requireRole('node'), async (req, res) => {
+    const { batchId, transactions } = req.body || {};
+    if (!Array.isArray(transactions) || transactions.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ error: `transactions must be an array of at most ${MAX_BATCH_SIZE} transactions.` });
+    }
+    console.log(`Node ${network.myNodeUrl}: Received batch ${batchId} of ${transactions.length} transactions...`);
+
+    try {
+        const results = [];
+        const valid = [];
+        for (const [row, transactionData] of transactions.entries()) {
+            const error = receivedTransactionError(transactionData);
+            if (error) {
+                results.push({ row, transactionId: transactionData && transactionData.transactionId, status: 'rejected', error });
+            } else if (await db.isTransactionConfirmed(transactionData.transactionId)) {
+                results.push({ row, transactionId: transactionData.transactionId, status: 'alreadyConfirmed' });
+            } else if (await db.getMempoolEviction(transactionData.transactionId)) {
+                results.push({ row, transactionId: transactionData.transactionId, status: 'evicted' });
+            } else {
+                const result = { row, transactionId: transactionData.transactionId, status: 'accepted' };
+                results.push(result);
+                valid.push({ result, transactionData });
+            }
+        }
+        if (valid.length > 0 && !(await mempool.makeRoom(valid.length))) {
+            return res.status(503).json({ error: 'Mempool is full, retry later.' });
+        }
+        if (valid.length > 0) {
+            const inserted = await db.createTransactions(valid.map(entry => entry.transactionData));
+            inserted.forEach(({ transaction, inserted: isNew }, i) => {
+                if (isNew) {
+                    events.publishTransaction(transaction);
+                } else {
+                    valid[i].result.status = 'duplicate';
+                }
+            });
+        }
+        const rejected = results.filter(result => result.status === 'rejected').length;
+        if (rejected > 0) {
+            console.error(`Node ${network.myNodeUrl}: Batch ${batchId}: ${rejected} transactions rejected.`);
+        }
+        res.status(201).json({ message: 'Batch processed.', batchId, results });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error in POST /api/transactions/receive-batch:`, error.message);
+        res.status(500).json({ error: 'Failed to accept received batch.' });
+    }
+});
+
+// --- Query parameters for GET /api/transactions ---
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const THRESHOLD_PARAM = /^(SO2|NO2|PM10|PM2_5)_(gt|gte|lt|lte)$/;
+
+// The cursor is the (timestamp, internal_id) of the last row of a page, as base64url JSON.
+function encodeCursor(transaction) {
+    return Buffer.from(JSON.stringify([transaction.timestamp, transaction.internal_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [timestamp, internalId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof timestamp === 'string' && Number.isInteger(internalId)) {
+            return { timestamp, internalId };
+        }
+    } catch (error) {
+        // Fall through to the null below
+    }
+    return null;
+}
+
+// Turns the query string into filters for db.queryConfirmedTransactions.
+// Returns { filters, errors }; any error means the request is rejected with 400.
+function parseTransactionQuery(query) {
+    const errors = [];
+    const filters = { thresholds: [], limit: DEFAULT_PAGE_SIZE };
+    const known = new Set(['projId', 'submitterId', 'stationID', 'from', 'to', 'fromBlock', 'toBlock', 'sort', 'limit', 'cursor']);
+
+    Object.entries(query).forEach(([name, value]) => {
+        if (Array.isArray(value) || typeof value !== 'string') {
+            errors.push(`${name} must be given once.`);
+            return;
+        }
+        const threshold = THRESHOLD_PARAM.exec(name);
+        if (threshold) {
+            const number = Number(value);
+            if (value.trim() === '' || !Number.isFinite(number)) {
+                errors.push(`${name} must be a number.`);
+            } else {
+                filters.thresholds.push({ pollutant: threshold[1], op: threshold[2], value: number });
+            }
+        } else if (!known.has(name)) {
+            errors.push(`Unknown query parameter ${name}.`);
+        }
+    });
+
+    ['projId', 'submitterId', 'stationID'].forEach(name => {
+        if (typeof query[name] === 'string') {
+            filters[name] = query[name];
+        }
+    });
+    ['from', 'to'].forEach(name => {
+        if (typeof query[name] === 'string') {
+            const time = new Date(query[name]);
+            if (Number.isNaN(time.getTime())) {
+                errors.push(`${name} must be an ISO 8601 timestamp.`);
+            } else {
+                filters[name] = time.toISOString();
+            }
+        }
+    });
+    ['fromBlock', 'toBlock'].forEach(name => {
+        if (typeof query[name] === 'string') {
+            const index = Number(query[name]);
+            if (!Number.isInteger(index) || index < 0) {
+                errors.push(`${name} must be a non-negative integer.`);
+            } else {
+                filters[name] = index;
+            }
+        }
+    });
+    if (typeof query.sort === 'string') {
+        if (!['asc', 'desc'].includes(query.sort)) {
+            errors.push('sort must be "asc" or "desc".');
+        } else {
+            filters.order = query.sort;
+        }
+    }
+    if (typeof query.limit === 'string') {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+        } else {
+            filters.limit = limit;
+        }
+    }
+    if (typeof query.cursor === 'string') {
+        filters.after = decodeCursor(query.cursor);
+        if (!filters.after) {
+            errors.push('cursor is invalid.');
+        }
+    }
+    return { filters, errors };
+}
+
+// GET /api/transactions
+// Confirmed transactions, newest first, one page at a time. Optional query:
+// projId, submitterId, stationID, from/to (ISO timestamps), fromBlock/toBlock (block indexes),
+// pollutant thresholds such as SO2_gt=80 or PM2_5_lte=60, sort=asc|desc, limit (1-1000, default 100),
+// cursor (nextCursor of the previous page; keep the other parameters the same).
+router.get('/', requireReader, async (req, res) => {
+    const { filters, errors } = parseTransactionQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
     try {
-        const transactions = await db.readAllTransactions();
-        res.status(200).json({ transactions });
+        const { transactions, hasMore } = await db.queryConfirmedTransactions(filters);
+        res.status(200).json({
+            transactions,
+            count: transactions.length,
+            nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1]) : null
+        });
     } catch (error) {
         console.error(`Node ${network.myNodeUrl}: Error fetching confirmed transactions:`, error.message);
         res.status(500).json({ error: 'Failed to retrieve transactions.' });
     }
 });
 
+// --- Export of confirmed readings ---
+const EXPORT_PAGE_SIZE = 500; // Rows read from SQLite per query while streaming
+const EXPORT_COLUMNS = ['blockIndex', 'blockHash', 'merkleRoot', 'transactionId', 'timestamp', 'projId', 'submitterId', 'stationID',
+    'SO2', 'NO2', 'PM10', 'PM2_5', 'rowHash', 'rawDataJson'];
+
+// rawDataJson is the stored string itself, so the rowHash and signature can be re-checked from the export
+function toExportRow(transaction) {
+    const row = {};
+    EXPORT_COLUMNS.forEach(column => {
+        row[column] = transaction[column];
+    });
+    return row;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET /api/transactions/export?format=csv|ndjson
+// Streams every confirmed reading that matches the GET /api/transactions filters (no limit/cursor),
+// page by page, so the table is never loaded into memory at once. Each row carries its block's index,
+// hash and merkleRoot plus its own rowHash and signed payload (rawDataJson), so it can be checked against the chain.
+router.get('/export', requireReader, async (req, res) => {
+    const { format = 'csv', limit, cursor, ...query } = req.query;
+    const { filters, errors } = parseTransactionQuery(query);
+    if (!['csv', 'ndjson'].includes(format)) {
+        errors.push('format must be "csv" or "ndjson".');
+    }
+    if (limit !== undefined || cursor !== undefined) {
+        errors.push('limit and cursor are not supported on export; the export always contains every matching row.');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
+
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="confirmed-readings.${format}"`);
+
+    let exported = 0;
+    try {
+        if (format === 'csv') {
+            res.write(EXPORT_COLUMNS.join(',') + '\n');
+        }
+        let page = { hasMore: true, transactions: [] };
+        while (page.hasMore && !clientGone) {
+            const after = page.transactions.length > 0 ? page.transactions[page.transactions.length - 1] : null;
+            page = await db.queryConfirmedTransactions({
+                ...filters,
+                limit: EXPORT_PAGE_SIZE,
+                after: after ? { timestamp: after.timestamp, internalId: after.internal_id } : undefined
+            });
+            const chunk = page.transactions.map(transaction => {
+                const row = toExportRow(transaction);
+                return format === 'csv' ? EXPORT_COLUMNS.map(column => csvField(row[column])).join(',') : JSON.stringify(row);
+            }).join('\n');
+            exported += page.transactions.length;
+            if (chunk && !res.write(chunk + '\n')) {
+                // Wait for the client to catch up before reading the next page
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+        console.log(`Node ${network.myNodeUrl}: Exported ${exported} confirmed transactions as ${format}.`);
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error exporting confirmed transactions:`, error.message);
+        res.destroy(error); // Headers are already sent; cut the stream so the client sees an incomplete download
+    }
+});
+
+// --- Mempool inspection and administration ---
+
+// GET /api/transactions/mempool
+// Pending transactions, longest-waiting first, with the time each has waited (ageMs).
+// Optional query: projId, submitterId, stationID, txType (reading or registry), minAgeMs, limit (1-1000, default 100), offset.
+router.get('/mempool', requireReader, async (req, res) => {
+    const errors = [];
+    const filters = {};
+    ['projId', 'submitterId', 'stationID', 'txType'].forEach(name => {
+        if (req.query[name] !== undefined) {
+            filters[name] = String(req.query[name]);
+        }
+    });
+    const integerParam = (name, min, max) => {
+        if (req.query[name] === undefined) {
+            return undefined;
+        }
+        const value = Number(req.query[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${name} must be an integer from ${min} to ${max}.`);
+        }
+        return value;
+    };
+    const minAgeMs = integerParam('minAgeMs', 0, Number.MAX_SAFE_INTEGER);
+    filters.limit = integerParam('limit', 1, MAX_PAGE_SIZE);
+    filters.offset = integerParam('offset', 0, Number.MAX_SAFE_INTEGER);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid query.', details: errors });
+    }
+
+    try {
+        const now = Date.now();
+        if (minAgeMs !== undefined) {
+            filters.receivedBefore = new Date(now - minAgeMs).toISOString();
+        }
+        const { total, transactions } = await db.getMempoolTransactions(filters);
+        res.status(200).json({
+            total,
+            count: transactions.length,
+            transactions: transactions.map(tx => ({ ...tx, ageMs: now - new Date(tx.receivedAt).getTime() }))
+        });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error listing mempool:`, error.message);
+        res.status(500).json({ error: 'Failed to list mempool transactions.' });
+    }
+});
+
+// GET /api/transactions/mempool/stats
+// Mempool size, TTL/size policy, and eviction counts since the node started (for monitoring).
+router.get('/mempool/stats', requireReader, async (req, res) => {
+    try {
+        res.status(200).json(await mempool.getStats());
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error reading mempool stats:`, error.message);
+        res.status(500).json({ error: 'Failed to read mempool stats.' });
+    }
+});
+
+// DELETE /api/transactions/mempool/:id   body: { "reason": "..." }
+// Regulator only: evicts a pending transaction, records the reason and tells the peers.
+// The eviction is signed with the authority key, so peers only accept it from RegAuth.
+router.delete('/mempool/:id', requireRole('regulator'), async (req, res) => {
+    if (getConfig().role !== 'regulator') {
+        return res.status(403).json({ error: 'Only the regulator node can evict mempool transactions.' });
+    }
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).json({ error: 'A reason for the eviction is required.' });
+    }
+
+    try {
+        const transactionId = req.params.id;
+        if (!(await db.getMempoolTransaction(transactionId))) {
+            if (await db.isTransactionConfirmed(transactionId)) {
+                return res.status(409).json({ error: 'Transaction is already confirmed on chain and cannot be evicted.' });
+            }
+            return res.status(404).json({ error: 'Transaction is not pending in this node\'s mempool.' });
+        }
+
+        const { eviction, deliveries } = await mempool.evict(transactionId, reason);
+        console.log(`Node ${network.myNodeUrl}: Evicted transaction ${transactionId} from mempool: ${reason}`);
+        res.status(200).json({ note: 'Transaction evicted and eviction queued for broadcast.', eviction, deliveries });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error evicting transaction:`, error.message);
+        res.status(500).json({ error: 'Failed to evict transaction.' });
+    }
+});
+
+// POST /api/transactions/evictions
+// Receives an eviction broadcast by RegAuth: { transactionId, reason, evictedAt, signature }.
+router.post('/evictions', requireRole('node'), async (req, res) => {
+    const eviction = req.body || {};
+    if (!eviction.transactionId || !eviction.reason || !eviction.evictedAt || !eviction.signature) {
+        return res.status(400).json({ error: 'Eviction needs transactionId, reason, evictedAt and signature.' });
+    }
+    if (!signatures.verifyAuthoritySignature(signatures.evictionPayload(eviction), eviction.signature)) {
+        console.error(`Node ${network.myNodeUrl}: Rejected eviction of ${eviction.transactionId}: not signed by the regulatory authority.`);
+        return res.status(400).json({ error: 'Eviction is not signed by the regulatory authority.' });
+    }
+
+    try {
+        if (await db.isTransactionConfirmed(eviction.transactionId)) {
+            return res.status(409).json({ error: 'Transaction is already confirmed on chain.' });
+        }
+        const { removed } = await db.evictMempoolTransaction(eviction);
+        console.log(`Node ${network.myNodeUrl}: Applied eviction of ${eviction.transactionId} (${removed ? 'removed from mempool' : 'not in mempool'}).`);
+        res.status(200).json({ message: 'Eviction applied.', removed });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error applying eviction:`, error.message);
+        res.status(500).json({ error: 'Failed to apply eviction.' });
+    }
+});
+
+// GET /api/transactions/compliance
+// Lists the compliance verdicts this node recorded for confirmed transactions.
+// Optional query: ?compliant=false to list only violations, ?transactionId=<id>.
+router.get('/compliance', requireReader, async (req, res) => {
+    try {
+        const filters = { transactionId: req.query.transactionId };
+        if (req.query.compliant !== undefined) {
+            filters.compliant = req.query.compliant === 'true';
+        }
+        const flags = await db.getComplianceFlags(filters);
+        res.status(200).json({ flags });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error fetching compliance flags:`, error.message);
+        res.status(500).json({ error: 'Failed to retrieve compliance flags.' });
+    }
+});
+
+// GET /api/transactions/:id/proof
+// Merkle inclusion proof for a confirmed transaction: the block header plus the sibling-hash path
+// from the transaction's rowHash to the block's merkleRoot. Check it offline with merkle.verifyMerkleProof.
+router.get('/:id/proof', requireReader, async (req, res) => {
+    try {
+        const found = await db.getConfirmedTransactionWithBlock(req.params.id);
+        if (!found) {
+            return res.status(404).json({ error: 'Transaction is not confirmed on this node.' });
+        }
+        const { transaction, block } = found;
+        const leaves = block.transactions.map(tx => tx.rowHash);
+        const leafIndex = block.transactions.findIndex(tx => tx.transactionId === transaction.transactionId);
+        if (leafIndex === -1) {
+            return res.status(500).json({ error: 'Transaction is not listed in its block. Run GET /api/blocks/validate.' });
+        }
+
+        const { transactions, ...blockHeader } = block;
+        res.status(200).json({
+            transaction,
+            blockHeader,
+            leafIndex,
+            proof: merkle.buildMerkleProof(leaves, leafIndex)
+        });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error building merkle proof:`, error.message);
+        res.status(500).json({ error: 'Failed to build merkle proof.' });
+    }
+});
+
+// GET /api/transactions/:id
+// Where a transaction stands on this node: pending (with its age), confirmed (with its block and
+// confirmation depth, 1 = in the last block), evicted (with the regulator's reason) or unknown (404).
+router.get('/:id', requireReader, async (req, res) => {
+    const transactionId = req.params.id;
+    try {
+        const pending = await db.getMempoolTransaction(transactionId);
+        if (pending) {
+            return res.status(200).json({
+                status: 'pending',
+                transaction: pending,
+                ageMs: Date.now() - new Date(pending.receivedAt).getTime()
+            });
+        }
+
+        const confirmed = await db.getConfirmedTransactionWithBlock(transactionId);
+        if (confirmed) {
+            const lastBlock = await db.getLastBlock();
+            return res.status(200).json({
+                status: 'confirmed',
+                transaction: confirmed.transaction,
+                blockIndex: confirmed.block.blockIndex,
+                blockHash: confirmed.block.hash,
+                confirmations: lastBlock.blockIndex - confirmed.block.blockIndex + 1
+            });
+        }
+
+        const eviction = await db.getMempoolEviction(transactionId);
+        if (eviction) {
+            return res.status(200).json({ status: 'evicted', ...eviction });
+        }
+
+        res.status(404).json({ status: 'unknown', transactionId });
+    } catch (error) {
+        console.error(`Node ${network.myNodeUrl}: Error getting transaction status:`, error.message);
+        res.status(500).json({ error: 'Failed to get transaction status.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,125 @@
+// routes/webhooks.js
+// Webhook registration and delivery history (see webhooks.js). The regulator manages every webhook;
+// a project key only the webhooks of its own project.
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const network = require('./network');
+const webhooks = require('../webhooks');
+const { requireRole } = require('../auth');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// With auth disabled req.auth is null and every webhook is visible
+function ownProjId(req) {
+    return req.auth && req.auth.role === 'project' ? req.auth.projId : undefined;
+}
+
+// Loads the webhook of the request, answering 404 if it does not exist or belongs to another project.
+async function findWebhook(req, res) {
+    const webhook = await db.getWebhook(req.params.id);
+    const projId = ownProjId(req);
+    if (!webhook || (projId !== undefined && webhook.projId !== projId)) {
+        res.status(404).json({ error: `Webhook ${req.params.id} not found.` });
+        return null;
+    }
+    return webhook;
+}
+
+// POST /api/webhooks   body: { url, events: [...], projId?, stationID?, description? }
+// Answers 201 with the webhook and its secret. The secret is not shown again: store it to verify signatures.
+router.post('/', requireRole('regulator', 'project'), async (req, res) => {
+    const body = req.body || {};
+    const registration = {
+        url: body.url,
+        events: body.events,
+        projId: body.projId === undefined ? ownProjId(req) : String(body.projId),
+        stationID: body.stationID,
+        description: body.description
+    };
+    const projId = ownProjId(req);
+    if (projId !== undefined && registration.projId !== projId) {
+        return res.status(403).json({ error: `This key belongs to project ${projId}; it can only register webhooks for that project.` });
+    }
+    const error = webhooks.webhookError(registration);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const webhook = await webhooks.createWebhook(registration, req.auth ? req.auth.keyId : undefined);
+        res.status(201).json({ note: 'Webhook registered. Store the secret: it is not shown again.', webhook });
+    } catch (err) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error registering webhook: ${err.message}`);
+        res.status(500).json({ error: 'Failed to register webhook.', details: err.message });
+    }
+});
+
+// GET /api/webhooks?status=active|deleted
+router.get('/', requireRole('regulator', 'project'), async (req, res) => {
+    try {
+        res.status(200).json({ webhooks: await db.getWebhooks({ status: req.query.status, projId: ownProjId(req) }) });
+    } catch (err) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error listing webhooks: ${err.message}`);
+        res.status(500).json({ error: 'Failed to list webhooks.', details: err.message });
+    }
+});
+
+// GET /api/webhooks/:id
+router.get('/:id', requireRole('regulator', 'project'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (webhook) {
+            res.status(200).json({ webhook });
+        }
+    } catch (err) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error reading webhook: ${err.message}`);
+        res.status(500).json({ error: 'Failed to read webhook.', details: err.message });
+    }
+});
+
+// DELETE /api/webhooks/:id
+// Stops the webhook and cancels its pending deliveries; its delivery history stays queryable.
+router.delete('/:id', requireRole('regulator', 'project'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+        if (webhook.status === 'deleted') {
+            return res.status(409).json({ error: `Webhook ${webhook.id} is already deleted.` });
+        }
+        const cancelledDeliveries = await db.deleteWebhook(webhook.id);
+        console.log(`Node ${network.getMyNodeUrl()}: Deleted webhook ${webhook.id} (${cancelledDeliveries} pending deliveries cancelled).`);
+        res.status(200).json({ note: 'Webhook deleted.', webhookId: webhook.id, cancelledDeliveries });
+    } catch (err) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error deleting webhook: ${err.message}`);
+        res.status(500).json({ error: 'Failed to delete webhook.', details: err.message });
+    }
+});
+
+// GET /api/webhooks/:id/deliveries?status=pending|delivered|failed|cancelled&eventType=&limit=
+// Delivery history, newest first, with each payload and the outcome of its last attempt.
+router.get('/:id/deliveries', requireRole('regulator', 'project'), async (req, res) => {
+    const { status, eventType } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}.` });
+    }
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) {
+            return;
+        }
+        const deliveries = await db.getWebhookDeliveries({
+            webhookId: webhook.id,
+            status,
+            eventType,
+            limit: req.query.limit ? Math.min(Number(req.query.limit) || 100, 1000) : 100
+        });
+        res.status(200).json({ webhookId: webhook.id, deliveries });
+    } catch (err) {
+        console.error(`Node ${network.getMyNodeUrl()}: Error reading webhook deliveries: ${err.message}`);
+        res.status(500).json({ error: 'Failed to read webhook deliveries.', details: err.message });
+    }
+});
+
+module.exports = router;
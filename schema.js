@@ -0,0 +1,247 @@
+// schema.js
+// Declarative schema for reading payloads. Every field lists its type, whether it is required,
+// its unit and plausible range (for pollutants) and the alternative names clients may send.
+// normalizeReading renames aliases to the canonical names, so it must run before the signature check:
+// submitters sign the canonical payload (see signatures.readingPayload).
+
+// Spellings accepted for the one unit readings are reported in
+const MICROGRAMS_PER_CUBIC_METRE = ['µg/m³', 'μg/m³', 'ug/m3', 'µg/m3', 'μg/m3'];
+
+const READING_SCHEMA = {
+    submitterId: { type: 'string', required: true, maxLength: 128, aliases: ['submitterID', 'submitter_id'] },
+    stationID: { type: 'string', required: true, maxLength: 128, aliases: ['stationId', 'station_id'] },
+    SO2: { type: 'number', unit: 'µg/m³', min: 0, max: 2000, aliases: ['so2'] },
+    NO2: { type: 'number', unit: 'µg/m³', min: 0, max: 2000, aliases: ['no2'] },
+    PM10: { type: 'number', unit: 'µg/m³', min: 0, max: 5000, aliases: ['pm10'] },
+    PM2_5: { type: 'number', unit: 'µg/m³', min: 0, max: 3000, aliases: ['PM2.5', 'pm2.5', 'pm2_5', 'PM25', 'pm25'] }
+};
+
+// Fields that travel with a reading but are not part of the measurement.
+// transactionId, timestamp and projId are signed with the reading (see signatures.readingPayload),
+// so clients choose them and must send them.
+const SIGNED_SUBMISSION_FIELDS = ['transactionId', 'timestamp', 'projId'];
+const SUBMISSION_FIELDS = [...SIGNED_SUBMISSION_FIELDS, 'signature', 'publicKey', 'rawDataJson', 'units'];
+const TRANSACTION_FIELDS = ['txType', 'transactionId', 'timestamp', 'rowHash', 'rawDataJson', 'projId', 'signature', 'publicKey'];
+
+const TRANSACTION_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+const ALIASES = {};
+Object.entries(READING_SCHEMA).forEach(([field, rule]) => {
+    (rule.aliases || []).forEach(alias => { ALIASES[alias] = field; });
+});
+
+function checkField(field, value, rule) {
+    if (rule.type === 'string') {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return 'must be a non-empty string';
+        }
+        if (value.length > rule.maxLength) {
+            return `must be at most ${rule.maxLength} characters`;
+        }
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `must be a number (${rule.unit})`;
+    }
+    if (value < rule.min || value > rule.max) {
+        return `must be between ${rule.min} and ${rule.max} ${rule.unit}`;
+    }
+    return null;
+}
+
+/**
+ * Validates a reading against READING_SCHEMA and renames aliased fields (e.g. "PM2.5" -> PM2_5).
+ * @param {Object} input The request body (a submission) or a transaction broadcast by a peer.
+ * @param {Object} [options]
+ * @param {boolean} [options.transaction] True for transactions from peers, which also carry transactionId, rowHash...
+ * @returns {{reading: Object, errors: Array<{field: string, error: string}>}} The normalized reading and every field error.
+ */
+function normalizeReading(input, options = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { reading: null, errors: [{ field: '(body)', error: 'must be a JSON object' }] };
+    }
+    const extraFields = options.transaction ? TRANSACTION_FIELDS : SUBMISSION_FIELDS;
+    const reading = {};
+
+    Object.entries(input).forEach(([name, value]) => {
+        const field = canonicalField(name);
+        if (!field) {
+            if (extraFields.includes(name)) {
+                reading[name] = value;
+            } else {
+                errors.push({ field: name, error: 'is not a known field' });
+            }
+            return;
+        }
+        if (reading[field] !== undefined) {
+            errors.push({ field: name, error: `duplicates ${field}` });
+            return;
+        }
+        reading[field] = value;
+    });
+
+    Object.entries(READING_SCHEMA).forEach(([field, rule]) => {
+        const value = reading[field];
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ field, error: 'is required' });
+            }
+            return;
+        }
+        const error = checkField(field, value, rule);
+        if (error) {
+            errors.push({ field, error });
+        }
+    });
+
+    // A station reports the pollutants it measures (see the registry), so none is required on its own
+    const pollutants = Object.keys(READING_SCHEMA).filter(field => READING_SCHEMA[field].unit);
+    if (pollutants.every(field => reading[field] === undefined || reading[field] === null)) {
+        errors.push({ field: '(pollutants)', error: `at least one of ${pollutants.join(', ')} is required` });
+    }
+
+    if (!options.transaction) {
+        SIGNED_SUBMISSION_FIELDS.forEach(field => {
+            if (reading[field] === undefined || reading[field] === null) {
+                errors.push({ field, error: 'is required' });
+            }
+        });
+    }
+    if (reading.transactionId != null && (typeof reading.transactionId !== 'string' || !TRANSACTION_ID.test(reading.transactionId))) {
+        errors.push({ field: 'transactionId', error: 'must be 1 to 64 letters, digits, "-" or "_"' });
+    }
+    if (reading.projId != null && (typeof reading.projId !== 'string' || reading.projId.trim() === '')) {
+        errors.push({ field: 'projId', error: 'must be a non-empty string' });
+    }
+
+    // Timestamps are compared as strings (compliance windows, range queries), so only the canonical
+    // form produced by Date.prototype.toISOString is accepted
+    if (reading.timestamp != null && !isIsoTimestamp(reading.timestamp)) {
+        errors.push({ field: 'timestamp', error: 'must be an ISO 8601 UTC time such as 2024-01-01T00:00:00.000Z' });
+    }
+
+    // Registry entries (see registry.js) only reach other nodes inside blocks
+    if (reading.txType !== undefined && reading.txType !== 'reading') {
+        errors.push({ field: 'txType', error: 'must be "reading"' });
+    }
+
+    // Optional declaration of units, e.g. { "units": { "SO2": "ug/m3" } }: it must match the schema
+    if (reading.units !== undefined) {
+        if (!reading.units || typeof reading.units !== 'object' || Array.isArray(reading.units)) {
+            errors.push({ field: 'units', error: 'must be an object of field -> unit' });
+        } else {
+            Object.entries(reading.units).forEach(([name, unit]) => {
+                const field = canonicalField(name);
+                if (!field || !READING_SCHEMA[field].unit) {
+                    errors.push({ field: `units.${name}`, error: 'is not a pollutant' });
+                } else if (!MICROGRAMS_PER_CUBIC_METRE.includes(unit)) {
+                    errors.push({ field: `units.${name}`, error: `must be ${READING_SCHEMA[field].unit}, got "${unit}"` });
+                }
+            });
+        }
+        delete reading.units; // Units are checked, not stored
+    }
+
+    return { reading, errors };
+}
+
+/**
+ * Whether a value is a valid time in the form Date.prototype.toISOString produces, e.g. 2024-01-01T00:00:00.000Z.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIsoTimestamp(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value)) {
+        return false;
+    }
+    const time = new Date(value);
+    return !Number.isNaN(time.getTime()) && time.toISOString() === value;
+}
+
+/**
+ * The canonical name of a reading field, e.g. "PM2.5" -> "PM2_5".
+ * @param {string} name A field name or alias.
+ * @returns {string|undefined} Undefined if it is not a reading field.
+ */
+function canonicalField(name) {
+    return READING_SCHEMA[name] ? name : ALIASES[name];
+}
+
+/**
+ * Parses CSV readings with a header row into one object per line. Supports quoted fields ("a,b", "say ""hi"""),
+ * turns pollutant values into numbers and leaves empty cells out. Column names are kept as they are.
+ * @param {string} text The CSV text.
+ * @returns {Array<Object>} One reading per non-empty line, in file order.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    const [header = [], ...lines] = rows.filter(line => line.some(value => value.trim() !== ''));
+    const columns = header.map(column => column.trim());
+    return lines.map(line => {
+        const reading = {};
+        columns.forEach((column, i) => {
+            const value = (line[i] || '').trim();
+            if (value === '') {
+                return; // Empty cell: the field is left out, as in a JSON reading without it
+            }
+            const field = canonicalField(column);
+            const isNumber = field && READING_SCHEMA[field].type === 'number';
+            reading[column] = isNumber && !Number.isNaN(Number(value)) ? Number(value) : value;
+        });
+        return reading;
+    });
+}
+
+/**
+ * Formats field errors as one line, e.g. "PM10 must be a number (µg/m³); SO2 is required".
+ * @param {Array<{field: string, error: string}>} errors
+ * @returns {string}
+ */
+function describeErrors(errors) {
+    return errors.map(({ field, error }) => `${field} ${error}`).join('; ');
+}
+
+module.exports = {
+    READING_SCHEMA,
+    canonicalField,
+    normalizeReading,
+    isIsoTimestamp,
+    describeErrors,
+    parseCsv
+};
@@ -0,0 +1,61 @@
+// scripts/api-keys.js
+// Issues and revokes API keys (see auth.js). Restart the nodes afterwards so they load the change.
+//
+//   node scripts/api-keys.js issue <keyId> <regulator|project|auditor|node> [projId] [keysFile]
+//       Creates a key, stores its hash in config/api-keys.json (or keysFile) and prints the key.
+//       The key is not stored and cannot be shown again. Project keys need the projId they submit for.
+//
+//   node scripts/api-keys.js revoke <keyId> [keysFile]
+//
+//   node scripts/api-keys.js list [keysFile]
+const fs = require('fs');
+const path = require('path');
+const auth = require('../auth');
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, '..', 'config', 'api-keys.json');
+const [command, ...args] = process.argv.slice(2);
+
+function readKeys(keysFile) {
+    return fs.existsSync(keysFile) ? JSON.parse(fs.readFileSync(keysFile, 'utf8')) : {};
+}
+
+function writeKeys(keysFile, keys) {
+    fs.writeFileSync(keysFile, JSON.stringify(keys, null, 4) + '\n');
+}
+
+if (command === 'issue') {
+    const [keyId, role] = args;
+    const projId = role === 'project' ? args[2] : undefined;
+    const keysFile = args[role === 'project' ? 3 : 2] || DEFAULT_KEYS_FILE;
+    if (!keyId || !auth.ROLES.includes(role) || (role === 'project' && !projId)) {
+        console.error(`Usage: node scripts/api-keys.js issue <keyId> <${auth.ROLES.join('|')}> [projId] [keysFile]  (projId is required for project keys)`);
+        process.exit(1);
+    }
+    const keys = readKeys(keysFile);
+    if (keys[keyId]) {
+        console.error(`Key "${keyId}" already exists. Revoke it first to issue a new one.`);
+        process.exit(1);
+    }
+    const { key, hash } = auth.generateApiKey();
+    keys[keyId] = { role, ...(projId !== undefined && { projId: String(projId) }), hash, createdAt: new Date().toISOString() };
+    writeKeys(keysFile, keys);
+    console.log(JSON.stringify({ keyId, role, projId, key }, null, 4));
+} else if (command === 'revoke') {
+    const [keyId, keysFile = DEFAULT_KEYS_FILE] = args;
+    const keys = readKeys(keysFile);
+    if (!keyId || !keys[keyId]) {
+        console.error(`Usage: node scripts/api-keys.js revoke <keyId> [keysFile]  (known keys: ${Object.keys(keys).join(', ') || 'none'})`);
+        process.exit(1);
+    }
+    delete keys[keyId];
+    writeKeys(keysFile, keys);
+    console.log(`Revoked key "${keyId}".`);
+} else if (command === 'list') {
+    const [keysFile = DEFAULT_KEYS_FILE] = args;
+    Object.entries(readKeys(keysFile)).forEach(([keyId, entry]) => {
+        console.log(`${keyId}\t${entry.role}${entry.projId !== undefined ? `\tprojId ${entry.projId}` : ''}\tcreated ${entry.createdAt || 'unknown'}`);
+    });
+} else {
+    console.error('Usage: node scripts/api-keys.js <issue|revoke|list> ...');
+    process.exit(1);
+}
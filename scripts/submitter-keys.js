@@ -0,0 +1,52 @@
+// scripts/submitter-keys.js
+// Helper for submitters' Ed25519 keys.
+//
+//   node scripts/submitter-keys.js generate <submitterId> [keysFile]
+//       Creates a keypair, registers the public key in config/submitter-keys.json (or keysFile)
+//       and prints the keypair. Keep the private key with the submitter.
+//
+//   node scripts/submitter-keys.js sign <privateKey> '<reading json>'
+//       Prints the reading with its signature and publicKey, ready to POST to /api/transactions/submit.
+//       The reading must include the projId of the node it is submitted to; a transactionId and the
+//       current time as timestamp are added if it has none.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const signatures = require('../signatures');
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === 'generate') {
+    const [submitterId, keysFile = path.join(__dirname, '..', 'config', 'submitter-keys.json')] = args;
+    if (!submitterId) {
+        console.error('Usage: node scripts/submitter-keys.js generate <submitterId> [keysFile]');
+        process.exit(1);
+    }
+    const keyPair = signatures.generateKeyPair();
+    const registered = fs.existsSync(keysFile) ? JSON.parse(fs.readFileSync(keysFile, 'utf8')) : {};
+    registered[submitterId] = [...(registered[submitterId] || []), keyPair.publicKey];
+    fs.writeFileSync(keysFile, JSON.stringify(registered, null, 4) + '\n');
+    console.log(JSON.stringify({ submitterId, ...keyPair }, null, 4));
+} else if (command === 'sign') {
+    const [privateKey, readingJson] = args;
+    if (!privateKey || !readingJson) {
+        console.error(`Usage: node scripts/submitter-keys.js sign <privateKey> '<reading json>'`);
+        process.exit(1);
+    }
+    const reading = {
+        transactionId: crypto.randomUUID().split('-').join(''),
+        timestamp: new Date().toISOString(),
+        ...JSON.parse(readingJson)
+    };
+    if (reading.projId === undefined) {
+        console.error('The reading needs the projId of the node it will be submitted to, e.g. "projId": "1".');
+        process.exit(1);
+    }
+    const publicKey = crypto.createPublicKey(crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' }))
+        .export({ type: 'spki', format: 'der' }).toString('base64');
+    const signature = signatures.sign(signatures.readingPayload(reading), privateKey);
+    console.log(JSON.stringify({ ...reading, signature, publicKey }));
+} else {
+    console.error('Usage: node scripts/submitter-keys.js <generate|sign> ...');
+    process.exit(1);
+}
@@ -0,0 +1,283 @@
+// signatures.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SUBMITTER_KEYS_FILE = path.join(__dirname, 'config', 'submitter-keys.json');
+const DEFAULT_AUTHORITY_PRIVATE_KEY_FILE = path.join(__dirname, 'config', 'authority.key');
+const DEFAULT_AUTHORITY_PUBLIC_KEY_FILE = path.join(__dirname, 'config', 'authority.pub');
+
+// Every field of the signed payload, in payload order. transactionId, timestamp and projId are chosen and signed
+// by the client, so a signed reading cannot be submitted again under a new ID or to another project.
+const READING_FIELDS = ['transactionId', 'timestamp', 'projId', 'submitterId', 'stationID', 'SO2', 'NO2', 'PM10', 'PM2_5'];
+
+let submitterKeys = null;
+let authorityPrivateKey = null; // Only set on the RegAuth node
+let authorityPublicKey = null;
+
+/**
+ * Generates an Ed25519 keypair.
+ * Keys are returned as base64 DER strings (SPKI for the public key, PKCS#8 for the private key),
+ * which is the format used everywhere in this project (config files, requests, database columns).
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+function generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+    };
+}
+
+function toPublicKeyObject(publicKey) {
+    return crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+}
+
+function toPrivateKeyObject(privateKey) {
+    return crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+}
+
+/**
+ * Signs a message with an Ed25519 private key.
+ * @param {string} message The exact string to sign.
+ * @param {string} privateKey Base64 PKCS#8 DER private key.
+ * @returns {string} Base64 signature.
+ */
+function sign(message, privateKey) {
+    return crypto.sign(null, Buffer.from(message), toPrivateKeyObject(privateKey)).toString('base64');
+}
+
+/**
+ * Verifies an Ed25519 signature. Malformed keys or signatures count as invalid.
+ * @param {string} message The exact string that was signed.
+ * @param {string} signature Base64 signature.
+ * @param {string} publicKey Base64 SPKI DER public key.
+ * @returns {boolean}
+ */
+function verify(message, signature, publicKey) {
+    try {
+        return crypto.verify(null, Buffer.from(message), toPublicKeyObject(publicKey), Buffer.from(signature, 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Builds the canonical reading payload. This string is stored as raw_data_json,
+ * hashed into rowHash and signed by the submitter, so field order matters.
+ * @param {Object} reading { transactionId, timestamp, projId, submitterId, stationID, SO2, NO2, PM10, PM2_5 }
+ * @returns {string}
+ */
+function readingPayload(reading) {
+    const payload = {};
+    READING_FIELDS.forEach(field => { payload[field] = reading[field]; });
+    return JSON.stringify(payload);
+}
+
+/**
+ * Loads the registered submitter public keys: { "<submitterId>": ["<base64 public key>", ...] }.
+ * @param {string} [filePath] Defaults to config/submitter-keys.json.
+ */
+function loadSubmitterKeys(filePath) {
+    const keysFile = filePath || DEFAULT_SUBMITTER_KEYS_FILE;
+    const parsed = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    Object.entries(parsed).forEach(([submitterId, keys]) => {
+        if (!Array.isArray(keys)) {
+            throw new Error(`Signatures Module: Keys for submitter "${submitterId}" must be an array.`);
+        }
+    });
+    submitterKeys = parsed;
+    console.log(`Signatures Module: Loaded keys for ${Object.keys(parsed).length} submitters from ${keysFile}`);
+    return submitterKeys;
+}
+
+function isKeyRegistered(submitterId, publicKey) {
+    if (!submitterKeys) {
+        loadSubmitterKeys();
+    }
+    const keys = submitterKeys[submitterId];
+    return Array.isArray(keys) && keys.includes(publicKey);
+}
+
+/**
+ * Checks whether a string is a usable Ed25519 public key (base64 SPKI DER).
+ * @param {string} publicKey
+ * @returns {boolean}
+ */
+function isValidPublicKey(publicKey) {
+    try {
+        return typeof publicKey === 'string' && toPublicKeyObject(publicKey).asymmetricKeyType === 'ed25519';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks that a transaction is signed by a key registered for its submitter in the submitter keys file.
+ * Once the on-chain registry has entries, registry.js checks the key against the registry instead.
+ * @param {Object} tx A transaction with submitterId, rawDataJson, signature and publicKey.
+ * @returns {string|null} The reason the transaction is rejected, or null if the signature is valid.
+ */
+function verifyTransactionSignature(tx) {
+    if (tx.publicKey && !isKeyRegistered(tx.submitterId, tx.publicKey)) {
+        return `Public key is not registered for submitter ${tx.submitterId}.`;
+    }
+    return verifyReadingSignature(tx);
+}
+
+/**
+ * Lists the reading fields whose value on the transaction differs from its payload (rawDataJson).
+ * @param {Object} tx A reading transaction with its fields and rawDataJson.
+ * @returns {Array<string>|null} The mismatched fields (empty if they all match), or null if rawDataJson is not valid JSON.
+ */
+function mismatchedReadingFields(tx) {
+    let signedData;
+    try {
+        signedData = JSON.parse(tx.rawDataJson);
+    } catch (error) {
+        return null;
+    }
+    if (!signedData || typeof signedData !== 'object') {
+        return null;
+    }
+    return READING_FIELDS.filter(field => (signedData[field] ?? null) !== (tx[field] ?? null));
+}
+
+/**
+ * Checks that a reading's columns match its signed payload and that tx.publicKey signed it.
+ * Does not check whose key it is.
+ * @param {Object} tx A transaction with the reading fields, rawDataJson, signature and publicKey.
+ * @returns {string|null} The reason the transaction is rejected, or null if the signature is valid.
+ */
+function verifyReadingSignature(tx) {
+    if (!tx.signature || !tx.publicKey) {
+        return 'Transaction is not signed (signature and publicKey are required).';
+    }
+    // The stored columns must say the same thing as the signed payload
+    const mismatched = mismatchedReadingFields(tx);
+    if (!mismatched) {
+        return 'rawDataJson is not valid JSON.';
+    }
+    if (mismatched.length > 0) {
+        return `Fields do not match the signed payload: ${mismatched.join(', ')}.`;
+    }
+    if (!verify(tx.rawDataJson, tx.signature, tx.publicKey)) {
+        return 'Signature verification failed.';
+    }
+    return null;
+}
+
+/**
+ * Loads the RegAuth (authority) keys used to sign and verify blocks.
+ * RegAuth loads its private key, creating a new keypair on first start if none exists.
+ * Project nodes only load the public key and cannot start without it.
+ * @param {boolean} isRegulator Whether this node is RegAuth.
+ * @param {Object} [files] Optional { privateKeyFile, publicKeyFile }.
+ */
+function loadAuthorityKeys(isRegulator, files = {}) {
+    const privateKeyFile = files.privateKeyFile || DEFAULT_AUTHORITY_PRIVATE_KEY_FILE;
+    const publicKeyFile = files.publicKeyFile || DEFAULT_AUTHORITY_PUBLIC_KEY_FILE;
+
+    if (isRegulator) {
+        if (!fs.existsSync(privateKeyFile)) {
+            const keyPair = generateKeyPair();
+            fs.writeFileSync(privateKeyFile, keyPair.privateKey + '\n', { mode: 0o600 });
+            fs.writeFileSync(publicKeyFile, keyPair.publicKey + '\n');
+            console.log(`Signatures Module: Created authority keypair. Private key: ${privateKeyFile}, public key: ${publicKeyFile}`);
+        }
+        authorityPrivateKey = fs.readFileSync(privateKeyFile, 'utf8').trim();
+        authorityPublicKey = crypto.createPublicKey(toPrivateKeyObject(authorityPrivateKey))
+            .export({ type: 'spki', format: 'der' }).toString('base64');
+    } else {
+        if (!fs.existsSync(publicKeyFile)) {
+            throw new Error(`Signatures Module: Authority public key not found at ${publicKeyFile}. Copy RegAuth's authority.pub there.`);
+        }
+        authorityPublicKey = fs.readFileSync(publicKeyFile, 'utf8').trim();
+    }
+    console.log(`Signatures Module: Authority public key loaded (${authorityPublicKey}).`);
+}
+
+/**
+ * Signs a block header as RegAuth. The block hash already covers every header field,
+ * so the signature is made over the hash.
+ * @param {Object} block A block with its hash set.
+ * @returns {string} Base64 signature.
+ */
+function signBlock(block) {
+    return signAsAuthority(block.hash);
+}
+
+/**
+ * Checks a block's authority signature against RegAuth's public key.
+ * @param {Object} block A block with hash and signature.
+ * @returns {boolean}
+ */
+function verifyBlockSignature(block) {
+    return verifyAuthoritySignature(block.hash, block.signature);
+}
+
+/**
+ * Signs any message as RegAuth (blocks, mempool evictions, registry entries).
+ * @param {string} message The exact string to sign.
+ * @returns {string} Base64 signature.
+ */
+function signAsAuthority(message) {
+    if (!authorityPrivateKey) {
+        throw new Error('Signatures Module: Only RegAuth can sign as the authority (authority private key not loaded).');
+    }
+    return sign(message, authorityPrivateKey);
+}
+
+/**
+ * Checks a signature made with signAsAuthority against RegAuth's public key.
+ * @param {string} message The exact string that was signed.
+ * @param {string} signature Base64 signature.
+ * @returns {boolean}
+ */
+function verifyAuthoritySignature(message, signature) {
+    if (!authorityPublicKey) {
+        throw new Error('Signatures Module: Authority public key not loaded. Call loadAuthorityKeys() first.');
+    }
+    return Boolean(signature) && verify(message, signature, authorityPublicKey);
+}
+
+/**
+ * RegAuth's public key (base64 SPKI DER), as loaded by loadAuthorityKeys.
+ * @returns {string|null}
+ */
+function getAuthorityPublicKey() {
+    return authorityPublicKey;
+}
+
+/**
+ * Builds the canonical message RegAuth signs when it evicts a pending transaction.
+ * @param {Object} eviction { transactionId, reason, evictedAt }
+ * @returns {string}
+ */
+function evictionPayload(eviction) {
+    return JSON.stringify({
+        transactionId: eviction.transactionId,
+        reason: eviction.reason,
+        evictedAt: eviction.evictedAt
+    });
+}
+
+module.exports = {
+    generateKeyPair,
+    sign,
+    verify,
+    readingPayload,
+    loadSubmitterKeys,
+    isKeyRegistered,
+    isValidPublicKey,
+    verifyTransactionSignature,
+    verifyReadingSignature,
+    mismatchedReadingFields,
+    loadAuthorityKeys,
+    signBlock,
+    verifyBlockSignature,
+    signAsAuthority,
+    verifyAuthoritySignature,
+    getAuthorityPublicKey,
+    evictionPayload
+};
@@ -0,0 +1,60 @@
+// test/aqi.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const aqi = require('../aqi');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aqi-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeTable(name, table) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, JSON.stringify(table));
+    return file;
+}
+
+const band = (concLow, concHigh, indexLow, indexHigh) => ({ concLow, concHigh, indexLow, indexHigh });
+
+test('the shipped table interpolates inside a band', () => {
+    aqi.loadBreakpoints();
+    assert.deepEqual(aqi.subIndex('PM2_5', 45), { subIndex: 75, category: 'Satisfactory', beyondScale: false });
+    assert.deepEqual(aqi.subIndex('PM2_5', 0), { subIndex: 0, category: 'Good', beyondScale: false });
+    assert.deepEqual(aqi.subIndex('PM2_5', 30), { subIndex: 50, category: 'Good', beyondScale: false });
+});
+
+test('a value between two whole-number bands belongs to the next band', () => {
+    aqi.loadBreakpoints();
+    assert.deepEqual(aqi.subIndex('PM2_5', 30.5), { subIndex: 51, category: 'Satisfactory', beyondScale: false });
+});
+
+test('a value above the last band is capped and flagged beyondScale', () => {
+    aqi.loadBreakpoints();
+    assert.deepEqual(aqi.subIndex('PM2_5', 900), { subIndex: 500, category: 'Severe', beyondScale: true });
+});
+
+test('a pollutant without breakpoints has no sub-index', () => {
+    aqi.loadBreakpoints(writeTable('pm10-only.json', {
+        scale: 'test',
+        categories: [{ name: 'Low', indexLow: 0, indexHigh: 100 }],
+        pollutants: { PM10: { averagingWindow: '24h', breakpoints: [band(0, 100, 0, 100)] } }
+    }));
+    assert.equal(aqi.subIndex('SO2', 10), null);
+    assert.deepEqual(aqi.subIndex('PM10', 25), { subIndex: 25, category: 'Low', beyondScale: false });
+});
+
+test('invalid tables are rejected with the reason', () => {
+    const categories = [{ name: 'Any', indexLow: 0, indexHigh: 500 }];
+    const cases = [
+        [{ pollutants: {} }, /needs "categories" and "pollutants"/],
+        [{ categories, pollutants: { CO: { breakpoints: [band(0, 1, 0, 1)] } } }, /Unknown pollutant "CO"/],
+        [{ categories, pollutants: { SO2: { breakpoints: [] } } }, /SO2.breakpoints must be a non-empty array/],
+        [{ categories, pollutants: { SO2: { breakpoints: [band(10, 5, 0, 50)] } } }, /SO2.breakpoints\[0\] needs numeric/],
+        [{ categories, pollutants: { SO2: { breakpoints: [band(0, 50, 0, 50), band(40, 80, 51, 100)] } } }, /ascending, non-overlapping/],
+        [{ categories, pollutants: { SO2: { averagingWindow: '1 week', breakpoints: [band(0, 50, 0, 50)] } } }, /Invalid averaging window/]
+    ];
+    cases.forEach(([table, message], i) => {
+        assert.throws(() => aqi.loadBreakpoints(writeTable(`invalid-${i}.json`, table)), message);
+    });
+});
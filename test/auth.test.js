@@ -0,0 +1,116 @@
+// test/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const auth = require('../auth');
+
+// One key per role, as scripts/api-keys.js issues them
+const keys = {
+    regulator: auth.generateApiKey(),
+    project1: auth.generateApiKey(),
+    project2: auth.generateApiKey(),
+    auditor: auth.generateApiKey(),
+    node: auth.generateApiKey()
+};
+
+test.before(() => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const keysFile = path.join(tmpDir, 'api-keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify({
+        regulator: { role: 'regulator', hash: keys.regulator.hash },
+        project1: { role: 'project', projId: '1', hash: keys.project1.hash },
+        project2: { role: 'project', projId: 2, hash: keys.project2.hash },
+        auditor: { role: 'auditor', hash: keys.auditor.hash },
+        node: { role: 'node', hash: keys.node.hash }
+    }));
+    auth.loadApiKeys(keysFile);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function useAuth(enabled) {
+    loadConfig(['--proj-id', '1', ...(enabled ? ['--auth', 'true', '--node-token', 'secret'] : [])], {});
+}
+
+// Runs the middlewares like Express would and returns { status, body } of the answer, or 'next' if they all passed
+function call(middlewares, headers = {}) {
+    const req = { get: name => headers[name.toLowerCase()] };
+    let answer = 'next';
+    const res = {
+        status(code) {
+            answer = { status: code };
+            return this;
+        },
+        json(body) {
+            answer.body = body;
+        }
+    };
+    for (const middleware of middlewares) {
+        let passed = false;
+        middleware(req, res, () => { passed = true; });
+        if (!passed) {
+            return answer;
+        }
+    }
+    return answer;
+}
+
+const bearer = name => ({ authorization: `Bearer ${keys[name].key}` });
+
+test('with auth disabled every route stays open', () => {
+    useAuth(false);
+    assert.equal(call([auth.authenticate, auth.requireRole('regulator')]), 'next');
+    assert.equal(call([auth.authenticate, auth.requireOwnProject], { authorization: 'Bearer unknown' }), 'next');
+    assert.deepEqual(auth.nodeHeaders(), {});
+});
+
+test('keys are identified by their hash and unknown keys are refused everywhere', () => {
+    useAuth(true);
+    assert.equal(call([auth.authenticate, auth.requireReader], bearer('auditor')), 'next');
+    assert.equal(call([auth.authenticate, auth.requireReader], { 'x-api-key': keys.auditor.key }), 'next');
+    assert.equal(call([auth.authenticate], { authorization: `Bearer ${keys.auditor.hash}` }).status, 401);
+    assert.equal(call([auth.authenticate, auth.requireReader]).status, 401);
+});
+
+test('each role reaches only its endpoints', () => {
+    useAuth(true);
+    const mine = [auth.authenticate, auth.requireRole('regulator')];
+    assert.equal(call(mine, bearer('regulator')), 'next');
+    for (const name of ['project1', 'auditor', 'node']) {
+        const answer = call(mine, bearer(name));
+        assert.equal(answer.status, 403, name);
+        assert.match(answer.body.error, /needs one of the roles: regulator/);
+    }
+    assert.equal(call([auth.authenticate, auth.requireRole('node')], bearer('node')), 'next');
+    for (const name of Object.keys(keys)) {
+        assert.equal(call([auth.authenticate, auth.requireReader], bearer(name)), 'next', name);
+    }
+});
+
+test('readings are submitted only with a key for this node\'s project', () => {
+    useAuth(true);
+    const submit = [auth.authenticate, auth.requireOwnProject];
+    assert.equal(call(submit, bearer('project1')), 'next');
+    assert.match(call(submit, bearer('project2')).body.error, /belongs to project 2; this node submits for project 1/);
+    assert.equal(call(submit, bearer('regulator')).status, 403);
+    assert.equal(call(submit).status, 401);
+    assert.deepEqual(auth.nodeHeaders(), { Authorization: 'Bearer secret' });
+});
+
+test('keys without a valid role are refused when loading', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const keysFile = path.join(tmpDir, 'api-keys.json');
+    try {
+        fs.writeFileSync(keysFile, JSON.stringify({ admin: { role: 'admin', hash: 'x' } }));
+        assert.throws(() => auth.loadApiKeys(keysFile), /needs a role/);
+        fs.writeFileSync(keysFile, JSON.stringify({ p: { role: 'project', hash: 'x' } }));
+        assert.throws(() => auth.loadApiKeys(keysFile), /needs a projId/);
+        // The keys loaded before stay in use
+        useAuth(true);
+        assert.equal(call([auth.authenticate, auth.requireReader], bearer('auditor')), 'next');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,398 @@
+// test/cluster.test.js
+// Integration tests: runs a local network with cluster.js and drives it over the HTTP API.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { startCluster } = require('../cluster');
+const schema = require('../schema');
+const signatures = require('../signatures');
+const { calculateMerkleRoot, verifyMerkleProof } = require('../merkle');
+const { calculateBlockHash } = require('../routes/blocks');
+
+// Blocks are sealed half a second after a reading reaches RegAuth's mempool
+const NODE_ARGS = ['--block-max-wait-ms', '500', '--mining-interval-ms', '300'];
+const TEST_TIMEOUT_MS = 90 * 1000;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls check() until it returns a truthy value
+async function eventually(description, check, timeoutMs = 30 * 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        await delay(250);
+    }
+    assert.fail(`Timed out waiting for ${description}.`);
+}
+
+// The response of a request that must fail with the given status
+async function rejection(request, status) {
+    const error = await request.then(() => assert.fail(`Expected HTTP ${status}.`), error => error);
+    assert.ok(error.response, error.message);
+    assert.equal(error.response.status, status, JSON.stringify(error.response.data));
+    return error.response.data;
+}
+
+// A signed reading for a node's project, as cluster.submit sends it
+function signedReading(cluster, node, fields) {
+    const { reading, errors } = schema.normalizeReading({
+        transactionId: crypto.randomUUID().split('-').join(''),
+        timestamp: new Date().toISOString(),
+        projId: node.projId,
+        ...fields
+    });
+    assert.deepEqual(errors, []);
+    const keyPair = cluster.submitters[reading.submitterId];
+    return { ...reading, signature: signatures.sign(signatures.readingPayload(reading), keyPair.privateKey), publicKey: keyPair.publicKey };
+}
+
+async function getData(node, url, params) {
+    return (await axios.get(`${node.url}${url}`, { params })).data;
+}
+
+// The events of a type still buffered on a node, read from GET /api/events
+async function bufferedEvents(node, type) {
+    const response = await axios.get(`${node.url}/events`, { params: { types: type, lastEventId: 0 }, responseType: 'stream' });
+    let text = '';
+    response.data.on('data', chunk => { text += chunk; });
+    await delay(500);
+    response.data.destroy();
+    return text.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+}
+
+describe('a running network', () => {
+    let cluster;
+    let projA;
+    let projB;
+
+    before(async () => {
+        cluster = await startCluster({ projects: 2, submitters: ['M1'], nodeArgs: NODE_ARGS });
+        [projA, projB] = cluster.projects;
+    });
+
+    after(async () => {
+        if (cluster) {
+            await cluster.stop();
+        }
+    });
+
+    test('a submitted reading is mined and reaches every node', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const tx = await cluster.submit(projA, { submitterId: 'M1', stationID: 'S1', SO2: 12, PM10: 30 });
+        const confirmed = await cluster.waitForTransaction(tx.transactionId);
+        assert.equal(JSON.parse(confirmed.transaction.rawDataJson).SO2, 12);
+        assert.equal(confirmed.transaction.rowHash, tx.rowHash);
+
+        for (const node of cluster.projects) {
+            const status = await cluster.waitForTransaction(tx.transactionId, { node });
+            assert.equal(status.blockHash, confirmed.blockHash);
+        }
+
+        const { transaction, blockHeader, proof } = await getData(projB, `/transactions/${tx.transactionId}/proof`);
+        assert.equal(verifyMerkleProof(transaction.rowHash, proof, blockHeader.merkleRoot), true);
+        for (const node of cluster.nodes) {
+            assert.equal((await getData(node, '/blocks/validate')).valid, true, node.name);
+        }
+    });
+
+    test('concurrent requests to mine seal one block after the other', { timeout: TEST_TIMEOUT_MS }, async () => {
+        await cluster.submit(projB, { submitterId: 'M1', stationID: 'S1', PM10: 21 });
+        await delay(600); // Old enough for a partial block
+        const responses = await Promise.all([1, 2, 3].map(() => axios.post(`${cluster.regAuth.url}/blocks/mine`)));
+        assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+        assert.equal((await getData(cluster.regAuth, '/blocks/validate')).valid, true);
+    });
+
+    test('readings with an invalid signature are rejected', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const submitUrl = `${projA.url}/transactions/submit`;
+        const reading = signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S1', SO2: 12 });
+
+        await rejection(axios.post(submitUrl, { ...reading, SO2: 13 }), 400);
+        await rejection(axios.post(submitUrl, { ...reading, transactionId: `${reading.transactionId}x` }), 400);
+        const otherKey = signatures.generateKeyPair();
+        const unregistered = { ...reading, signature: signatures.sign(signatures.readingPayload(reading), otherKey.privateKey), publicKey: otherKey.publicKey };
+        await rejection(axios.post(submitUrl, unregistered), 400);
+
+        // The untouched reading is accepted once, then refused as a replay
+        await axios.post(submitUrl, reading);
+        await rejection(axios.post(submitUrl, reading), 409);
+        // ...and still refused once it is on chain and no longer in the mempool
+        await cluster.waitForTransaction(reading.transactionId, { node: projA });
+        const body = await rejection(axios.post(submitUrl, reading), 409);
+        assert.match(body.error, /already confirmed on chain/);
+    });
+
+    test('confirmed readings are paged with a cursor, without gaps or repeats', { timeout: TEST_TIMEOUT_MS }, async () => {
+        // Readings with the same timestamp are ordered by their insertion order
+        const timestamp = new Date().toISOString();
+        const readings = [1, 2, 3, 4, 5].map(PM10 => signedReading(cluster, projA, { submitterId: 'M1', stationID: 'PAGES', PM10, timestamp }));
+        for (const reading of readings) {
+            await axios.post(`${projA.url}/transactions/submit`, reading);
+        }
+        for (const reading of readings) {
+            await cluster.waitForTransaction(reading.transactionId, { node: projA });
+        }
+
+        const pageThrough = async sort => {
+            const ids = [];
+            let cursor;
+            do {
+                const page = await getData(projA, '/transactions', { stationID: 'PAGES', limit: 2, sort, cursor });
+                assert.equal(page.count, page.transactions.length);
+                assert.ok(page.count <= 2);
+                ids.push(...page.transactions.map(tx => tx.transactionId));
+                cursor = page.nextCursor;
+            } while (cursor);
+            return ids;
+        };
+        const newestFirst = await pageThrough(undefined);
+        assert.deepEqual([...newestFirst].sort(), readings.map(reading => reading.transactionId).sort());
+        assert.deepEqual(await pageThrough('asc'), [...newestFirst].reverse());
+
+        const invalid = await rejection(axios.get(`${projA.url}/transactions`, { params: { cursor: 'not-a-cursor', limit: 0 } }), 400);
+        assert.deepEqual(invalid.details, ['limit must be an integer from 1 to 1000.', 'cursor is invalid.']);
+    });
+
+    test('the export streams every matching reading with what is needed to check it', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const stationID = 'EXPORT, "North"'; // Needs quoting in CSV
+        const readings = [];
+        for (const SO2 of [1, 2, 3]) {
+            readings.push(await cluster.submit(projA, { submitterId: 'M1', stationID, SO2 }));
+        }
+        for (const reading of readings) {
+            await cluster.waitForTransaction(reading.transactionId, { node: projA });
+        }
+        const exportAs = async format => (await axios.get(`${projA.url}/transactions/export`, { params: { format, stationID, sort: 'asc' }, responseType: 'text' })).data;
+
+        const rows = (await exportAs('ndjson')).trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(rows.map(row => row.transactionId), readings.map(reading => reading.transactionId));
+        for (const row of rows) {
+            assert.equal(crypto.createHash('sha256').update(row.transactionId + row.timestamp + row.rawDataJson).digest('hex'), row.rowHash);
+            assert.equal((await cluster.getBlock(row.blockIndex, projA)).hash, row.blockHash);
+        }
+        const csv = await exportAs('csv');
+        assert.equal(csv.split('\n')[0], 'blockIndex,blockHash,merkleRoot,transactionId,timestamp,projId,submitterId,stationID,SO2,NO2,PM10,PM2_5,rowHash,rawDataJson');
+        assert.deepEqual(schema.parseCsv(csv).map(row => [row.transactionId, row.stationID, row.SO2, row.rawDataJson]),
+            rows.map(row => [row.transactionId, stationID, row.SO2, row.rawDataJson]));
+
+        await rejection(axios.get(`${projA.url}/transactions/export`, { params: { format: 'xml' } }), 400);
+        await rejection(axios.get(`${projA.url}/transactions/export`, { params: { limit: 10 } }), 400);
+    });
+
+    test('a batch stores its valid readings, answers a result per row and reaches every node', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const batchUrl = `${projA.url}/transactions/submit-batch`;
+        const valid = signedReading(cluster, projA, { submitterId: 'M1', stationID: 'BATCH', PM10: 1 });
+        const tampered = { ...signedReading(cluster, projA, { submitterId: 'M1', stationID: 'BATCH', PM10: 2 }), PM10: 3 };
+        const { data } = await axios.post(batchUrl, [valid, tampered, valid, { stationID: 'BATCH' }]);
+        assert.equal(data.accepted, 1);
+        assert.equal(data.rejected, 3);
+        assert.deepEqual(data.results.map(result => [result.row, result.status]), [[0, 'accepted'], [1, 'rejected'], [2, 'rejected'], [3, 'rejected']]);
+        assert.match(data.results[1].error, /Signature verification failed/);
+        assert.match(data.results[2].error, /more than once in the batch/);
+        assert.ok(data.results[3].fieldErrors.length > 0);
+
+        // The same readings as CSV, with a header row
+        const columns = ['transactionId', 'timestamp', 'projId', 'submitterId', 'stationID', 'SO2', 'NO2', 'PM10', 'PM2_5', 'signature', 'publicKey'];
+        const csvReadings = [4, 5].map(PM10 => signedReading(cluster, projA, { submitterId: 'M1', stationID: 'BATCH', PM10 }));
+        const csv = [columns.join(','), ...[...csvReadings, valid].map(reading => columns.map(column => reading[column] ?? '').join(','))].join('\n');
+        const { data: fromCsv } = await axios.post(batchUrl, csv, { headers: { 'Content-Type': 'text/csv' } });
+        assert.deepEqual(fromCsv.results.map(result => result.status), ['accepted', 'accepted', 'rejected']);
+        assert.match(fromCsv.results[2].error, /already submitted/);
+
+        for (const reading of [valid, ...csvReadings]) {
+            for (const node of cluster.nodes) {
+                await cluster.waitForTransaction(reading.transactionId, { node });
+            }
+        }
+        const none = await rejection(axios.post(batchUrl, [tampered]), 400);
+        assert.equal(none.accepted, 0);
+        await rejection(axios.post(batchUrl, []), 400);
+    });
+
+    test('blocks without the authority signature are rejected', { timeout: TEST_TIMEOUT_MS }, async () => {
+        await cluster.waitForSync();
+        const tip = await cluster.getBlock((await getData(projA, '/blocks/headers', { from: 0, to: 0 })).tipIndex, projA);
+        const block = { blockIndex: tip.blockIndex + 1, timestamp: new Date().toISOString(), transactions: [], merkleRoot: calculateMerkleRoot([]), previousBlockHash: tip.hash, nonce: 0 };
+        block.hash = calculateBlockHash(block);
+        block.signature = signatures.sign(block.hash, signatures.generateKeyPair().privateKey);
+
+        const body = await rejection(axios.post(`${projA.url}/blocks/receive`, { newBlock: block }), 400);
+        assert.match(body.note, /not signed by the regulatory authority/);
+    });
+
+    test('malformed blocks are rejected with 400', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const receiveUrl = `${projA.url}/blocks/receive`;
+        await rejection(axios.post(receiveUrl), 400);
+        await rejection(axios.post(receiveUrl, {}), 400);
+        const block = { blockIndex: 99, timestamp: new Date().toISOString(), transactions: 'none', merkleRoot: 'm', previousBlockHash: 'p', hash: 'h' };
+        const body = await rejection(axios.post(receiveUrl, { newBlock: block }), 400);
+        assert.match(body.note, /missing required fields/);
+    });
+
+    test('only integrity failures publish block.rejected, not blocks out of sequence', { timeout: TEST_TIMEOUT_MS }, async () => {
+        await cluster.waitForSync();
+        const tip = await cluster.getBlock((await getData(projA, '/blocks/headers', { from: 0, to: 0 })).tipIndex, projA);
+        const ahead = { blockIndex: tip.blockIndex + 5, timestamp: new Date().toISOString(), transactions: [], merkleRoot: calculateMerkleRoot([]), previousBlockHash: 'unknown', nonce: 0 };
+        ahead.hash = calculateBlockHash(ahead);
+        const forked = { ...ahead, blockIndex: tip.blockIndex + 1 };
+        forked.hash = calculateBlockHash(forked);
+        for (const block of [ahead, forked]) {
+            // Each one starts a consensus run, during which blocks are answered with 503
+            const status = await eventually('consensus to finish', () => axios.post(`${projA.url}/blocks/receive`, { newBlock: block })
+                .then(response => response.status, error => (error.response.status === 503 ? null : error.response.status)));
+            assert.equal(status, 400);
+        }
+
+        const rejected = await bufferedEvents(projA, 'block.rejected');
+        assert.ok(rejected.length > 0); // From the tests above
+        assert.deepEqual(rejected.filter(event => [ahead.hash, forked.hash].includes(event.data.hash)), []);
+    });
+
+    test('a pushed block is validated like a synced one, down to each rowHash', { timeout: TEST_TIMEOUT_MS }, async () => {
+        signAsClusterAuthority(cluster);
+        await cluster.waitForSync();
+        const tip = await cluster.getBlock((await getData(projA, '/blocks/headers', { from: 0, to: 0 })).tipIndex, projA);
+        const tx = { ...transactionOf(signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S1', NO2: 7 })), rowHash: crypto.randomBytes(32).toString('hex') };
+        const block = { blockIndex: tip.blockIndex + 1, timestamp: new Date().toISOString(), transactions: [tx], merkleRoot: calculateMerkleRoot([tx]), previousBlockHash: tip.hash, nonce: 0 };
+        block.hash = calculateBlockHash(block);
+        block.signature = signatures.signBlock(block);
+
+        const body = await rejection(axios.post(`${projA.url}/blocks/receive`, { newBlock: block }), 400);
+        assert.match(body.note, /rowHash that does not match its data/);
+    });
+
+    test('a node whose chain diverged rolls back to RegAuth\'s chain', { timeout: TEST_TIMEOUT_MS }, async () => {
+        // Signing as RegAuth, append a block to projA's chain that RegAuth never made
+        signAsClusterAuthority(cluster);
+        await cluster.waitForSync();
+        const tip = await cluster.getBlock((await getData(projA, '/blocks/headers', { from: 0, to: 0 })).tipIndex, projA);
+        const forkedTx = transactionOf(signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S1', NO2: 7 }));
+        const forkedBlock = { blockIndex: tip.blockIndex + 1, timestamp: new Date().toISOString(), transactions: [forkedTx], merkleRoot: calculateMerkleRoot([forkedTx]), previousBlockHash: tip.hash, nonce: 0 };
+        forkedBlock.hash = calculateBlockHash(forkedBlock);
+        forkedBlock.signature = signatures.signBlock(forkedBlock);
+        await axios.post(`${projA.url}/blocks/receive`, { newBlock: forkedBlock });
+        assert.equal((await cluster.getBlock(forkedBlock.blockIndex, projA)).hash, forkedBlock.hash);
+
+        // RegAuth mines two blocks of its own; the second one no longer links to projA's tip
+        const first = await cluster.submit(projB, { submitterId: 'M1', stationID: 'S1', PM10: 40 });
+        await cluster.waitForTransaction(first.transactionId);
+        const second = await cluster.submit(projB, { submitterId: 'M1', stationID: 'S1', PM10: 41 });
+        const { blockIndex } = await cluster.waitForTransaction(second.transactionId);
+        assert.ok(blockIndex > forkedBlock.blockIndex);
+
+        await cluster.waitForTransaction(second.transactionId, { node: projA });
+        for (let index = forkedBlock.blockIndex; index <= blockIndex; index++) {
+            assert.equal((await cluster.getBlock(index, projA)).hash, (await cluster.getBlock(index)).hash, `block ${index}`);
+        }
+        assert.equal((await getData(projA, '/blocks/validate')).valid, true);
+
+        // The reading of the dropped block is pending again on projA, not confirmed
+        const forked = await getData(projA, `/transactions/${forkedTx.transactionId}`);
+        assert.equal(forked.status, 'pending');
+    });
+});
+
+describe('a network that requires the registry', () => {
+    let cluster;
+    let projA;
+    let projB;
+
+    before(async () => {
+        cluster = await startCluster({ projects: 2, submitters: ['M1'], nodeArgs: [...NODE_ARGS, '--require-registry'] });
+        [projA, projB] = cluster.projects;
+    });
+
+    after(async () => {
+        if (cluster) {
+            await cluster.stop();
+        }
+    });
+
+    test('readings are refused until RegAuth has registered stations and submitters', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const reading = signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S1', PM10: 3 });
+        const body = await rejection(axios.post(`${projA.url}/transactions/submit`, reading), 400);
+        assert.match(body.error, /not accepted until RegAuth has registered/);
+    });
+
+    test('registered stations only accept their submitters, project and pollutants', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const registryUrl = `${cluster.regAuth.url}/registry`;
+        await rejection(axios.post(`${projA.url}/registry/stations`, { stationID: 'S1', projId: '1', location: { latitude: 1, longitude: 1 }, pollutants: ['PM10'] }), 403);
+
+        await axios.post(`${registryUrl}/stations`, { stationID: 'S1', projId: '1', location: { latitude: 19.07, longitude: 72.87 }, pollutants: ['PM10', 'PM2.5'] });
+        await axios.post(`${registryUrl}/stations`, { stationID: 'S2', projId: '1', location: { latitude: 19.1, longitude: 72.9 }, pollutants: ['SO2'] });
+        const { transaction } = (await axios.post(`${registryUrl}/submitters`, { submitterId: 'M1', publicKey: cluster.submitters.M1.publicKey, stations: ['S1'] })).data;
+        await cluster.waitForTransaction(transaction.transactionId);
+        for (const node of cluster.projects) {
+            await eventually(`${node.name} to load the registry`, async () => (await getData(node, '/registry/submitters/M1').catch(() => null)));
+        }
+
+        const submitUrl = `${projA.url}/transactions/submit`;
+        const unmeasured = await rejection(axios.post(submitUrl, signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S1', PM10: 3, SO2: 1 })), 400);
+        assert.match(unmeasured.error, /does not measure SO2/);
+        const otherProject = await rejection(axios.post(`${projB.url}/transactions/submit`, signedReading(cluster, projB, { submitterId: 'M1', stationID: 'S1', PM10: 3 })), 400);
+        assert.match(otherProject.error, /belongs to project 1, not 2/);
+        await rejection(axios.post(submitUrl, signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S2', SO2: 3 })), 400);
+        await rejection(axios.post(submitUrl, signedReading(cluster, projA, { submitterId: 'M1', stationID: 'S3', PM10: 3 })), 400);
+
+        const accepted = await cluster.submit(projA, { submitterId: 'M1', stationID: 'S1', PM10: 3, PM2_5: 2 });
+        await cluster.waitForTransaction(accepted.transactionId);
+    });
+});
+
+describe('a network whose registry changes while readings wait', () => {
+    let cluster;
+    let projA;
+
+    before(async () => {
+        // Blocks are sealed as soon as two entries wait, so a revocation and the next reading share a block
+        cluster = await startCluster({ projects: 1, submitters: ['M1'], nodeArgs: ['--mine-threshold', '2', '--block-max-wait-ms', '60000', '--mining-interval-ms', '300'] });
+        [projA] = cluster.projects;
+    });
+
+    after(async () => {
+        if (cluster) {
+            await cluster.stop();
+        }
+    });
+
+    test('a reading the registry refuses when its block is sealed is evicted on every node', { timeout: TEST_TIMEOUT_MS }, async () => {
+        const registryUrl = `${cluster.regAuth.url}/registry`;
+        await axios.post(`${registryUrl}/stations`, { stationID: 'S1', projId: '1', location: { latitude: 19.07, longitude: 72.87 }, pollutants: ['PM10'] });
+        const { transaction } = (await axios.post(`${registryUrl}/submitters`, { submitterId: 'M1', publicKey: cluster.submitters.M1.publicKey, stations: ['S1'] })).data;
+        await cluster.waitForTransaction(transaction.transactionId);
+        await cluster.waitForSync();
+
+        // Accepted while the revocation waits in RegAuth's mempool, refused once it is applied
+        await axios.post(`${registryUrl}/submitters/M1/revoke`, { reason: 'Key compromised' });
+        const reading = await cluster.submit(projA, { submitterId: 'M1', stationID: 'S1', PM10: 3 });
+
+        for (const node of cluster.nodes) {
+            const status = await eventually(`the eviction on ${node.name}`, async () => {
+                const answer = await getData(node, `/transactions/${reading.transactionId}`).catch(error => error.response.data);
+                return answer.status === 'evicted' ? answer : null;
+            });
+            assert.match(status.reason, /^Refused by the registry: .*M1/);
+        }
+    });
+});
+
+// The transaction a node makes of a signed reading
+function transactionOf(reading) {
+    const rawDataJson = signatures.readingPayload(reading);
+    const rowHash = crypto.createHash('sha256').update(reading.transactionId + reading.timestamp + rawDataJson).digest('hex');
+    return { txType: 'reading', ...reading, rawDataJson, rowHash };
+}
+
+// Lets this process sign blocks with the cluster's authority key, as RegAuth does
+function signAsClusterAuthority(cluster) {
+    signatures.loadAuthorityKeys(true, {
+        privateKeyFile: path.join(cluster.dataDir, 'authority.key'),
+        publicKeyFile: path.join(cluster.dataDir, 'authority.pub')
+    });
+}
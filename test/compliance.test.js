@@ -0,0 +1,105 @@
+// test/compliance.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const compliance = require('../compliance');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeRules(name, rules) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, JSON.stringify(rules));
+    return file;
+}
+
+const RULES = {
+    defaults: {
+        SO2: { limit: 80, averagingWindow: '24h' },
+        PM10: { limit: 100 }
+    },
+    projects: { 2: { SO2: { limit: 50, averagingWindow: '1h' } } },
+    stations: { S9: { SO2: { limit: 20, averagingWindow: '0' } } }
+};
+
+const reading = fields => ({ txType: 'reading', transactionId: 'tx', projId: '1', stationID: 'S1', timestamp: '2024-01-02T00:00:00.000Z', ...fields });
+
+// A windowStats stand-in for db.getPollutantWindowStats that records its calls
+function storedReadings(sum, count) {
+    const calls = [];
+    const windowStats = async (...args) => {
+        calls.push(args);
+        return { sum, count };
+    };
+    return { windowStats, calls };
+}
+
+test.beforeEach(() => compliance.loadRules(writeRules('rules.json', RULES)));
+
+test('parseWindow converts windows to milliseconds', () => {
+    assert.equal(compliance.parseWindow(undefined), 0);
+    assert.equal(compliance.parseWindow('0'), 0);
+    assert.equal(compliance.parseWindow('90s'), 90 * 1000);
+    assert.equal(compliance.parseWindow('30m'), 30 * 60 * 1000);
+    assert.equal(compliance.parseWindow('24h'), 24 * 60 * 60 * 1000);
+    assert.equal(compliance.parseWindow(' 2d '), 2 * 24 * 60 * 60 * 1000);
+    assert.throws(() => compliance.parseWindow('1w'), /Invalid averaging window "1w"/);
+});
+
+test('a station rule overrides a project rule, which overrides the default', () => {
+    assert.equal(compliance.resolveRule('SO2', reading({ stationID: 'S9', projId: '2' })).scope, 'station:S9');
+    assert.equal(compliance.resolveRule('SO2', reading({ projId: '2' })).scope, 'project:2');
+    assert.equal(compliance.resolveRule('SO2', reading()).scope, 'default');
+    assert.equal(compliance.resolveRule('NO2', reading()), null);
+});
+
+test('a reading without a window is compared against the limit on its own', async () => {
+    const { windowStats, calls } = storedReadings(0, 0);
+    const [verdict] = await compliance.evaluateBlock({ transactions: [reading({ PM10: 101 })] }, windowStats);
+    assert.equal(verdict.compliant, false);
+    assert.deepEqual(verdict.violations.map(v => [v.pollutant, v.measured, v.limit, v.scope]), [['PM10', 101, 100, 'default']]);
+    assert.equal(calls.length, 0);
+});
+
+test('windowed averages include the stored readings and the block\'s own readings', async () => {
+    const { windowStats, calls } = storedReadings(100, 2); // Two stored readings averaging 50
+    const block = {
+        transactions: [
+            reading({ transactionId: 'a', timestamp: '2024-01-01T12:00:00.000Z', SO2: 120 }),
+            reading({ transactionId: 'b', SO2: 110 }),
+            reading({ transactionId: 'c', stationID: 'S2', SO2: 500 }) // Another station: not in S1's average
+        ]
+    };
+    const verdicts = await compliance.evaluateBlock(block, windowStats);
+    // b's window covers a and b: (100 + 120 + 110) / 4 = 82.5
+    assert.equal(verdicts[1].violations[0].measured, 82.5);
+    assert.equal(verdicts[1].compliant, false);
+    // a's window ends at a, so b (later) is not in it: (100 + 120) / 3 = 73.33
+    assert.equal(verdicts[0].compliant, true);
+    assert.deepEqual(calls[0], ['S1', 'SO2', '2023-12-31T12:00:00.000Z', '2024-01-01T12:00:00.000Z']);
+});
+
+test('registry entries are skipped and unregulated pollutants ignored', async () => {
+    const { windowStats } = storedReadings(0, 0);
+    const verdicts = await compliance.evaluateBlock({
+        transactions: [{ txType: 'registry', transactionId: 'r' }, reading({ NO2: 1000 })]
+    }, windowStats);
+    assert.deepEqual(verdicts, [{ transactionId: 'tx', compliant: true, violations: [] }]);
+});
+
+test('an invalid timestamp flags the reading instead of failing the block', async () => {
+    const { windowStats, calls } = storedReadings(0, 0);
+    const [verdict] = await compliance.evaluateBlock({ transactions: [reading({ timestamp: 'yesterday', SO2: 1 })] }, windowStats);
+    assert.equal(verdict.compliant, false);
+    assert.equal(verdict.violations[0].measured, null);
+    assert.match(verdict.violations[0].reason, /invalid timestamp "yesterday"/);
+    assert.equal(calls.length, 0);
+});
+
+test('invalid rule files are rejected', () => {
+    assert.throws(() => compliance.loadRules(writeRules('unknown.json', { defaults: { CO: { limit: 1 } } })), /Unknown pollutant "CO" in defaults/);
+    assert.throws(() => compliance.loadRules(writeRules('limit.json', { stations: { S1: { SO2: { limit: -1 } } } })), /stations.S1.SO2.limit must be a non-negative number/);
+    assert.throws(() => compliance.loadRules(writeRules('window.json', { projects: { 1: { NO2: { limit: 1, averagingWindow: 'daily' } } } })), /Invalid averaging window/);
+});
@@ -0,0 +1,95 @@
+// test/config.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getConfig, ConfigError } = require('../config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeFile(name, text) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+// The errors a ConfigError lists, or fails if loadConfig does not throw one
+function configErrors(args, env = {}) {
+    try {
+        loadConfig(args, env);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.errors;
+    }
+    assert.fail('loadConfig did not throw');
+}
+
+test('defaults apply when only projId is given', () => {
+    const config = loadConfig(['--proj-id', '1'], {});
+    assert.equal(config.port, 3000);
+    assert.equal(config.role, 'project');
+    assert.equal(config.nodeUrl, 'http://localhost:3000/api');
+    assert.equal(config.blocks.size, 5);
+    assert.equal(config.registry.required, false);
+    assert.equal(getConfig(), config);
+    assert.ok(Object.isFrozen(config));
+});
+
+test('flags override environment variables, which override the config file', () => {
+    const file = writeFile('node.yaml', 'port: 4000\nprojId: "1"\nblocks:\n  size: 7\n  mineThreshold: 3\n');
+    const config = loadConfig(['--config', file, '--block-size', '9'], { CHAIN_PORT: '4100', CHAIN_BLOCK_SIZE: '8' });
+    assert.equal(config.port, 4100);
+    assert.equal(config.blocks.size, 9);
+    assert.equal(config.blocks.mineThreshold, 3);
+    assert.equal(config.nodeUrl, 'http://localhost:4100/api');
+});
+
+test('JSON config files and CHAIN_CONFIG are read', () => {
+    const file = writeFile('node.json', JSON.stringify({ projId: '3', peers: ['http://localhost:3001/api/'] }));
+    const config = loadConfig([], { CHAIN_CONFIG: file });
+    assert.equal(config.projId, '3');
+    assert.deepEqual(config.peers, ['http://localhost:3001/api']);
+});
+
+test('legacy positional arguments still work', () => {
+    const config = loadConfig(['3002', 'http://localhost:3002/api', '2', 'project2.db'], {});
+    assert.equal(config.port, 3002);
+    assert.equal(config.projId, '2');
+    assert.equal(config.dbFile, 'project2.db');
+});
+
+test('a boolean flag needs no value', () => {
+    assert.equal(loadConfig(['--proj-id', '1', '--require-registry'], {}).registry.required, true);
+    assert.equal(loadConfig(['--require-registry', 'false', '--proj-id', '1'], {}).registry.required, false);
+    assert.equal(loadConfig(['--proj-id', '1'], { CHAIN_REQUIRE_REGISTRY: '1' }).registry.required, true);
+});
+
+test('projId 0 makes the node the regulator, which cannot have another projId', () => {
+    assert.equal(loadConfig(['--proj-id', '0'], {}).role, 'regulator');
+    assert.equal(loadConfig(['--role', 'regulator'], {}).projId, '0');
+    assert.deepEqual(configErrors(['--role', 'regulator', '--proj-id', '2']), ['A regulator node must have projId "0", got "2"']);
+    assert.deepEqual(configErrors(['--role', 'project', '--proj-id', '0']), ['projId "0" is reserved for the regulator node']);
+});
+
+test('every problem is reported at once', () => {
+    const file = writeFile('bad.yaml', 'colour: blue\nblocks:\n  sise: 10\nmempool:\n  ttl: 1\n  maxSize: 50\n');
+    const errors = configErrors(['--config', file, '--port', '70000', '--frobnicate', '--mempool-eviction', 'random'], { CHAIN_BLOCK_SIZE: 'five' });
+    assert.deepEqual(errors, [
+        'Unknown command line flag --frobnicate',
+        `Unknown setting "colour" in ${file}`,
+        `Unknown setting "blocks.sise" in ${file}`,
+        `Unknown setting "mempool.ttl" in ${file}`,
+        'blocks.size (env CHAIN_BLOCK_SIZE) must be a positive integer',
+        'port (--port) must be a port number (1-65535)',
+        'projId is required for a project node (--proj-id, CHAIN_PROJ_ID or "projId" in the config file)',
+        'mempool.evictionStrategy must be "drop-oldest" or "reject", got "random"'
+    ]);
+});
+
+test('unreadable config files and auth without a node token are errors', () => {
+    assert.match(configErrors(['--config', path.join(tmpDir, 'missing.yaml'), '--proj-id', '1'])[0], /Config file not found/);
+    assert.match(configErrors(['--config', writeFile('broken.json', '{'), '--proj-id', '1'])[0], /could not be parsed/);
+    assert.deepEqual(configErrors(['--proj-id', '1', '--auth']), ['auth.nodeToken is required when auth.enabled is true (this node presents it to its peers)']);
+});
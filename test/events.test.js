@@ -0,0 +1,59 @@
+// test/events.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../config');
+const events = require('../events');
+
+const ALL = { types: [], projIds: [], stationIDs: [] };
+const ids = result => result.events.map(event => event.id);
+
+test('an empty buffer has nothing to replay and no gap', () => {
+    assert.deepEqual(events.replay(0, ALL), { events: [], complete: true });
+});
+
+test('replay returns the buffered events after an id and reports dropped ones as a gap', () => {
+    loadConfig(['--proj-id', '1', '--event-buffer-size', '3'], {});
+    for (let i = 1; i <= 5; i++) {
+        events.publish('transaction.pending', { n: i }, { projIds: [String(i % 2)] });
+    }
+    assert.deepEqual(events.getStats(), { lastEventId: 5, buffered: 3, oldestBufferedId: 3, bufferSize: 3, subscribers: 0 });
+
+    assert.equal(events.replay(4, ALL).complete, true);
+    assert.deepEqual(ids(events.replay(4, ALL)), [5]);
+    assert.deepEqual(ids(events.replay(2, ALL)), [3, 4, 5]);
+    assert.equal(events.replay(2, ALL).complete, true); // The next event the client needs (3) is still buffered
+    assert.equal(events.replay(1, ALL).complete, false); // Event 2 was dropped
+    assert.deepEqual(events.replay(5, ALL), { events: [], complete: true });
+});
+
+test('a client ahead of the node (it restarted) gets the whole buffer', () => {
+    const result = events.replay(500, ALL);
+    assert.deepEqual(ids(result), [3, 4, 5]);
+    assert.equal(result.complete, false);
+});
+
+test('replay and subscribers apply the filters', () => {
+    assert.deepEqual(ids(events.replay(0, { ...ALL, projIds: ['1'] })), [3, 5]);
+    assert.deepEqual(ids(events.replay(0, { ...ALL, types: ['block.mined'] })), []);
+
+    const received = [];
+    const unsubscribe = events.subscribe({ types: ['block.mined'], projIds: ['2'], stationIDs: [] }, event => received.push(event));
+    events.publishBlock('block.mined', { blockIndex: 1, transactions: [{ transactionId: 'a', projId: '1' }] });
+    events.publishBlock('block.mined', { blockIndex: 2, transactions: [{ transactionId: 'b', projId: '2', stationID: 'S2' }] });
+    unsubscribe();
+    events.publishBlock('block.mined', { blockIndex: 3, transactions: [{ transactionId: 'c', projId: '2' }] });
+    assert.deepEqual(received.map(event => event.data.blockIndex), [2]);
+    assert.deepEqual(received[0].stationIDs, ['S2']);
+});
+
+test('a block with non-compliant readings also publishes reading.violation for each', () => {
+    const received = [];
+    const unsubscribe = events.subscribe({ types: ['reading.violation'], projIds: [], stationIDs: [] }, event => received.push(event));
+    const block = { blockIndex: 4, transactions: [{ transactionId: 'ok', projId: '1' }, { transactionId: 'bad', projId: '1', stationID: 'S1' }] };
+    events.publishBlock('block.accepted', block, [
+        { transactionId: 'ok', compliant: true, violations: [] },
+        { transactionId: 'bad', compliant: false, violations: [{ pollutant: 'SO2' }] }
+    ]);
+    unsubscribe();
+    assert.deepEqual(received.map(event => [event.data.transactionId, event.data.stationID]), [['bad', 'S1']]);
+});
@@ -0,0 +1,104 @@
+// test/mempool.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const db = require('../db');
+const mempool = require('../mempool');
+const signatures = require('../signatures');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mempool-test-'));
+const TTL_MS = 300;
+
+test.before(async () => {
+    db.setDbFile('mempool.db', tmpDir);
+    await db.initDb();
+});
+
+test.after(async () => {
+    await db.closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Configures the mempool policy; re-announcing is pushed out of the way
+function usePolicy(...args) {
+    loadConfig(['--proj-id', '1', '--mempool-ttl-ms', String(TTL_MS), '--mempool-reannounce-ms', '3600000', ...args], {});
+}
+
+async function addReadings(count) {
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+        const transaction = await db.createTransaction({ projId: '1', submitterId: 'M1', stationID: 'S1', PM10: i });
+        ids.push(transaction.transactionId);
+    }
+    return ids;
+}
+
+async function pendingIds() {
+    return (await db.getMempoolTransactions({ limit: 1000 })).transactions.map(tx => tx.transactionId);
+}
+
+async function clearMempool() {
+    await db.removeTransactionsFromMempool(await pendingIds());
+}
+
+test('a full mempool drops its longest-waiting readings to make room', async () => {
+    usePolicy('--mempool-max-size', '3');
+    const [oldest, ...rest] = await addReadings(3);
+
+    assert.equal(await mempool.makeRoom(1), true);
+    assert.deepEqual((await pendingIds()).sort(), rest.sort());
+    assert.equal(await mempool.makeRoom(2), true);
+    assert.equal(await db.getMempoolCount(), 1);
+    // More than the mempool can ever hold is refused without dropping anything
+    assert.equal(await mempool.makeRoom(4), false);
+    assert.equal(await db.getMempoolCount(), 1);
+    await clearMempool();
+});
+
+test('the reject strategy refuses new entries instead', async () => {
+    usePolicy('--mempool-max-size', '2', '--mempool-eviction', 'reject');
+    const before = (await mempool.getStats()).rejectedFull;
+    const ids = await addReadings(2);
+
+    assert.equal(await mempool.makeRoom(1), false);
+    assert.deepEqual((await pendingIds()).sort(), ids.sort());
+    assert.equal((await mempool.getStats()).rejectedFull, before + 1);
+    assert.equal(await mempool.makeRoom(0), true);
+    await clearMempool();
+});
+
+test('reconciliation drops expired readings and trims to the maximum size', async () => {
+    usePolicy('--mempool-max-size', '2');
+    const [expired] = await addReadings(1);
+    await new Promise(resolve => setTimeout(resolve, TTL_MS + 50));
+    const [older, newer, newest] = await addReadings(3);
+
+    const result = await mempool.reconcile();
+    assert.deepEqual(result, { confirmed: 0, expired: 1, capacity: 1, reannounced: 0 });
+    assert.deepEqual((await pendingIds()).sort(), [newer, newest].sort());
+    assert.equal(await db.getMempoolTransaction(expired), null);
+    assert.equal(await db.getMempoolTransaction(older), null);
+
+    const stats = await mempool.getStats();
+    assert.equal(stats.size, 2);
+    assert.deepEqual(stats.lastReconciliation, { at: stats.lastReconciliation.at, ...result });
+    await clearMempool();
+});
+
+test('an eviction is signed by RegAuth, recorded and removes the reading', async () => {
+    usePolicy();
+    signatures.loadAuthorityKeys(true, { privateKeyFile: path.join(tmpDir, 'authority.key'), publicKeyFile: path.join(tmpDir, 'authority.pub') });
+    const [id] = await addReadings(1);
+
+    const { eviction, deliveries } = await mempool.evict(id, 'Station decommissioned');
+    assert.deepEqual(deliveries, []); // No peers
+    assert.equal(await db.getMempoolTransaction(id), null);
+    const recorded = await db.getMempoolEviction(id);
+    assert.equal(recorded.reason, 'Station decommissioned');
+    assert.equal(recorded.transaction.transactionId, id);
+    assert.equal(signatures.verifyAuthoritySignature(signatures.evictionPayload(recorded), recorded.signature), true);
+    assert.equal(recorded.signature, eviction.signature);
+});
@@ -0,0 +1,46 @@
+// test/merkle.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { calculateMerkleRoot, buildMerkleLevels, buildMerkleProof, verifyMerkleProof } = require('../merkle');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+const leaves = ['a', 'b', 'c', 'd', 'e'].map(sha256);
+
+test('an empty block has the fixed placeholder root', () => {
+    assert.equal(calculateMerkleRoot([]), sha256('empty_merkle_root_placeholder'));
+});
+
+test('a single transaction is its own root', () => {
+    assert.equal(calculateMerkleRoot([{ rowHash: leaves[0] }]), leaves[0]);
+});
+
+test('an odd last hash is paired with itself', () => {
+    const levels = buildMerkleLevels(leaves.slice(0, 3));
+    assert.deepEqual(levels[1], [sha256(leaves[0] + leaves[1]), sha256(leaves[2] + leaves[2])]);
+    assert.equal(levels.length, 3);
+    assert.equal(calculateMerkleRoot(leaves.slice(0, 3).map(rowHash => ({ rowHash }))), sha256(levels[1][0] + levels[1][1]));
+});
+
+test('a proof for every leaf verifies against the root', () => {
+    const root = calculateMerkleRoot(leaves.map(rowHash => ({ rowHash })));
+    leaves.forEach((leaf, i) => {
+        assert.equal(verifyMerkleProof(leaf, buildMerkleProof(leaves, i), root), true, `leaf ${i}`);
+    });
+});
+
+test('a proof does not verify another leaf, a changed path or another root', () => {
+    const root = calculateMerkleRoot(leaves.map(rowHash => ({ rowHash })));
+    const proof = buildMerkleProof(leaves, 1);
+    assert.equal(verifyMerkleProof(leaves[2], proof, root), false);
+    assert.equal(verifyMerkleProof(leaves[1], proof, sha256('other')), false);
+    const flipped = proof.map((step, i) => (i === 0 ? { ...step, position: step.position === 'left' ? 'right' : 'left' } : step));
+    assert.equal(verifyMerkleProof(leaves[1], flipped, root), false);
+    assert.equal(verifyMerkleProof(leaves[1], [{ position: 'up', hash: proof[0].hash }], root), false);
+    assert.equal(verifyMerkleProof(leaves[1], 'not a proof', root), false);
+});
+
+test('buildMerkleProof rejects a leaf index out of range', () => {
+    assert.throws(() => buildMerkleProof(leaves, leaves.length), /out of range/);
+    assert.throws(() => buildMerkleProof(leaves, -1), /out of range/);
+});
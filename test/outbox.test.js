@@ -0,0 +1,99 @@
+// test/outbox.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const db = require('../db');
+const outbox = require('../outbox');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+
+// A peer that answers each path with the next status queued for it (200 when none) and records what it received
+const received = [];
+const statuses = {};
+const peer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        const queued = statuses[req.url] || [];
+        res.writeHead(queued.length > 0 ? queued.shift() : 200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+    });
+});
+let peerUrl;
+const offlinePeerUrl = 'http://localhost:1/api';
+
+test.before(async () => {
+    db.setDbFile('outbox.db', tmpDir);
+    await db.initDb();
+    await new Promise(resolve => peer.listen(0, resolve));
+    peerUrl = `http://localhost:${peer.address().port}/api`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => peer.close(resolve));
+    await db.closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function queue(path, ref, peerUrls = [peerUrl]) {
+    const [delivery] = await db.enqueueDeliveries(peerUrls, { path, kind: 'test', ref, payload: { ref } });
+    return delivery.id;
+}
+
+async function deliveryStatus(id) {
+    return (await db.getDeliveries({ limit: 1000 })).find(delivery => delivery.id === id);
+}
+
+test('2xx and 409 count as delivered, other 4xx as rejected without a retry', async () => {
+    statuses['/api/conflict'] = [409];
+    statuses['/api/bad'] = [400];
+    const ok = await queue('/ok', 1);
+    const conflict = await queue('/conflict', 2);
+    const bad = await queue('/bad', 3);
+    await outbox.processOutbox();
+
+    assert.equal((await deliveryStatus(ok)).status, 'delivered');
+    assert.equal((await deliveryStatus(conflict)).status, 'delivered');
+    const rejected = await deliveryStatus(bad);
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.attempts, 1);
+    assert.deepEqual(await db.getDueDeliveries(100), []);
+});
+
+test('a failed delivery is retried with backoff and holds back later deliveries to the same peer', async () => {
+    received.length = 0;
+    statuses['/api/blocks'] = [503];
+    const before = Date.now();
+    const first = await queue('/blocks', 10);
+    const second = await queue('/blocks', 11);
+    const toOfflinePeer = await queue('/blocks', 12, [offlinePeerUrl]);
+    await outbox.processOutbox();
+
+    const failed = await deliveryStatus(first);
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.attempts, 1);
+    const retryInMs = new Date(failed.nextAttemptAt).getTime() - before;
+    assert.ok(retryInMs >= 2000 && retryInMs < 4000, `retry in ${retryInMs} ms`);
+    // Block 11 must not overtake block 10
+    assert.equal((await deliveryStatus(second)).attempts, 0);
+    assert.deepEqual(received.map(request => request.body.ref), [10]);
+    // A peer that cannot be reached is retried too
+    assert.equal((await deliveryStatus(toOfflinePeer)).status, 'pending');
+    assert.equal((await deliveryStatus(toOfflinePeer)).attempts, 1);
+
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, new Date(failed.nextAttemptAt).getTime() - Date.now()) + 50));
+    await outbox.processOutbox();
+    assert.equal((await deliveryStatus(first)).status, 'delivered');
+    assert.equal((await deliveryStatus(first)).attempts, 2);
+    assert.equal((await deliveryStatus(second)).status, 'delivered');
+    assert.deepEqual(received.map(request => request.body.ref), [10, 10, 11]);
+    // The delay doubles with each failed attempt
+    const offline = await deliveryStatus(toOfflinePeer);
+    assert.equal(offline.attempts, 2);
+    const nextRetryInMs = new Date(offline.nextAttemptAt).getTime() - Date.now();
+    assert.ok(nextRetryInMs >= 3500 && nextRetryInMs <= 4000, `retry in ${nextRetryInMs} ms`);
+});
@@ -0,0 +1,91 @@
+// test/schema.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeReading, isIsoTimestamp, canonicalField, describeErrors, parseCsv } = require('../schema');
+
+const submission = (fields = {}) => ({
+    transactionId: 'tx-1',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    projId: '1',
+    submitterId: 'M1',
+    stationID: 'S1',
+    SO2: 10,
+    ...fields
+});
+
+const fieldsWithErrors = result => result.errors.map(error => error.field);
+
+test('a valid submission has no errors', () => {
+    const { reading, errors } = normalizeReading(submission({ NO2: 2, PM10: 3, PM2_5: 4 }));
+    assert.deepEqual(errors, []);
+    assert.equal(reading.SO2, 10);
+});
+
+test('aliases are renamed to the canonical fields', () => {
+    const { reading, errors } = normalizeReading(submission({ SO2: undefined, so2: 1, 'PM2.5': 2, station_id: 'S9', stationID: undefined }));
+    assert.deepEqual(errors, []);
+    assert.equal(reading.SO2, 1);
+    assert.equal(reading.PM2_5, 2);
+    assert.equal(reading.stationID, 'S9');
+    assert.equal(canonicalField('pm25'), 'PM2_5');
+    assert.equal(canonicalField('unknown'), undefined);
+});
+
+test('a field sent twice under different names is an error', () => {
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ so2: 11 }))), ['so2']);
+});
+
+test('unknown fields, bad types and out-of-range values are reported together', () => {
+    const result = normalizeReading(submission({ CO: 1, SO2: 'high', NO2: -1, PM10: 5001 }));
+    assert.deepEqual(fieldsWithErrors(result).sort(), ['CO', 'NO2', 'PM10', 'SO2']);
+    assert.match(describeErrors(result.errors), /SO2 must be a number \(µg\/m³\)/);
+});
+
+test('no single pollutant is required, but a reading needs at least one', () => {
+    assert.deepEqual(normalizeReading(submission({ SO2: undefined, PM10: 3 })).errors, []);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ SO2: undefined }))), ['(pollutants)']);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ SO2: null }))), ['(pollutants)']);
+});
+
+test('submissions need the signed transactionId, timestamp and projId', () => {
+    const result = normalizeReading(submission({ transactionId: undefined, timestamp: undefined, projId: undefined }));
+    assert.deepEqual(fieldsWithErrors(result).sort(), ['projId', 'timestamp', 'transactionId']);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ transactionId: 'has space' }))), ['transactionId']);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ projId: 1 }))), ['projId']);
+});
+
+test('transactions from peers may carry rowHash and txType "reading" only', () => {
+    const tx = { ...submission(), txType: 'reading', rowHash: 'abc', rawDataJson: '{}', signature: 's', publicKey: 'k' };
+    assert.deepEqual(normalizeReading(tx, { transaction: true }).errors, []);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(tx)), ['txType', 'rowHash']);
+    assert.deepEqual(fieldsWithErrors(normalizeReading({ ...tx, txType: 'registry' }, { transaction: true })), ['txType']);
+});
+
+test('declared units must be micrograms per cubic metre and are not kept', () => {
+    const { reading, errors } = normalizeReading(submission({ units: { so2: 'ug/m3' } }));
+    assert.deepEqual(errors, []);
+    assert.equal(reading.units, undefined);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(submission({ units: { SO2: 'ppm', stationID: 'µg/m³' } }))), ['units.SO2', 'units.stationID']);
+});
+
+test('a body that is not an object is rejected', () => {
+    assert.deepEqual(fieldsWithErrors(normalizeReading([1])), ['(body)']);
+    assert.deepEqual(fieldsWithErrors(normalizeReading(null)), ['(body)']);
+});
+
+test('only the toISOString form is a timestamp', () => {
+    assert.equal(isIsoTimestamp('2024-02-29T12:00:00.000Z'), true);
+    assert.equal(isIsoTimestamp('2023-02-29T12:00:00.000Z'), false);
+    assert.equal(isIsoTimestamp('2024-01-01T00:00:00Z'), false);
+    assert.equal(isIsoTimestamp('2024-01-01T00:00:00.000+01:00'), false);
+    assert.equal(isIsoTimestamp(1704067200000), false);
+});
+
+test('parseCsv handles quotes, CRLF, empty cells and numeric pollutants', () => {
+    const csv = 'submitterId,stationID,SO2,PM2.5,note\r\nM1,"S,1",10,,"say ""hi"""\r\n\r\nM2,S2,abc,4,\n';
+    assert.deepEqual(parseCsv(csv), [
+        { submitterId: 'M1', stationID: 'S,1', SO2: 10, note: 'say "hi"' },
+        { submitterId: 'M2', stationID: 'S2', SO2: 'abc', 'PM2.5': 4 }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+});
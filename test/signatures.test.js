@@ -0,0 +1,65 @@
+// test/signatures.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const signatures = require('../signatures');
+
+const keyPair = signatures.generateKeyPair();
+const reading = {
+    transactionId: 'a1b2c3', timestamp: '2024-05-01T10:00:00.000Z', projId: '1', submitterId: 'M1',
+    stationID: 'S1', SO2: 12, NO2: null, PM10: 30, PM2_5: null
+};
+
+// A reading transaction as a node stores it: the columns, the signed payload and the signature
+function signedTransaction(fields = {}) {
+    const rawDataJson = signatures.readingPayload(reading);
+    return { ...reading, rawDataJson, signature: signatures.sign(rawDataJson, keyPair.privateKey), publicKey: keyPair.publicKey, ...fields };
+}
+
+test('the payload lists every reading field in a fixed order', () => {
+    const shuffled = Object.fromEntries(Object.entries(reading).reverse());
+    assert.equal(signatures.readingPayload(shuffled), signatures.readingPayload(reading));
+    assert.deepEqual(Object.keys(JSON.parse(signatures.readingPayload({ ...shuffled, extra: 1 }))),
+        ['transactionId', 'timestamp', 'projId', 'submitterId', 'stationID', 'SO2', 'NO2', 'PM10', 'PM2_5']);
+});
+
+test('columns that differ from the signed payload are reported', () => {
+    assert.deepEqual(signatures.mismatchedReadingFields(signedTransaction()), []);
+    assert.deepEqual(signatures.mismatchedReadingFields(signedTransaction({ SO2: 13, projId: '2' })), ['projId', 'SO2']);
+    // A field missing from the payload matches a null column
+    assert.deepEqual(signatures.mismatchedReadingFields({ ...reading, rawDataJson: JSON.stringify({ ...reading, NO2: undefined }) }), []);
+    assert.equal(signatures.mismatchedReadingFields(signedTransaction({ rawDataJson: '{' })), null);
+    assert.equal(signatures.mismatchedReadingFields(signedTransaction({ rawDataJson: '5' })), null);
+});
+
+test('a reading signature covers the ID, timestamp and project', () => {
+    assert.equal(signatures.verifyReadingSignature(signedTransaction()), null);
+    assert.match(signatures.verifyReadingSignature(signedTransaction({ signature: undefined })), /not signed/);
+    assert.match(signatures.verifyReadingSignature(signedTransaction({ rawDataJson: 'x' })), /not valid JSON/);
+
+    // Replaying the signature under a new ID, time or project fails even when the payload is rewritten to match
+    for (const field of ['transactionId', 'timestamp', 'projId']) {
+        const replayed = { ...reading, [field]: `${reading[field]}0` };
+        const tx = signedTransaction({ ...replayed, rawDataJson: signatures.readingPayload(replayed) });
+        assert.equal(signatures.verifyReadingSignature(tx), 'Signature verification failed.', field);
+    }
+    assert.equal(signatures.verifyReadingSignature(signedTransaction({ transactionId: 'other' })), 'Fields do not match the signed payload: transactionId.');
+});
+
+test('a transaction must be signed by a key registered for its submitter', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signatures-test-'));
+    const keysFile = path.join(tmpDir, 'submitter-keys.json');
+    fs.writeFileSync(keysFile, JSON.stringify({ M1: [keyPair.publicKey] }));
+    try {
+        signatures.loadSubmitterKeys(keysFile);
+        assert.equal(signatures.verifyTransactionSignature(signedTransaction()), null);
+        const otherKey = signatures.generateKeyPair();
+        const tx = signedTransaction({ publicKey: otherKey.publicKey, signature: signatures.sign(signatures.readingPayload(reading), otherKey.privateKey) });
+        assert.equal(signatures.verifyReadingSignature(tx), null);
+        assert.equal(signatures.verifyTransactionSignature(tx), 'Public key is not registered for submitter M1.');
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,113 @@
+// test/webhooks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const db = require('../db');
+const events = require('../events');
+const webhooks = require('../webhooks');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+
+// A receiver that records each request and answers with the next status in `statuses` (200 when empty)
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+        res.end();
+    });
+});
+let receiverUrl;
+
+test.before(async () => {
+    db.setDbFile('webhooks.db', tmpDir);
+    await db.initDb();
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://localhost:${receiver.address().port}/hook`;
+    webhooks.start();
+});
+
+test.after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await db.closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function eventually(description, check) {
+    const deadline = Date.now() + 10 * 1000;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.fail(`Timed out waiting for ${description}.`);
+}
+
+test('registrations are validated', () => {
+    assert.equal(webhooks.webhookError({ url: receiverUrl, events: ['peer.offline'] }), null);
+    assert.match(webhooks.webhookError({ url: 'ftp://example.com', events: ['peer.offline'] }), /url must be/);
+    assert.match(webhooks.webhookError({ url: receiverUrl, events: ['block.mined'] }), /events must be/);
+    assert.match(webhooks.webhookError({ url: receiverUrl, events: ['peer.offline'], projId: 1 }), /projId must be/);
+});
+
+test('matching events are delivered with an HMAC signature over the timestamp and body', async () => {
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['reading.violation'], projId: '1' });
+    received.length = 0;
+
+    events.publish('reading.violation', { transactionId: 'other' }, { projIds: ['2'] }); // Another project
+    const event = events.publish('reading.violation', { transactionId: 'tx-1' }, { projIds: ['1'], stationIDs: ['S1'] });
+    await eventually('the delivery', () => received.length > 0);
+    await webhooks.processDeliveries();
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-id'], webhook.id);
+    assert.equal(headers['x-webhook-event'], 'reading.violation');
+    assert.equal(headers['x-webhook-signature'], webhooks.sign(webhook.secret, headers['x-webhook-timestamp'], body));
+    assert.deepEqual(JSON.parse(body), { eventId: event.id, type: 'reading.violation', time: event.time, data: { transactionId: 'tx-1' } });
+
+    const [delivery] = await db.getWebhookDeliveries({ webhookId: webhook.id });
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+});
+
+test('a failed delivery is retried later with exponential backoff', async () => {
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['block.rejected'] });
+    received.length = 0;
+    statuses.push(500);
+
+    const before = Date.now();
+    events.publish('block.rejected', { blockIndex: 7, reason: 'test' });
+    await eventually('the first attempt', async () => (await db.getWebhookDeliveries({ webhookId: webhook.id }))[0]?.attempts === 1);
+    events.publish('block.rejected', { blockIndex: 8, reason: 'test' });
+    await eventually('the second delivery to be queued', async () => (await db.getWebhookDeliveries({ webhookId: webhook.id })).length === 2);
+    await webhooks.processDeliveries();
+
+    const [second, first] = await db.getWebhookDeliveries({ webhookId: webhook.id });
+    assert.equal(first.status, 'pending');
+    assert.equal(first.responseStatus, 500);
+    assert.equal(first.lastError, 'HTTP 500');
+    const retryInMs = new Date(first.nextAttemptAt).getTime() - before;
+    assert.ok(retryInMs >= 4000 && retryInMs <= 7000, `retry in ${retryInMs} ms`);
+    // Only the failed delivery waits; the next run sends the newer one
+    assert.equal(second.status, 'delivered');
+    assert.equal(received.length, 2);
+});
+
+test('events of a type a webhook does not list are not delivered', async () => {
+    const webhook = await webhooks.createWebhook({ url: receiverUrl, events: ['peer.offline'], projId: '1' });
+    events.publish('reading.violation', { transactionId: 'tx-2' }, { projIds: ['1'] });
+    // peer.offline concerns no project, so it reaches the webhook despite its projId
+    events.publish('peer.offline', { peerUrl: 'http://localhost:1/api' });
+    await eventually('the peer.offline delivery', async () => (await db.getWebhookDeliveries({ webhookId: webhook.id })).length > 0);
+    const deliveries = await db.getWebhookDeliveries({ webhookId: webhook.id });
+    assert.deepEqual(deliveries.map(delivery => delivery.eventType), ['peer.offline']);
+});
@@ -0,0 +1,163 @@
+// webhooks.js
+// Webhook notifications. Webhooks are registered per project or station with a list of event types and
+// stored in SQLite. When a matching event is published on the event bus (see events.js), a delivery is
+// queued per webhook and POSTed in the background; failed deliveries are retried with exponential backoff,
+// like the outbox. Every request is signed with the webhook's secret:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+const axios = require('axios');
+const crypto = require('crypto');
+const db = require('./db');
+const events = require('./events');
+
+const WEBHOOK_EVENTS = ['reading.violation', 'block.rejected', 'peer.offline'];
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 10; // After this many failed attempts a delivery is marked 'failed'
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const BATCH_LIMIT = 100;
+const MAX_LENGTH = 256;
+
+let processing = false;
+let unsubscribe = null;
+
+/**
+ * The signature header value for a request body.
+ * @param {string} secret The webhook's secret.
+ * @param {string} timestamp The X-Webhook-Timestamp header value.
+ * @param {string} body The exact request body.
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * The reason a webhook registration is invalid, or null if it is valid.
+ * @param {Object} webhook { url, events, projId, stationID, description }
+ * @returns {string|null}
+ */
+function webhookError(webhook) {
+    if (typeof webhook.url !== 'string' || !/^https?:\/\/[^\s]+$/.test(webhook.url) || webhook.url.length > 2048) {
+        return 'url must be an http(s) URL.';
+    }
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0 || webhook.events.some(type => !WEBHOOK_EVENTS.includes(type))) {
+        return `events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}.`;
+    }
+    const invalid = ['projId', 'stationID', 'description'].find(field =>
+        webhook[field] !== undefined && (typeof webhook[field] !== 'string' || webhook[field].trim() === '' || webhook[field].length > MAX_LENGTH));
+    return invalid ? `${invalid} must be a non-empty string of at most ${MAX_LENGTH} characters.` : null;
+}
+
+/**
+ * Registers a webhook with a new random secret.
+ * @param {Object} webhook A registration that passed webhookError.
+ * @param {string} [createdBy] The API key id that registered it.
+ * @returns {Promise<Object>} The webhook including its secret, which is only returned here.
+ */
+async function createWebhook(webhook, createdBy) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const stored = await db.createWebhook({
+        id: crypto.randomUUID(),
+        url: webhook.url,
+        secret,
+        events: [...new Set(webhook.events)],
+        projId: webhook.projId,
+        stationID: webhook.stationID,
+        description: webhook.description,
+        createdBy
+    });
+    console.log(`Webhooks Module: Registered webhook ${stored.id} for ${stored.events.join(', ')} -> ${stored.url}`);
+    return { ...stored, secret };
+}
+
+// Queues a delivery of the event for every active webhook whose filters it passes. Events that concern
+// no project or station (peer.offline) reach every webhook that lists their type.
+async function handleEvent(event) {
+    const networkWide = event.projIds.length === 0 && event.stationIDs.length === 0;
+    const webhooks = await db.getWebhooks({ status: 'active' });
+    const matching = webhooks.filter(webhook => events.matches(event, {
+        types: webhook.events,
+        projIds: webhook.projId && !networkWide ? [webhook.projId] : [],
+        stationIDs: webhook.stationID && !networkWide ? [webhook.stationID] : []
+    }));
+    if (matching.length === 0) {
+        return;
+    }
+    const payload = { eventId: event.id, type: event.type, time: event.time, data: event.data };
+    await db.enqueueWebhookDeliveries(matching.map(webhook => webhook.id), { id: event.id, type: event.type, payload });
+    console.log(`Webhooks Module: Queued ${event.type} event ${event.id} for ${matching.length} webhooks.`);
+    await processDeliveries();
+}
+
+/**
+ * Starts listening for webhook events on the event bus. Called from index.js once the database is open.
+ */
+function start() {
+    if (unsubscribe) {
+        return;
+    }
+    unsubscribe = events.subscribe({ types: WEBHOOK_EVENTS, projIds: [], stationIDs: [] }, event => {
+        handleEvent(event).catch(error => console.error(`Webhooks Module: Error handling ${event.type} event ${event.id}:`, error.message));
+    });
+}
+
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Attempts every due delivery once, oldest first. Once a delivery to a webhook fails, its other deliveries
+ * wait for the next run rather than hit a receiver that is down. Receivers can order events by eventId.
+ * A 2xx response is delivered; anything else is retried with backoff until MAX_ATTEMPTS.
+ */
+async function processDeliveries() {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        const due = await db.getDueWebhookDeliveries(BATCH_LIMIT);
+        const blockedWebhooks = new Set();
+        for (const delivery of due) {
+            if (blockedWebhooks.has(delivery.webhookId)) {
+                continue;
+            }
+            const attempts = delivery.attempts + 1;
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            try {
+                const response = await axios.post(delivery.url, delivery.payload, {
+                    timeout: DELIVERY_TIMEOUT_MS,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Id': delivery.webhookId,
+                        'X-Webhook-Event': delivery.eventType,
+                        'X-Webhook-Delivery': String(delivery.id),
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': sign(delivery.secret, timestamp, delivery.payload)
+                    },
+                    transformRequest: [body => body] // Send the stored JSON exactly as signed
+                });
+                await db.updateWebhookDelivery(delivery.id, { status: 'delivered', attempts, responseStatus: response.status });
+            } catch (error) {
+                blockedWebhooks.add(delivery.webhookId);
+                const responseStatus = error.response ? error.response.status : null;
+                const reason = responseStatus ? `HTTP ${responseStatus}` : error.message;
+                const giveUp = attempts >= MAX_ATTEMPTS;
+                const nextAttemptAt = new Date(Date.now() + retryDelay(attempts)).toISOString();
+                console.warn(`Webhooks Module: Delivery ${delivery.id} (${delivery.eventType}) to ${delivery.url} failed (attempt ${attempts}): ${reason}.${giveUp ? ' Giving up.' : ` Retrying at ${nextAttemptAt}.`}`);
+                await db.updateWebhookDelivery(delivery.id, { status: giveUp ? 'failed' : 'pending', attempts, nextAttemptAt, responseStatus, lastError: reason });
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    sign,
+    webhookError,
+    createWebhook,
+    start,
+    processDeliveries
+};